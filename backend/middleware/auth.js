@@ -1,6 +1,8 @@
 const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
 
-module.exports = function(req, res, next) {
+module.exports = async function(req, res, next) {
   // Get token from header
   const token = req.header('Authorization')?.replace('Bearer ', '');
 
@@ -9,12 +11,33 @@ module.exports = function(req, res, next) {
     return res.status(401).json({ message: 'No token, authorization denied' });
   }
 
+  let decoded;
   try {
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return res.status(401).json({ message: 'Token is not valid' });
+  }
+
+  try {
+    // Access tokens belong to a login session; logging out revokes them at once
+    const [session, user] = await Promise.all([
+      decoded.sid && Session.findById(decoded.sid),
+      User.findById(decoded.id).select('role suspendedAt')
+    ]);
+    if (!session || !session.isActive() || !user) {
+      return res.status(401).json({ message: 'Session has expired, please login again' });
+    }
+
+    // Checked on every request so a suspension applies to tokens already issued
+    if (user.suspendedAt) {
+      return res.status(403).json({ message: 'Your account has been suspended', suspended: true });
+    }
+
+    // The role is read fresh so role changes apply without logging in again
+    req.user = { ...decoded, role: user.role };
     next();
   } catch (err) {
-    res.status(401).json({ message: 'Token is not valid' });
+    res.status(500).json({ message: 'Server error' });
   }
-};
\ No newline at end of file
+};
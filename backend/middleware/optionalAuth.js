@@ -0,0 +1,11 @@
+const auth = require('./auth');
+
+// Identifies the user on routes that anonymous visitors may use too. Requests
+// without a token go through with no req.user; a token that is sent must be
+// valid, so expired ones get a 401 and the client can refresh them.
+module.exports = function(req, res, next) {
+  if (!req.header('Authorization')) {
+    return next();
+  }
+  return auth(req, res, next);
+};
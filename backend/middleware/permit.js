@@ -0,0 +1,14 @@
+const { hasPermission } = require('../utils/permissions');
+
+// Allows only users whose role grants every one of the given permissions,
+// e.g. router.post('/', auth, permit('categories:manage'), ...).
+// Must run after the auth middleware.
+module.exports = function(...permissions) {
+  return function(req, res, next) {
+    if (!permissions.every(permission => hasPermission(req.user, permission))) {
+      return res.status(403).json({ message: 'You do not have permission to do that' });
+    }
+
+    next();
+  };
+};
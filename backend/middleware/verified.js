@@ -0,0 +1,17 @@
+const User = require('../models/User');
+
+// Allows only users who have verified their email address. Must run after
+// the auth middleware.
+module.exports = async function(req, res, next) {
+  try {
+    const user = await User.findById(req.user.id).select('emailVerified');
+
+    if (!user || !user.emailVerified) {
+      return res.status(403).json({ message: 'Please verify your email address before creating events' });
+    }
+
+    next();
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
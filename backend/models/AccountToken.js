@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Single-use token emailed to a user to verify their address or reset their
+// password. Only a hash of the token is stored.
+const accountTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['verifyEmail', 'resetPassword'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, { 
+  timestamps: true 
+});
+
+accountTokenSchema.index({ user: 1, purpose: 1 });
+// Let MongoDB clean up expired tokens
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AccountToken', accountTokenSchema);
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+// Everything that changes an event or someone's place in it (see
+// utils/audit.js for how entries are written)
+const AUDIT_ACTIONS = [
+  'event.create',
+  'event.update',
+  'event.cancel',
+  'event.delete',
+  'event.restore',
+  'rsvp.create',
+  'rsvp.waitlist',
+  'rsvp.request',
+  'rsvp.update',
+  'rsvp.cancel',
+  'waitlist.leave',
+  'waitlist.promote',
+  'request.withdraw',
+  'request.approve',
+  'request.decline',
+  'checkout.start',
+  'checkout.paid',
+  'checkout.release',
+  'attendee.add',
+  'attendee.remove',
+  'attendee.no_show',
+  'attendee.check_in',
+  'organizer.invite',
+  'organizer.accept',
+  'organizer.decline',
+  'organizer.update',
+  'organizer.remove',
+  'invite.add',
+  'invite.remove',
+  'promo_code.create',
+  'promo_code.update',
+  'promo_code.delete'
+];
+
+const changeSchema = new mongoose.Schema({
+  field: String,
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Who did what to an event, when and from where. Entries outlive the event
+// they are about, so its title is kept with them. Like the activity log,
+// entries are only ever added, never changed.
+const auditLogSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  eventTitle: {
+    type: String,
+    default: ''
+  },
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true
+  },
+  // null when the server did it on its own, e.g. an expired checkout
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // The person whose RSVP, ticket or role the entry is about, when that
+  // isn't necessarily the actor
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  // Field by field before/after values of event edits and RSVP changes
+  changes: {
+    type: [changeSchema],
+    default: []
+  },
+  // Anything else worth knowing, e.g. seats, tier or the payment status
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+auditLogSchema.index({ event: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ subject: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+auditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function() {
+  throw new Error('The audit log is append-only');
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
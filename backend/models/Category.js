@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  }
+}, { 
+  timestamps: true 
+});
+
+const slugify = (name, separators) => {
+  return name
+    .toLowerCase()
+    .replace(separators, '-')
+    .replace(/^-+|-+$/g, '');
+};
+
+// Derive the slug from the name so admins only have to provide a name. Names
+// without any latin letters or digits (e.g. '音楽') keep their own letters.
+categorySchema.pre('validate', function() {
+  if (this.isModified('name')) {
+    this.slug = slugify(this.name, /[^a-z0-9]+/g) || slugify(this.name, /[^\p{L}\p{N}]+/gu);
+  }
+});
+
+module.exports = mongoose.model('Category', categorySchema);
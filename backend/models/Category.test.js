@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Category = require('./Category');
+
+const slugOf = async (name) => {
+  const category = new Category({ name });
+  await category.validate();
+  return category.slug;
+};
+
+test('slugs are lower-case words joined by dashes', async () => {
+  assert.equal(await slugOf('Arts & Culture'), 'arts-culture');
+  assert.equal(await slugOf('  Tech / AI  '), 'tech-ai');
+});
+
+test('names without latin letters keep their own letters in the slug', async () => {
+  assert.equal(await slugOf('音楽'), '音楽');
+  assert.equal(await slugOf('Музыка и театр'), 'музыка-и-театр');
+});
+
+test('names without letters or digits fail validation', async () => {
+  await assert.rejects(slugOf('!!!'), { name: 'ValidationError' });
+});
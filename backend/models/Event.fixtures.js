@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+const Event = require('./Event');
+
+// Test fixtures for suites that exercise event logic without a database
+
+const userId = () => new mongoose.Types.ObjectId();
+
+// An unsaved event with the required fields filled in; pass whatever the
+// test is about (capacity, tiers, time zone...)
+const makeEvent = (fields = {}) => new Event({
+  title: 'Test event',
+  description: 'An event for tests',
+  date: new Date('2030-01-01T18:00:00Z'),
+  location: 'Town hall',
+  capacity: 100,
+  creator: userId(),
+  ...fields
+});
+
+module.exports = { userId, makeEvent };
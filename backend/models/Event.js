@@ -1,4 +1,324 @@
 const mongoose = require('mongoose');
+const { ORGANIZER_PERMISSIONS, VISIBILITIES, RSVP_MODES } = require('../utils/permissions');
+const { QUESTION_TYPES } = require('../utils/questions');
+
+// A co-organizer invited by email. The invite is matched to an account once
+// someone with a verified address accepts it.
+const organizerSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  permissions: [{
+    type: String,
+    enum: ORGANIZER_PERMISSIONS
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'accepted'],
+    default: 'pending'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  invitedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A registration question the organizer asks at RSVP time. Choice questions
+// list their options; text questions have none.
+const questionSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  type: {
+    type: String,
+    enum: QUESTION_TYPES,
+    default: 'text'
+  },
+  options: [{
+    type: String,
+    trim: true
+  }],
+  required: {
+    type: Boolean,
+    default: false
+  }
+});
+
+// An answer to one question. Text and single choice answers hold one value.
+const answerSchema = new mongoose.Schema({
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  values: [String]
+}, { _id: false });
+
+// What an RSVP asks for: the ticket tier (on events that have tiers), seats
+// for the attendee plus any guests they bring (guest names are optional, so
+// there can be fewer names than guests) and the answers to the event's
+// questions
+const registrationFields = {
+  tier: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  seats: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  guestNames: [{
+    type: String,
+    trim: true,
+    maxlength: 100
+  }],
+  answers: [answerSchema]
+};
+
+// One RSVP. Check-in and no-show data is kept per attendee; the ticket code
+// is derived from the entry's _id (see utils/tickets.js), so a fresh RSVP
+// gets a fresh ticket. One ticket admits everyone on the RSVP.
+const attendeeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  ...registrationFields,
+  rsvpAt: {
+    type: Date,
+    default: Date.now
+  },
+  checkedInAt: {
+    type: Date,
+    default: null
+  },
+  checkedInBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Marked by the organizers after the event started
+  noShow: {
+    type: Boolean,
+    default: false
+  },
+  // Set for paid tickets; the amount is in the smallest currency unit
+  paymentId: {
+    type: String,
+    default: null
+  },
+  amountPaid: {
+    type: Number,
+    default: 0
+  }
+});
+
+// A kind of ticket, e.g. Early Bird or VIP, with its own price, number of
+// seats and sale window
+const tierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // In the smallest unit of the event's currency (cents); 0 is free
+  price: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Seats sold in this tier, guests included
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  salesStart: {
+    type: Date,
+    default: null
+  },
+  salesEnd: {
+    type: Date,
+    default: null
+  }
+});
+
+// Seats set aside while someone pays for a ticket. They count as taken until
+// the payment goes through, which turns the hold into an RSVP, or the hold is
+// released because the payment failed or ran out of time.
+const holdSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  ...registrationFields,
+  // Total price in the smallest currency unit, after any discount
+  amount: {
+    type: Number,
+    required: true
+  },
+  promoCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  discount: {
+    type: Number,
+    default: 0
+  },
+  // Where the buyer came from, for analytics
+  source: {
+    type: String,
+    default: 'direct'
+  },
+  paymentId: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// A completed checkout that used a promo code
+const redemptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tier: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  seats: {
+    type: Number,
+    default: 1
+  },
+  // Taken off the order, in the smallest currency unit
+  discount: {
+    type: Number,
+    required: true
+  },
+  redeemedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A discount on paid tickets. Checkouts in progress hold a use of the code
+// until they are paid (and become a redemption) or released.
+const promoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+    maxlength: 30
+  },
+  discountType: {
+    type: String,
+    enum: ['percent', 'fixed'],
+    required: true
+  },
+  // A percentage (1-100), or a fixed amount in the smallest currency unit
+  // taken off the whole order
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // null for unlimited
+  maxUses: {
+    type: Number,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // Tiers the code applies to; empty for every paid tier
+  tiers: [mongoose.Schema.Types.ObjectId],
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  redemptions: [redemptionSchema]
+});
+
+// Someone queued for a full event, with the seats they asked for
+const waitlistEntrySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  ...registrationFields,
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Someone asking to attend an event that requires approval. Nothing is
+// reserved until the organizers approve the request.
+const requestSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  ...registrationFields,
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// An email address allowed to see and join an invite-only event. It matches
+// any account that verified that address.
+const inviteSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  invitedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
 
 const eventSchema = new mongoose.Schema({
   title: {
@@ -10,23 +330,82 @@ const eventSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Start time
   date: {
     type: Date,
     required: true
   },
+  endDate: {
+    type: Date,
+    validate: {
+      validator: function(value) {
+        return !value || !this.date || value > this.date;
+      },
+      message: 'End time must be after the start time'
+    }
+  },
+  // IANA time zone the event takes place in, e.g. 'Europe/Berlin'
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
   location: {
     type: String,
     required: true,
     trim: true
   },
+  // Total seats, guests included
   capacity: {
     type: Number,
     required: true,
     min: 1
   },
-  attendees: [{
+  // Optional ticket tiers; without them every RSVP is free. Tier seats
+  // count towards the capacity like any other seats.
+  tiers: [tierSchema],
+  // ISO 4217 code the tier prices are in
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: 'USD'
+  },
+  // Seats reserved for checkouts in progress
+  holds: [holdSchema],
+  promoCodes: [promoCodeSchema],
+  // Guests each attendee may bring on top of their own seat
+  maxGuests: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Asked at RSVP time, e.g. dietary needs or T-shirt size
+  questions: [questionSchema],
+  attendees: [attendeeSchema],
+  // Users queued in order once the event is full
+  waitlist: [waitlistEntrySchema],
+  visibility: {
+    type: String,
+    enum: VISIBILITIES,
+    default: 'public'
+  },
+  rsvpMode: {
+    type: String,
+    enum: RSVP_MODES,
+    default: 'instant'
+  },
+  // Pending RSVP requests, in the order they came in
+  requests: [requestSchema],
+  invites: [inviteSchema],
+  category: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
+    ref: 'Category',
+    default: null
+  },
+  tags: [{
+    type: String,
+    lowercase: true,
+    trim: true
   }],
   image: {
     type: String,
@@ -36,6 +415,34 @@ const eventSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
+  },
+  organizers: [organizerSchema],
+  // Set on occurrences of a recurring event
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EventSeries',
+    default: null
+  },
+  // A cancelled event stays up, marked as cancelled, so the people who
+  // were going can see what happened; it takes no more RSVPs
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  cancellationReason: {
+    type: String,
+    default: ''
+  },
+  // A deleted event is hidden everywhere (see the query hook below) and can
+  // be restored until it is purged for good (see utils/trash.js)
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
   }
 }, { 
   timestamps: true 
@@ -43,7 +450,375 @@ const eventSchema = new mongoose.Schema({
 
 // Indexes for better performance
 eventSchema.index({ creator: 1 });
+eventSchema.index({ 'attendees.user': 1 });
+eventSchema.index({ 'waitlist.user': 1 });
+eventSchema.index({ 'requests.user': 1 });
+eventSchema.index({ 'invites.email': 1 });
+eventSchema.index({ 'holds.expiresAt': 1 });
+eventSchema.index({ visibility: 1 });
+eventSchema.index({ 'organizers.user': 1 });
+eventSchema.index({ 'organizers.email': 1 });
 eventSchema.index({ date: 1 });
+eventSchema.index({ endDate: 1 });
+eventSchema.index({ category: 1 });
+eventSchema.index({ tags: 1 });
+eventSchema.index({ series: 1, date: 1 });
+eventSchema.index({ deletedAt: 1 });
 eventSchema.index({ title: 'text', description: 'text' });
 
+const DEFAULT_DURATION_MS = 60 * 60 * 1000;
+
+// Leave deleted events out of every query, unless it asks for them with
+// .setOptions({ withDeleted: true }) (e.g. to restore or purge them) or
+// filters on deletedAt itself
+eventSchema.pre(['find', 'findOne', 'countDocuments', 'findOneAndUpdate', 'updateOne', 'updateMany'], function() {
+  if (!this.getOptions().withDeleted && this.getFilter().deletedAt === undefined) {
+    this.where({ deletedAt: null });
+  }
+});
+
+eventSchema.pre('aggregate', function() {
+  if (this.options.withDeleted) return;
+
+  // A leading $match may hold a $text search, which has to stay first
+  const [first] = this.pipeline();
+  if (first && first.$match) {
+    if (first.$match.deletedAt === undefined) {
+      first.$match = { ...first.$match, deletedAt: null };
+    }
+  } else {
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  }
+});
+
+// Events created before end times existed get a default one-hour duration
+eventSchema.pre('validate', function() {
+  if (!this.endDate && this.date) {
+    this.endDate = new Date(this.date.getTime() + DEFAULT_DURATION_MS);
+  }
+});
+
+eventSchema.methods.getEndDate = function() {
+  return this.endDate || new Date(this.date.getTime() + DEFAULT_DURATION_MS);
+};
+
+eventSchema.methods.hasEnded = function() {
+  return this.getEndDate() < new Date();
+};
+
+// Seats held by attendees, guests included
+eventSchema.methods.seatsTaken = function() {
+  return this.attendees.reduce((total, attendee) => total + attendee.seats, 0);
+};
+
+// Seats held for checkouts that haven't finished yet
+eventSchema.methods.seatsHeld = function() {
+  return this.holds.reduce((total, hold) => total + hold.seats, 0);
+};
+
+eventSchema.methods.seatsLeft = function() {
+  return Math.max(this.capacity - this.seatsTaken() - this.seatsHeld(), 0);
+};
+
+const sameTier = (entry, tierId) => Boolean(entry.tier) && entry.tier.toString() === tierId.toString();
+
+// Seats of a tier that are taken or held for a checkout
+eventSchema.methods.tierSeatsTaken = function(tierId) {
+  return [...this.attendees, ...this.holds]
+    .filter(entry => sameTier(entry, tierId))
+    .reduce((total, entry) => total + entry.seats, 0);
+};
+
+// Free seats for an RSVP in the given tier (or without one): what is left of
+// the tier, and never more than is left of the event
+eventSchema.methods.seatsLeftFor = function(tierId) {
+  const tier = tierId && this.tiers.id(tierId);
+  if (!tier) return this.seatsLeft();
+  return Math.max(Math.min(tier.quantity - this.tierSeatsTaken(tierId), this.seatsLeft()), 0);
+};
+
+// Whether anyone attends, waits, asks or pays for a ticket in the tier
+eventSchema.methods.isTierInUse = function(tierId) {
+  return [...this.attendees, ...this.waitlist, ...this.requests, ...this.holds]
+    .some(entry => sameTier(entry, tierId));
+};
+
+// The parts of a waitlist entry, request or hold that make up an RSVP
+const registrationOf = ({ user, tier, seats, guestNames, answers }) => {
+  return { user, tier, seats, guestNames, answers };
+};
+eventSchema.statics.registrationOf = registrationOf;
+
+// Waitlist entries for the given tier (or without one), in order
+eventSchema.methods.waitlistFor = function(tierId) {
+  return this.waitlist.filter(entry => (tierId ? sameTier(entry, tierId) : !entry.tier));
+};
+
+// Move users from the waitlist into free seats. Each tier's line moves
+// strictly in order: if its next RSVP needs more seats than the tier has
+// free, everyone behind it in that tier keeps waiting too, while other tiers
+// still move. Returns the ids that were promoted; the caller is responsible
+// for saving.
+eventSchema.methods.promoteFromWaitlist = function() {
+  const promoted = [];
+  // Nobody is moved into a cancelled event
+  if (this.cancelledAt) return promoted;
+
+  const blocked = new Set();
+  for (const waiting of [...this.waitlist]) {
+    const line = waiting.tier ? waiting.tier.toString() : '';
+    if (blocked.has(line)) continue;
+
+    if (waiting.seats > this.seatsLeftFor(waiting.tier)) {
+      blocked.add(line);
+      continue;
+    }
+    const entry = registrationOf(waiting);
+    this.waitlist.pull(waiting._id);
+    this.attendees.push(entry);
+    promoted.push(entry.user);
+  }
+  return promoted;
+};
+
+// Accept a pending RSVP request. The requester gets a seat if there is room
+// and nobody is waiting for the same tier, and otherwise joins the back of
+// the waitlist.
+// Returns whether they got a seat; the caller is responsible for saving.
+eventSchema.methods.approveRequest = function(request) {
+  const entry = registrationOf(request);
+  this.requests.pull(request._id);
+
+  if (this.waitlistFor(entry.tier).length === 0 && entry.seats <= this.seatsLeftFor(entry.tier)) {
+    this.attendees.push(entry);
+    return true;
+  }
+  this.waitlist.push(entry);
+  return false;
+};
+
+// Turn a paid checkout hold into an RSVP and return the new attendee entry.
+// The seats were already held, so they are known to be free. The caller is
+// responsible for saving.
+eventSchema.methods.completeHold = function(hold) {
+  this.holds.pull(hold._id);
+  const promoCode = hold.promoCode && this.promoCodes.id(hold.promoCode);
+  if (promoCode) {
+    promoCode.redemptions.push({
+      user: hold.user,
+      tier: hold.tier,
+      seats: hold.seats,
+      discount: hold.discount
+    });
+  }
+  this.attendees.push({
+    ...registrationOf(hold),
+    paymentId: hold.paymentId,
+    amountPaid: hold.amount
+  });
+  return this.attendees[this.attendees.length - 1];
+};
+
+const entryUserId = (entry) => entry.user._id || entry.user;
+
+const findEntry = (entries, userId) => {
+  return entries.find(entry => entryUserId(entry).toString() === userId.toString());
+};
+
+// Promo codes match regardless of case
+eventSchema.methods.findPromoCode = function(code) {
+  const wanted = String(code || '').trim().toUpperCase();
+  return this.promoCodes.find(promoCode => promoCode.code === wanted);
+};
+
+// Completed redemptions plus checkouts in progress that use the code
+eventSchema.methods.promoCodeUses = function(promoCode) {
+  const held = this.holds.filter(hold => hold.promoCode && hold.promoCode.equals(promoCode._id));
+  return promoCode.redemptions.length + held.length;
+};
+
+// User ids of everyone attending, in RSVP order
+eventSchema.methods.attendeeIds = function() {
+  return this.attendees.map(entryUserId);
+};
+
+// User ids of everyone waiting, in order
+eventSchema.methods.waitlistIds = function() {
+  return this.waitlist.map(entryUserId);
+};
+
+// Attendee entry for the user, if any
+eventSchema.methods.findAttendee = function(userId) {
+  return findEntry(this.attendees, userId);
+};
+
+// Waitlist entry for the user, if any
+eventSchema.methods.findWaitlisted = function(userId) {
+  return findEntry(this.waitlist, userId);
+};
+
+// User ids of everyone with a pending request, in order
+eventSchema.methods.requestIds = function() {
+  return this.requests.map(entryUserId);
+};
+
+// Pending request of the user, if any
+eventSchema.methods.findRequest = function(userId) {
+  return findEntry(this.requests, userId);
+};
+
+// Checkout hold of the user, if they are paying for a ticket
+eventSchema.methods.findHold = function(userId) {
+  return findEntry(this.holds, userId);
+};
+
+// 1-based waitlist position of the user, or 0
+eventSchema.methods.waitlistPosition = function(userId) {
+  return this.waitlist.indexOf(this.findWaitlisted(userId)) + 1;
+};
+
+// Drop the user's RSVP. Returns whether they were attending.
+eventSchema.methods.removeAttendee = function(userId) {
+  const attendee = this.findAttendee(userId);
+  if (attendee) {
+    this.attendees.pull(attendee._id);
+  }
+  return Boolean(attendee);
+};
+
+// Take the user off the waitlist. Returns whether they were on it.
+eventSchema.methods.removeFromWaitlist = function(userId) {
+  const entry = this.findWaitlisted(userId);
+  if (entry) {
+    this.waitlist.pull(entry._id);
+  }
+  return Boolean(entry);
+};
+
+// The creator and the co-organizers who manage attendees, e.g. to tell them
+// about new RSVP requests
+eventSchema.methods.attendeeManagerIds = function() {
+  const managers = this.organizers.filter(organizer =>
+    organizer.status === 'accepted' && organizer.user &&
+    organizer.permissions.includes('attendees')
+  );
+  return [entryUserId({ user: this.creator }), ...managers.map(entryUserId)];
+};
+
+// Accepted co-organizer entry for the user, if any
+eventSchema.methods.findOrganizer = function(userId) {
+  return this.organizers.find(organizer =>
+    organizer.status === 'accepted' && organizer.user &&
+    (organizer.user._id || organizer.user).toString() === userId.toString()
+  );
+};
+
+// Pending invites (and their email addresses) are only shown to the people
+// managing the event, through GET /api/events/:id/organizers. The same goes
+// for check-in, no-show and guest details (GET /api/events/:id/attendees) and
+// the invite list (GET /api/events/:id/invites), promo codes
+// (GET /api/events/:id/promo-codes) and payment details;
+// publicly attendees, the waitlist and pending requests are just lists of
+// users, plus the number of seats taken (in total and per tier) and held for
+// checkouts.
+eventSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    if (ret.tiers) {
+      const taken = [...(ret.attendees || []), ...(ret.holds || [])];
+      ret.tiers = ret.tiers.map(tier => ({
+        ...tier,
+        seatsTaken: taken
+          .filter(entry => entry.tier && entry.tier.toString() === tier._id.toString())
+          .reduce((total, entry) => total + entry.seats, 0)
+      }));
+    }
+    if (ret.holds) {
+      ret.seatsHeld = ret.holds.reduce((total, hold) => total + hold.seats, 0);
+      delete ret.holds;
+    }
+    if (ret.attendees) {
+      ret.seatsTaken = ret.attendees.reduce((total, attendee) => total + attendee.seats, 0);
+      ret.attendees = ret.attendees.map(attendee => attendee.user);
+    }
+    if (ret.waitlist) {
+      ret.waitlist = ret.waitlist.map(entry => entry.user);
+    }
+    if (ret.requests) {
+      ret.requests = ret.requests.map(entry => entry.user);
+    }
+    delete ret.invites;
+    // Codes are handed out by the organizers; only say whether there are any
+    if (ret.promoCodes) {
+      ret.hasPromoCodes = ret.promoCodes.some(promoCode => promoCode.active);
+      delete ret.promoCodes;
+    }
+    if (ret.organizers) {
+      ret.organizers = ret.organizers
+        .filter(organizer => organizer.status === 'accepted')
+        .map(({ email, invitedBy, ...organizer }) => organizer);
+    }
+    return ret;
+  }
+});
+
+// Events stored before check-in and multi-seat RSVPs existed keep attendees
+// and the waitlist as bare user ids (and no-shows in a separate array), and
+// entries from before seats existed have no seat count. Rewrite them in place.
+eventSchema.statics.migrateLegacyRegistrations = function() {
+  const isUserId = { $eq: [{ $type: '$$entry' }, 'objectId'] };
+  const seatDefaults = { seats: 1, guestNames: [] };
+
+  return this.collection.updateMany(
+    {
+      $or: [
+        { attendees: { $type: 'objectId' } },
+        { waitlist: { $type: 'objectId' } },
+        { attendees: { $elemMatch: { seats: { $exists: false } } } },
+        { noShows: { $exists: true } }
+      ]
+    },
+    [
+      {
+        $set: {
+          attendees: {
+            $map: {
+              input: '$attendees',
+              as: 'entry',
+              in: {
+                $cond: [
+                  isUserId,
+                  {
+                    _id: '$$entry',
+                    user: '$$entry',
+                    ...seatDefaults,
+                    rsvpAt: '$createdAt',
+                    checkedInAt: null,
+                    checkedInBy: null,
+                    noShow: { $in: ['$$entry', { $ifNull: ['$noShows', []] }] }
+                  },
+                  { $mergeObjects: [seatDefaults, '$$entry'] }
+                ]
+              }
+            }
+          },
+          waitlist: {
+            $map: {
+              input: { $ifNull: ['$waitlist', []] },
+              as: 'entry',
+              in: {
+                $cond: [
+                  isUserId,
+                  { _id: '$$entry', user: '$$entry', ...seatDefaults, joinedAt: '$updatedAt' },
+                  '$$entry'
+                ]
+              }
+            }
+          }
+        }
+      },
+      { $unset: 'noShows' }
+    ]
+  );
+};
+
 module.exports = mongoose.model('Event', eventSchema);
\ No newline at end of file
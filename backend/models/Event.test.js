@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { userId, makeEvent } = require('./Event.fixtures');
+
+const ids = (entries) => entries.map(entry => entry.user.toString());
+
+test('seatsLeftFor counts guests and checkout holds', () => {
+  const event = makeEvent({ capacity: 5 });
+  event.attendees.push({ user: userId(), seats: 2 });
+  event.holds.push({ user: userId(), seats: 1, amount: 0, expiresAt: new Date() });
+  assert.equal(event.seatsLeftFor(null), 2);
+});
+
+test('seatsLeftFor is bounded by both the tier and the event', () => {
+  const event = makeEvent({ capacity: 5, tiers: [{ name: 'VIP', quantity: 3 }, { name: 'Standard', quantity: 10 }] });
+  const [vip, standard] = event.tiers;
+  event.attendees.push({ user: userId(), tier: vip._id, seats: 2 });
+  assert.equal(event.seatsLeftFor(vip._id), 1);
+  assert.equal(event.seatsLeftFor(standard._id), 3);
+
+  event.attendees.push({ user: userId(), tier: standard._id, seats: 3 });
+  assert.equal(event.seatsLeftFor(vip._id), 0);
+  assert.equal(event.seatsLeftFor(standard._id), 0);
+});
+
+test('promoteFromWaitlist stops a line at an entry that does not fit', () => {
+  const event = makeEvent({ capacity: 3 });
+  const [big, small] = [userId(), userId()];
+  event.attendees.push({ user: userId(), seats: 1 });
+  event.waitlist.push({ user: big, seats: 3 }, { user: small, seats: 1 });
+
+  // Nobody jumps the queue, even though the second entry would fit
+  assert.deepEqual(event.promoteFromWaitlist(), []);
+  assert.deepEqual(ids(event.waitlist), [big.toString(), small.toString()]);
+
+  event.attendees.pull(event.attendees[0]._id);
+  assert.deepEqual(event.promoteFromWaitlist().map(String), [big.toString()]);
+  assert.deepEqual(ids(event.attendees), [big.toString()]);
+  assert.deepEqual(ids(event.waitlist), [small.toString()]);
+});
+
+test('promoteFromWaitlist moves multi-seat entries while they fit', () => {
+  const event = makeEvent({ capacity: 5 });
+  const [first, second, third] = [userId(), userId(), userId()];
+  event.waitlist.push({ user: first, seats: 2 }, { user: second, seats: 3 }, { user: third, seats: 1 });
+
+  assert.deepEqual(event.promoteFromWaitlist().map(String), [first.toString(), second.toString()]);
+  assert.equal(event.seatsTaken(), 5);
+  assert.deepEqual(ids(event.waitlist), [third.toString()]);
+});
+
+test('promoteFromWaitlist keeps a separate line per tier', () => {
+  const event = makeEvent({ capacity: 10, tiers: [{ name: 'VIP', quantity: 2 }, { name: 'Standard', quantity: 8 }] });
+  const [vip, standard] = event.tiers;
+  const [vipBig, vipSmall, standardOne] = [userId(), userId(), userId()];
+  event.attendees.push({ user: userId(), tier: vip._id, seats: 1 });
+  event.waitlist.push(
+    { user: vipBig, tier: vip._id, seats: 2 },
+    { user: vipSmall, tier: vip._id, seats: 1 },
+    { user: standardOne, tier: standard._id, seats: 2 }
+  );
+
+  // The blocked VIP line doesn't hold up the Standard one
+  assert.deepEqual(event.promoteFromWaitlist().map(String), [standardOne.toString()]);
+  assert.deepEqual(ids(event.waitlist), [vipBig.toString(), vipSmall.toString()]);
+});
+
+test('promoteFromWaitlist does nothing for a cancelled event', () => {
+  const event = makeEvent({ cancelledAt: new Date() });
+  event.waitlist.push({ user: userId(), seats: 1 });
+  assert.deepEqual(event.promoteFromWaitlist(), []);
+  assert.equal(event.waitlist.length, 1);
+});
+
+test('approveRequest seats the requester when there is room', () => {
+  const event = makeEvent({ capacity: 2 });
+  const user = userId();
+  event.requests.push({ user, seats: 2 });
+
+  assert.equal(event.approveRequest(event.requests[0]), true);
+  assert.deepEqual(ids(event.attendees), [user.toString()]);
+  assert.equal(event.requests.length, 0);
+});
+
+test('approveRequest waitlists the requester when capacity is exhausted', () => {
+  const event = makeEvent({ capacity: 2 });
+  const user = userId();
+  event.attendees.push({ user: userId(), seats: 1 });
+  event.requests.push({ user, seats: 2 });
+
+  assert.equal(event.approveRequest(event.requests[0]), false);
+  assert.deepEqual(ids(event.waitlist), [user.toString()]);
+  assert.equal(event.attendees.length, 1);
+  assert.equal(event.requests.length, 0);
+});
+
+test('approveRequest queues behind people already waiting for the tier', () => {
+  const event = makeEvent({ capacity: 5, tiers: [{ name: 'VIP', quantity: 2 }, { name: 'Standard', quantity: 5 }] });
+  const [vip, standard] = event.tiers;
+  const [waiting, vipRequest, standardRequest] = [userId(), userId(), userId()];
+  event.waitlist.push({ user: waiting, tier: vip._id, seats: 3 });
+  event.requests.push({ user: vipRequest, tier: vip._id, seats: 1 }, { user: standardRequest, tier: standard._id, seats: 1 });
+
+  assert.equal(event.approveRequest(event.requests[0]), false);
+  assert.deepEqual(ids(event.waitlist), [waiting.toString(), vipRequest.toString()]);
+  assert.equal(event.approveRequest(event.requests[0]), true);
+  assert.deepEqual(ids(event.attendees), [standardRequest.toString()]);
+});
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Append-only log of what happens around an event, for the organizers'
+// analytics: page views, RSVPs (including paid checkouts, approvals and
+// waitlist promotions), waitlist joins, requests and cancellations. Entries
+// are only ever added, never changed.
+const eventActivitySchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['view', 'rsvp', 'waitlist', 'request', 'cancel'],
+    required: true
+  },
+  // null for visitors who aren't logged in
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  seats: {
+    type: Number,
+    default: 0
+  },
+  // Campaign (utm_source), referring site, or 'direct'. Promotions from the
+  // waitlist and approved requests are marked 'waitlist' and 'approval'.
+  source: {
+    type: String,
+    default: 'direct'
+  },
+  // Keyed hash of who viewed the page, to count repeated views once (see
+  // logView in utils/activity.js); null for other entries
+  viewer: {
+    type: String,
+    default: null
+  },
+  // Start of the VIEW_DEDUPE_WINDOW-long period a view falls in; a viewer is
+  // counted once per period
+  viewPeriod: {
+    type: Date,
+    default: null
+  },
+  // Host of the referring page, if any
+  referrer: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+eventActivitySchema.index({ event: 1, createdAt: 1 });
+eventActivitySchema.index({ event: 1, type: 1 });
+// Makes counting a view once per period atomic
+eventActivitySchema.index(
+  { event: 1, viewer: 1, viewPeriod: 1 },
+  { unique: true, partialFilterExpression: { viewer: { $type: 'string' } } }
+);
+
+eventActivitySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function() {
+  throw new Error('Event activity is append-only');
+});
+
+module.exports = mongoose.model('EventActivity', eventActivitySchema);
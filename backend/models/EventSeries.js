@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// A recurring event. Every occurrence is its own Event document (with its own
+// attendees and capacity) that points back here through `series`.
+const eventSeriesSchema = new mongoose.Schema({
+  creator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly', 'monthly'],
+      required: true
+    },
+    interval: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    until: {
+      type: Date,
+      default: null
+    },
+    count: {
+      type: Number,
+      default: null
+    },
+    // Local dates (YYYY-MM-DD) that were skipped or cancelled
+    exceptions: [{
+      type: String
+    }]
+  }
+}, { 
+  timestamps: true 
+});
+
+module.exports = mongoose.model('EventSeries', eventSeriesSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// An email waiting to be sent (see notifications/queue.js). Jobs are stored
+// so messages waiting or retrying survive a restart, and removed once sent
+// or given up on.
+const mailJobSchema = new mongoose.Schema({
+  message: {
+    from: String,
+    to: { type: String, required: true },
+    subject: String,
+    text: String,
+    html: String
+  },
+  // Failed send attempts so far
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Not sent before this time; pushed back after each failed attempt
+  sendAfter: {
+    type: Date,
+    default: Date.now
+  },
+  // Set while a worker is sending the message. A worker that crashed
+  // mid-send leaves it to expire, after which the message is sent again.
+  lockedUntil: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+mailJobSchema.index({ sendAfter: 1 });
+
+module.exports = mongoose.model('MailJob', mailJobSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// One document per reminder sent, so a restart never sends the same reminder twice
+const reminderLogSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // How long before the event start the reminder is for, in minutes
+  offsetMinutes: {
+    type: Number,
+    required: true
+  }
+}, { 
+  timestamps: true 
+});
+
+reminderLogSchema.index({ event: 1, user: 1, offsetMinutes: 1 }, { unique: true });
+
+module.exports = mongoose.model('ReminderLog', reminderLogSchema);
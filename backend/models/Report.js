@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// A user's report of an event that breaks the rules. Open reports show up in
+// the admin console until a moderator resolves or dismisses them.
+const reportSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000
+  },
+  status: {
+    type: String,
+    enum: ['open', 'dismissed', 'resolved'],
+    default: 'open'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  }
+}, { 
+  timestamps: true 
+});
+
+// One report per user and event
+reportSchema.index({ event: 1, reporter: 1 }, { unique: true });
+reportSchema.index({ status: 1 });
+
+module.exports = mongoose.model('Report', reportSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES } = require('../utils/permissions');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -18,7 +19,43 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: true,
     minlength: 6
-  }
+  },
+  // See utils/permissions.js. New accounts can host events; admins can
+  // restrict an account to "user" (RSVP only) or promote it.
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'organizer'
+  },
+  // Suspended accounts can't log in and their tokens stop working
+  suspendedAt: {
+    type: Date,
+    default: null
+  },
+  suspensionReason: {
+    type: String,
+    default: ''
+  },
+  // Set once the user follows the link in the verification email
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Secret for the personal calendar feed, which is fetched without a JWT
+  calendarToken: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // Event reminder emails: a global switch plus events muted individually
+  remindersEnabled: {
+    type: Boolean,
+    default: true
+  },
+  mutedReminderEvents: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  }]
 }, { 
   timestamps: true 
 });
@@ -36,4 +73,13 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Accounts created before email verification existed have no emailVerified
+// field. They were never asked to verify, so they keep creating events.
+userSchema.statics.migrateLegacyVerification = function() {
+  return this.collection.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true } }
+  );
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,56 @@
+const path = require('path');
+const User = require('../models/User');
+const templates = require('./templates');
+const createQueue = require('./queue');
+const createFileTransport = require('./transports/file');
+const createSmtpTransport = require('./transports/smtp');
+
+// MAIL_TRANSPORT=smtp sends real email; anything else writes to MAIL_OUTBOX_DIR
+const createTransport = () => {
+  if (process.env.MAIL_TRANSPORT === 'smtp') {
+    return createSmtpTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    });
+  }
+
+  return createFileTransport({
+    dir: process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'mail-outbox')
+  });
+};
+
+const queue = createQueue(createTransport());
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+// Queue a templated email to a single recipient
+const sendTemplate = (user, template, data) => {
+  const { subject, text } = templates[template]({ ...data, user });
+
+  queue.enqueue({
+    from: process.env.MAIL_FROM || 'EventPlatform <no-reply@eventplatform.local>',
+    to: `${user.name} <${user.email}>`,
+    subject,
+    text,
+    html: `<pre style="font-family: inherit">${escapeHtml(text)}</pre>`
+  });
+};
+
+// Email each of the given users in the background. Never throws and never
+// blocks the caller; failures are logged.
+const notifyUsers = (userIds, template, data) => {
+  if (!userIds || userIds.length === 0) return;
+
+  User.find({ _id: { $in: userIds } })
+    .select('name email')
+    .then(users => users.forEach(user => sendTemplate(user, template, data)))
+    .catch(err => console.error(`❌ Failed to queue ${template} emails:`, err.message));
+};
+
+module.exports = { notifyUsers, sendTemplate, queue };
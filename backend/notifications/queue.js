@@ -0,0 +1,82 @@
+const ms = require('ms');
+const MailJob = require('../models/MailJob');
+
+const DEFAULT_INTERVAL = '10s';
+
+// Mail queue stored in MongoDB (see models/MailJob.js). Messages are sent in
+// the background and retried with exponential backoff, so request handlers
+// never wait on the mail server, and messages waiting or retrying are picked
+// up again after a restart. A message whose send was cut short by a crash is
+// sent again once its lock expires, so it may arrive twice.
+module.exports = function createQueue(transport, { maxAttempts = 5, baseDelay = 2000, lockTime = 60000 } = {}) {
+  let draining = false;
+
+  // Take the next due job, locking it so no other worker sends it as well
+  const claim = () => {
+    const now = new Date();
+    return MailJob.findOneAndUpdate(
+      {
+        sendAfter: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      },
+      { $set: { lockedUntil: new Date(now.getTime() + lockTime) } },
+      { sort: { sendAfter: 1 }, new: true }
+    );
+  };
+
+  const attempt = async (job) => {
+    try {
+      await transport.send(job.message);
+      await MailJob.deleteOne({ _id: job._id });
+    } catch (err) {
+      const attempts = job.attempts + 1;
+      if (attempts >= maxAttempts) {
+        console.error(`❌ Giving up on email to ${job.message.to}:`, err.message);
+        await MailJob.deleteOne({ _id: job._id });
+        return;
+      }
+      await MailJob.updateOne({ _id: job._id }, {
+        $set: {
+          attempts,
+          sendAfter: new Date(Date.now() + baseDelay * 2 ** (attempts - 1)),
+          lockedUntil: null
+        }
+      });
+    }
+  };
+
+  const drain = async () => {
+    if (draining) return;
+    draining = true;
+
+    try {
+      let job;
+      while ((job = await claim())) {
+        await attempt(job);
+      }
+    } catch (err) {
+      console.error('❌ Mail queue error:', err.message);
+    } finally {
+      draining = false;
+    }
+  };
+
+  return {
+    // Never throws; a message that can't be stored is logged and dropped
+    enqueue(message) {
+      MailJob.create({ message })
+        .then(() => drain())
+        .catch(err => console.error(`❌ Failed to queue email to ${message.to}:`, err.message));
+    },
+
+    // Send due messages on an interval inside the API process, which also
+    // picks up retries and whatever was left over from before a restart
+    start() {
+      const interval = ms(process.env.MAIL_QUEUE_INTERVAL || DEFAULT_INTERVAL);
+      const timer = setInterval(drain, interval);
+      timer.unref();
+      drain();
+      return timer;
+    }
+  };
+};
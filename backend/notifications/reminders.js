@@ -0,0 +1,96 @@
+const ms = require('ms');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const ReminderLog = require('../models/ReminderLog');
+const { sendTemplate } = require('./index');
+
+const DEFAULT_OFFSETS = '24h,1h';
+const DEFAULT_INTERVAL = '1m';
+
+// REMINDER_OFFSETS="24h,1h" -> [86400000, 3600000] (largest first). Empty
+// entries are skipped, so an empty value turns reminders off.
+const parseOffsets = (value = DEFAULT_OFFSETS) => {
+  return value
+    .split(',')
+    .map(offset => offset.trim())
+    .filter(Boolean)
+    .map(offset => ms(offset))
+    .filter(offset => Number.isFinite(offset) && offset > 0)
+    .sort((a, b) => b - a);
+};
+
+// Send the reminders that are due for one offset. An offset only covers the
+// time until the next smaller offset takes over, so someone who RSVPs an hour
+// before the event gets the 1h reminder but not a late 24h one.
+const sendDueReminders = async (offset, nextOffset, now) => {
+  const offsetMinutes = Math.round(offset / 60000);
+  const events = await Event.find({
+    date: {
+      $gt: new Date(now.getTime() + nextOffset),
+      $lte: new Date(now.getTime() + offset)
+    },
+    'attendees.0': { $exists: true },
+    cancelledAt: null
+  });
+
+  for (const event of events) {
+    const users = await User.find({
+      _id: { $in: event.attendeeIds() },
+      remindersEnabled: { $ne: false },
+      mutedReminderEvents: { $ne: event._id }
+    }).select('name email');
+
+    for (const user of users) {
+      try {
+        // Claim the reminder first; the unique index rejects duplicates
+        await ReminderLog.create({ event: event._id, user: user._id, offsetMinutes });
+      } catch (err) {
+        if (err.code === 11000) continue;
+        throw err;
+      }
+
+      sendTemplate(user, 'eventReminder', {
+        event,
+        startsIn: ms(offset, { long: true })
+      });
+    }
+  }
+};
+
+// Check for due reminders on an interval inside the API process
+const startReminderScheduler = () => {
+  const offsets = parseOffsets(process.env.REMINDER_OFFSETS);
+  const interval = ms(process.env.REMINDER_CHECK_INTERVAL || DEFAULT_INTERVAL);
+
+  if (offsets.length === 0) {
+    console.log('⏰ Event reminders disabled (no REMINDER_OFFSETS)');
+    return null;
+  }
+
+  let running = false;
+  const tick = async () => {
+    // Skip a tick rather than overlap with a slow previous run
+    if (running) return;
+    running = true;
+
+    try {
+      const now = new Date();
+      for (let i = 0; i < offsets.length; i++) {
+        await sendDueReminders(offsets[i], offsets[i + 1] || 0, now);
+      }
+    } catch (err) {
+      console.error('❌ Reminder scheduler error:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, interval);
+  timer.unref();
+  tick();
+
+  console.log(`⏰ Event reminders scheduled (${offsets.map(offset => ms(offset)).join(', ')} before start)`);
+  return timer;
+};
+
+module.exports = { startReminderScheduler, parseOffsets };
@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseOffsets } = require('./reminders');
+
+const HOUR = 60 * 60 * 1000;
+
+test('parseOffsets sorts offsets largest first', () => {
+  assert.deepEqual(parseOffsets('1h, 24h'), [24 * HOUR, HOUR]);
+  assert.deepEqual(parseOffsets(), [24 * HOUR, HOUR]);
+});
+
+test('parseOffsets skips empty and invalid entries', () => {
+  assert.deepEqual(parseOffsets('24h,,1h,'), [24 * HOUR, HOUR]);
+  assert.deepEqual(parseOffsets('soon,-1h,1h'), [HOUR]);
+});
+
+test('parseOffsets turns reminders off for an empty value', () => {
+  assert.deepEqual(parseOffsets(''), []);
+  assert.deepEqual(parseOffsets(' , '), []);
+});
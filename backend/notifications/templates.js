@@ -0,0 +1,221 @@
+// Email templates. Each returns { subject, text } for one recipient.
+
+const clientUrl = () => process.env.CLIENT_URL || 'http://localhost:3000';
+
+const eventUrl = (event) => `${clientUrl()}/events/${event._id}`;
+
+const formatWhen = (event) => {
+  return new Date(event.date).toLocaleString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZone: event.timezone || 'UTC',
+    timeZoneName: 'short'
+  });
+};
+
+const eventSummary = (event) => [
+  `  ${event.title}`,
+  `  When:  ${formatWhen(event)}`,
+  `  Where: ${event.location}`,
+  '',
+  `Event page: ${eventUrl(event)}`
+].join('\n');
+
+const ORGANIZER_PERMISSION_LABELS = {
+  edit: 'edit the event details',
+  attendees: 'manage attendees',
+  checkin: 'check attendees in'
+};
+
+const letter = (user, lines) => [
+  `Hi ${user.name},`,
+  '',
+  ...lines,
+  '',
+  '— EventPlatform'
+].join('\n');
+
+module.exports = {
+  verifyEmail: ({ user, token }) => ({
+    subject: 'Please verify your email address',
+    text: letter(user, [
+      'Welcome to EventPlatform! Please confirm your email address by opening this link:',
+      '',
+      `  ${clientUrl()}/verify-email?token=${token}`,
+      '',
+      "You'll be able to create events once your address is verified.",
+      "If you didn't create an account, you can ignore this email."
+    ])
+  }),
+
+  passwordReset: ({ user, token }) => ({
+    subject: 'Reset your EventPlatform password',
+    text: letter(user, [
+      'Someone asked to reset the password for your account. To choose a new password, open this link:',
+      '',
+      `  ${clientUrl()}/reset-password?token=${token}`,
+      '',
+      'The link can only be used once and expires shortly.',
+      "If you didn't ask for this, you can ignore this email; your password won't change."
+    ])
+  }),
+
+  organizerInvite: ({ user, event, inviter, permissions }) => {
+    const abilities = permissions.map(permission => ORGANIZER_PERMISSION_LABELS[permission]);
+    return {
+      subject: `${inviter.name} invited you to co-organize ${event.title}`,
+      text: letter(user, [
+        `${inviter.name} would like you to help organize this event. You'll be able to ${abilities.join(', ')}.`,
+        '',
+        eventSummary(event),
+        '',
+        `To accept, log in (or sign up) with this email address and open My Events: ${clientUrl()}/my-events`
+      ])
+    };
+  },
+
+  eventInvite: ({ user, event, inviter }) => ({
+    subject: `${inviter.name} invited you to ${event.title}`,
+    text: letter(user, [
+      `${inviter.name} invited you to this invite-only event.`,
+      '',
+      eventSummary(event),
+      '',
+      'To RSVP, log in (or sign up) with this email address and verify it, then open the event page.'
+    ])
+  }),
+
+  rsvpRequested: ({ user, event }) => ({
+    subject: `Your request to join ${event.title}`,
+    text: letter(user, [
+      "The organizers approve everyone who joins this event, so we've passed your request on to them.",
+      "We'll email you as soon as they have decided.",
+      '',
+      eventSummary(event)
+    ])
+  }),
+
+  rsvpRequestReceived: ({ user, event }) => ({
+    subject: `New request to join ${event.title}`,
+    text: letter(user, [
+      'Someone asked to join your event.',
+      'You can approve or decline the request in the attendee list on the event page.',
+      '',
+      eventSummary(event)
+    ])
+  }),
+
+  rsvpDeclined: ({ user, event }) => ({
+    subject: `Your request to join ${event.title} was declined`,
+    text: letter(user, [
+      "Sorry, the organizers couldn't accept your request to join this event.",
+      '',
+      eventSummary(event)
+    ])
+  }),
+
+  rsvpConfirmed: ({ user, event }) => ({
+    subject: `You're going to ${event.title}`,
+    text: letter(user, [
+      'Your RSVP is confirmed. See you there!',
+      '',
+      eventSummary(event)
+    ])
+  }),
+
+  waitlistJoined: ({ user, event, position }) => ({
+    subject: `You're on the waitlist for ${event.title}`,
+    text: letter(user, [
+      `The event is full, so you're #${position} on the waitlist.`,
+      "We'll email you as soon as a spot opens up and you've been moved to the attendee list.",
+      '',
+      eventSummary(event)
+    ])
+  }),
+
+  rsvpCancelled: ({ user, event }) => ({
+    subject: `Your RSVP for ${event.title} was cancelled`,
+    text: letter(user, [
+      "You're no longer registered for this event.",
+      '',
+      eventSummary(event)
+    ])
+  }),
+
+  attendeeRemoved: ({ user, event }) => ({
+    subject: `You're no longer registered for ${event.title}`,
+    text: letter(user, [
+      'The organizers have removed you from the attendee list of this event.',
+      'If you think this is a mistake, please get in touch with them.',
+      '',
+      eventSummary(event)
+    ])
+  }),
+
+  waitlistPromoted: ({ user, event }) => ({
+    subject: `A spot opened up: you're going to ${event.title}`,
+    text: letter(user, [
+      "Good news! A spot opened up and you've been moved from the waitlist to the attendee list.",
+      "If you can't make it any more, please cancel your RSVP so someone else can go.",
+      '',
+      eventSummary(event)
+    ])
+  }),
+
+  eventUpdated: ({ user, event, changes }) => ({
+    subject: `${event.title} has been updated`,
+    text: letter(user, [
+      `The organizer changed the following details: ${changes.join(', ')}.`,
+      '',
+      eventSummary(event)
+    ])
+  }),
+
+  eventReminder: ({ user, event, startsIn }) => ({
+    subject: `Reminder: ${event.title} starts in ${startsIn}`,
+    text: letter(user, [
+      `Just a reminder that an event you're attending starts in ${startsIn}.`,
+      '',
+      eventSummary(event),
+      '',
+      'You can turn off reminders for this event on the event page, or for all events in your profile.'
+    ])
+  }),
+
+  eventCancelled: ({ user, event }) => ({
+    subject: `${event.title} has been cancelled`,
+    text: letter(user, [
+      'Unfortunately the organizer has cancelled this event.',
+      ...(event.cancellationReason ? ['', `  "${event.cancellationReason}"`] : []),
+      '',
+      eventSummary(event),
+      '',
+      'If you paid for a ticket, the organizers will refund it.'
+    ])
+  }),
+
+  eventRestored: ({ user, event }) => ({
+    subject: `${event.title} is back on`,
+    text: letter(user, [
+      'The organizer has restored this event, which was removed by mistake.',
+      'Your RSVP is still in place.',
+      '',
+      eventSummary(event)
+    ])
+  }),
+
+  eventDeleted: ({ user, event }) => ({
+    subject: `${event.title} has been cancelled`,
+    text: letter(user, [
+      'Unfortunately the organizer has cancelled this event.',
+      '',
+      `  ${event.title}`,
+      `  When:  ${formatWhen(event)}`,
+      `  Where: ${event.location}`
+    ])
+  })
+};
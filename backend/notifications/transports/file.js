@@ -0,0 +1,30 @@
+const fs = require('fs');
+const path = require('path');
+
+// Development/test transport: writes every message to disk as an .eml file
+// instead of sending it, so emails can be inspected locally.
+module.exports = function createFileTransport({ dir }) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  return {
+    name: 'file',
+
+    async send(message) {
+      const fileName = `${Date.now()}-${Math.round(Math.random() * 1E9)}.eml`;
+      const content = [
+        `From: ${message.from}`,
+        `To: ${message.to}`,
+        `Subject: ${message.subject}`,
+        `Date: ${new Date().toUTCString()}`,
+        'Content-Type: text/plain; charset=utf-8',
+        '',
+        message.text
+      ].join('\r\n');
+
+      await fs.promises.writeFile(path.join(dir, fileName), content);
+      return { id: fileName };
+    }
+  };
+};
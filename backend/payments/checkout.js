@@ -0,0 +1,148 @@
+const ms = require('ms');
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const { getProvider } = require('./index');
+const { notifyUsers } = require('../notifications');
+const { broadcastAvailability } = require('../utils/live');
+const { logActivity, logPromotions } = require('../utils/activity');
+const { SYSTEM, recordAudit, auditPromotions } = require('../utils/audit');
+
+const DEFAULT_HOLD_TIME = '15m';
+const DEFAULT_SWEEP_INTERVAL = '30s';
+
+// How long seats stay reserved while someone pays
+const holdTime = () => ms(process.env.CHECKOUT_HOLD_TIME || DEFAULT_HOLD_TIME);
+
+// Settle a checkout hold against its payment. A paid hold becomes an RSVP and
+// a failed one is released. A pending one is kept until it expires, or until
+// the buyer gives up (release), and then its payment is cancelled and the
+// seats are released. context is who is settling it, for the audit log; the
+// sweeper settles expired holds as SYSTEM.
+// Returns { status, event, attendee } where status is 'paid', 'released',
+// 'pending' or 'missing' (the hold was already settled). Holds on deleted
+// events are settled too, so their payments don't stay open.
+const settleHold = async (eventId, holdId, { release = false, context = SYSTEM } = {}) => {
+  const current = await Event.findById(eventId).setOptions({ withDeleted: true });
+  const hold = current && current.holds.id(holdId);
+  if (!hold) return { status: 'missing' };
+
+  const provider = getProvider();
+  // Without a payment id the payment is still being created, and without a
+  // provider it can't be paid any more
+  let paymentStatus = 'failed';
+  if (provider) {
+    paymentStatus = hold.paymentId ? (await provider.getPayment(hold.paymentId)).status : 'pending';
+  }
+
+  if (paymentStatus === 'pending') {
+    if (!release && hold.expiresAt > new Date()) {
+      return { status: 'pending', event: current };
+    }
+    if (hold.paymentId) {
+      await provider.cancelPayment(hold.paymentId);
+      // The buyer may have paid just before the payment was cancelled
+      paymentStatus = (await provider.getPayment(hold.paymentId)).status;
+    }
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const event = await Event.findById(eventId).setOptions({ withDeleted: true }).session(session);
+    const held = event && event.holds.id(holdId);
+
+    if (!held) {
+      await session.abortTransaction();
+      session.endSession();
+      return { status: 'missing' };
+    }
+
+    let attendee = null;
+    let promoted = [];
+    if (paymentStatus === 'paid') {
+      attendee = event.completeHold(held);
+    } else {
+      // Seats given back may let people on the waitlist in
+      event.holds.pull(held._id);
+      promoted = event.promoteFromWaitlist();
+    }
+    await event.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+    broadcastAvailability(event);
+
+    if (attendee) {
+      notifyUsers([attendee.user], 'rsvpConfirmed', { event });
+      logActivity(event, 'rsvp', { user: attendee.user, seats: attendee.seats, source: held.source });
+    }
+    notifyUsers(promoted, 'waitlistPromoted', { event });
+    logPromotions(event, promoted);
+
+    recordAudit(context, event, attendee ? 'checkout.paid' : 'checkout.release', {
+      subject: held.user,
+      details: {
+        hold: held._id,
+        payment: held.paymentId,
+        paymentStatus,
+        amount: held.amount,
+        ...(attendee ? { attendee: attendee._id } : {})
+      }
+    });
+    auditPromotions(context, event, promoted);
+
+    return { status: attendee ? 'paid' : 'released', event, attendee };
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
+};
+
+// Release every open checkout of an event that was cancelled or deleted.
+// A hold whose payment already went through still becomes an RSVP; the
+// organizers refund it.
+const releaseHolds = async (event, context = SYSTEM) => {
+  for (const hold of event.holds) {
+    await settleHold(event._id, hold._id, { release: true, context })
+      .catch(err => console.error('❌ Failed to release checkout:', err.message));
+  }
+};
+
+// Settle expired holds on an interval inside the API process, so seats of
+// abandoned checkouts go back on sale even if the buyer never returns
+const startHoldSweeper = () => {
+  const interval = ms(process.env.CHECKOUT_SWEEP_INTERVAL || DEFAULT_SWEEP_INTERVAL);
+
+  let running = false;
+  const tick = async () => {
+    // Skip a tick rather than overlap with a slow previous run
+    if (running) return;
+    running = true;
+
+    try {
+      const now = new Date();
+      const events = await Event.find({ 'holds.expiresAt': { $lte: now } })
+        .setOptions({ withDeleted: true })
+        .select('holds');
+      for (const event of events) {
+        for (const hold of event.holds.filter(held => held.expiresAt <= now)) {
+          await settleHold(event._id, hold._id);
+        }
+      }
+    } catch (err) {
+      console.error('❌ Checkout sweeper error:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, interval);
+  timer.unref();
+  tick();
+
+  return timer;
+};
+
+module.exports = { holdTime, settleHold, releaseHolds, startHoldSweeper };
@@ -0,0 +1,43 @@
+const createFakeProvider = require('./providers/fake');
+
+// Paid tickets go through a payment provider. Every provider implements:
+//
+//   createPayment({ amount, currency, description, reference, returnUrl })
+//     -> { id, checkoutUrl }  Start a payment; the buyer pays at checkoutUrl
+//                             and is sent back to returnUrl afterwards.
+//   getPayment(id)
+//     -> { id, status }       status is 'pending', 'paid' or 'failed'
+//   cancelPayment(id)         Give up on a payment that was never completed.
+//
+// Amounts are in the smallest currency unit (cents). PAYMENT_PROVIDER picks
+// the provider and has to be set on purpose: without it paid tickets are not
+// on sale. 'fake' takes payments offline and is refused in production, where
+// it would hand out tickets for free.
+const createProvider = () => {
+  const name = process.env.PAYMENT_PROVIDER;
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+
+  if (!name) {
+    return null;
+  }
+  if (name === 'fake') {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error("The 'fake' payment provider can't be used in production");
+    }
+    return createFakeProvider({ clientUrl });
+  }
+  throw new Error(`Unknown payment provider: ${name}`);
+};
+
+// Created on first use, once the environment has been loaded
+let provider;
+
+// The configured provider, or null when paid tickets are not on sale
+const getProvider = () => {
+  if (provider === undefined) {
+    provider = createProvider();
+  }
+  return provider;
+};
+
+module.exports = { getProvider };
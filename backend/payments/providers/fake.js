@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+
+// Offline payment provider for development and tests. Payments are kept in
+// memory and paid (or declined) on the app's own fake checkout page,
+// /fake-pay/:paymentId, so the whole checkout can be tried without an
+// account anywhere. Payments are forgotten when the server restarts.
+module.exports = function createFakeProvider({ clientUrl }) {
+  const payments = new Map();
+
+  return {
+    name: 'fake',
+
+    async createPayment({ amount, currency, description, returnUrl }) {
+      const id = `fake_${crypto.randomBytes(12).toString('hex')}`;
+      payments.set(id, { id, amount, currency, description, returnUrl, status: 'pending' });
+      return { id, checkoutUrl: `${clientUrl}/fake-pay/${id}` };
+    },
+
+    async getPayment(id) {
+      // Unknown payments were lost in a restart and can't be paid any more
+      const payment = payments.get(id);
+      return { id, status: payment ? payment.status : 'failed' };
+    },
+
+    async cancelPayment(id) {
+      const payment = payments.get(id);
+      if (payment && payment.status === 'pending') {
+        payment.status = 'failed';
+      }
+    },
+
+    // Only on the fake provider: what its checkout page shows, and paying or
+    // declining there. Returns the payment, or null if it doesn't exist.
+    findPayment(id) {
+      const payment = payments.get(id);
+      return payment ? { ...payment } : null;
+    },
+
+    completePayment(id, paid) {
+      const payment = payments.get(id);
+      if (!payment) return null;
+      if (payment.status === 'pending') {
+        payment.status = paid ? 'paid' : 'failed';
+      }
+      return { ...payment };
+    }
+  };
+};
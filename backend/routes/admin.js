@@ -0,0 +1,418 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Event = require('../models/Event');
+const Session = require('../models/Session');
+const AccountToken = require('../models/AccountToken');
+const ReminderLog = require('../models/ReminderLog');
+const Report = require('../models/Report');
+const AuditLog = require('../models/AuditLog');
+const { ROLES } = require('../utils/permissions');
+const { escapeRegex } = require('../utils/text');
+const { cancelEvents, deleteEvents } = require('../utils/trash');
+const { requestContext, recordAudit, auditPromotions, listAuditEntries } = require('../utils/audit');
+const { notifyUsers } = require('../notifications');
+const { settleHold } = require('../payments/checkout');
+const { broadcastAvailability } = require('../utils/live');
+const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+
+const USER_FIELDS = 'name email role emailVerified suspendedAt suspensionReason createdAt';
+
+// Everything in here needs a login; each route checks its own permission
+router.use(auth);
+
+// Load the :id user for the user management routes, refusing to act on the
+// admin's own account so they can't lock themselves out by accident
+const findOtherUser = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ message: 'User not found' });
+    return null;
+  }
+
+  if (req.params.id === req.user.id) {
+    res.status(400).json({ message: 'You cannot do that to your own account' });
+    return null;
+  }
+
+  const user = await User.findById(req.params.id).select(USER_FIELDS);
+  if (!user) {
+    res.status(404).json({ message: 'User not found' });
+    return null;
+  }
+
+  return user;
+};
+
+// List users
+// Query: q (name or email), role, status (active|suspended), page, limit
+router.get('/users', permit('users:manage'), async (req, res) => {
+  try {
+    const { q, role, status } = req.query;
+    const filter = {};
+
+    if (q) {
+      const pattern = { $regex: escapeRegex(String(q)), $options: 'i' };
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+    if (role && ROLES.includes(role)) {
+      filter.role = role;
+    }
+    if (status === 'suspended') {
+      filter.suspendedAt = { $ne: null };
+    } else if (status === 'active') {
+      filter.suspendedAt = null;
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select(USER_FIELDS)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({
+      users,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Change a user's role
+router.put('/users/:id/role', permit('users:manage'), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    const user = await findOtherUser(req, res);
+    if (!user) return;
+
+    user.role = role;
+    await user.save();
+
+    res.json(user);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Suspend a user. Their sessions are revoked and the auth middleware rejects
+// any access token they still hold.
+router.put('/users/:id/suspend', permit('users:manage'), async (req, res) => {
+  try {
+    const user = await findOtherUser(req, res);
+    if (!user) return;
+
+    user.suspendedAt = user.suspendedAt || new Date();
+    user.suspensionReason = String(req.body.reason || '').trim();
+    await user.save();
+
+    await Session.updateMany(
+      { user: user._id, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    res.json(user);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Lift a suspension
+router.put('/users/:id/unsuspend', permit('users:manage'), async (req, res) => {
+  try {
+    const user = await findOtherUser(req, res);
+    if (!user) return;
+
+    user.suspendedAt = null;
+    user.suspensionReason = '';
+    await user.save();
+
+    res.json(user);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+const ACCOUNT_DELETED_REASON = "The organizer's account has been closed.";
+
+// Delete a user together with everything that belongs to them: their events
+// (cancelled, so attendees are told, and then deleted), their RSVPs, waitlist
+// spots, pending requests and checkouts (freed spots go to the next people in
+// line), sessions, tokens and reports.
+router.delete('/users/:id', permit('users:manage'), async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const user = await findOtherUser(req, res);
+    if (!user) {
+      await session.abortTransaction();
+      session.endSession();
+      return;
+    }
+
+    const context = requestContext(req);
+
+    // Cancel their unfinished checkouts with the payment provider. A payment
+    // that already went through becomes an RSVP, released with the others below.
+    const checkouts = await Event.find({ 'holds.user': user._id })
+      .setOptions({ withDeleted: true })
+      .select('holds');
+    for (const event of checkouts) {
+      for (const hold of event.holds.filter(held => held.user.equals(user._id))) {
+        await settleHold(event._id, hold._id, { release: true, context });
+      }
+    }
+
+    // Give up their places in other people's events
+    const joinedEvents = await Event.find({
+      $or: [{ 'attendees.user': user._id }, { 'waitlist.user': user._id }]
+    })
+      .setOptions({ withDeleted: true })
+      .session(session);
+
+    const promotions = [];
+    const released = [];
+    for (const event of joinedEvents) {
+      const place = event.findAttendee(user._id) || event.findWaitlisted(user._id);
+      released.push({ event, seats: place.seats });
+      event.removeAttendee(user._id);
+      event.removeFromWaitlist(user._id);
+      promotions.push({ event, promoted: event.promoteFromWaitlist() });
+      await event.save({ session });
+    }
+
+    await Event.updateMany(
+      { 'requests.user': user._id },
+      { $pull: { requests: { user: user._id } } },
+      { session, withDeleted: true }
+    );
+
+    // Drop them as a co-organizer, including invites that were never accepted
+    await Event.updateMany(
+      { organizers: { $elemMatch: { $or: [{ user: user._id }, { email: user.email }] } } },
+      { $pull: { organizers: { $or: [{ user: user._id }, { email: user.email }] } } },
+      { session, withDeleted: true }
+    );
+
+    await Session.deleteMany({ user: user._id }, { session });
+    await AccountToken.deleteMany({ user: user._id }, { session });
+    await ReminderLog.deleteMany({ user: user._id }, { session });
+    await Report.deleteMany({ reporter: user._id }, { session });
+    await User.deleteOne({ _id: user._id }, { session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    // Their events are cancelled, so everyone going is told, and deleted the
+    // same way organizers delete events. They can't be restored without an
+    // organizer and are purged with the other deleted events.
+    const ownEvents = await Event.find({ creator: user._id });
+    await cancelEvents(
+      ownEvents.filter(event => !event.cancelledAt && !event.hasEnded()),
+      ACCOUNT_DELETED_REASON,
+      context
+    );
+    await deleteEvents(ownEvents, context, { reason: 'account deleted' });
+
+    joinedEvents.forEach(event => broadcastAvailability(event));
+    released.forEach(({ event, seats }) => {
+      recordAudit(context, event, 'attendee.remove', {
+        subject: user._id,
+        details: { seats, reason: 'account deleted' }
+      });
+    });
+    promotions.forEach(({ event, promoted }) => {
+      notifyUsers(promoted, 'waitlistPromoted', { event });
+      auditPromotions(context, event, promoted);
+    });
+
+    res.json({
+      message: 'User deleted successfully',
+      deletedEvents: ownEvents.length,
+      releasedRsvps: joinedEvents.length
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// List events with open reports, most reported first
+router.get('/reports', permit('reports:review'), async (req, res) => {
+  try {
+    const reports = await Report.find({ status: 'open' })
+      .populate('reporter', 'name email')
+      .populate({
+        path: 'event',
+        select: 'title date timezone location creator',
+        populate: { path: 'creator', select: 'name email' }
+      })
+      .sort({ createdAt: -1 });
+
+    const byEvent = new Map();
+    reports.forEach(report => {
+      // The event may have been deleted since it was reported
+      if (!report.event) return;
+
+      const key = report.event._id.toString();
+      if (!byEvent.has(key)) {
+        byEvent.set(key, { event: report.event, reports: [] });
+      }
+      byEvent.get(key).reports.push({
+        _id: report._id,
+        reason: report.reason,
+        reporter: report.reporter,
+        createdAt: report.createdAt
+      });
+    });
+
+    const flagged = [...byEvent.values()]
+      .map(entry => ({ ...entry, reportCount: entry.reports.length }))
+      .sort((a, b) => b.reportCount - a.reportCount);
+
+    res.json(flagged);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Dismiss the open reports for an event, leaving the event up
+router.put('/reports/:eventId/dismiss', permit('reports:review'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.eventId)) {
+      return res.status(404).json({ message: 'No open reports for this event' });
+    }
+
+    const result = await Report.updateMany(
+      { event: req.params.eventId, status: 'open' },
+      { $set: { status: 'dismissed', reviewedBy: req.user.id, reviewedAt: new Date() } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ message: 'No open reports for this event' });
+    }
+
+    res.json({ message: 'Reports dismissed' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Audit log of every event, newest first
+// Query: event (id), email (entries by or about that user), action, page, limit
+router.get('/audit', permit('audit:view'), async (req, res) => {
+  try {
+    const { event, email, action } = req.query;
+    const filter = {};
+
+    if (event) {
+      if (!mongoose.Types.ObjectId.isValid(event)) {
+        return res.status(400).json({ message: 'Invalid event id' });
+      }
+      filter.event = event;
+    }
+    if (email) {
+      const user = await User.findOne({ email: String(email).toLowerCase().trim() }).select('_id');
+      // Entries about deleted accounts can still be found by event
+      if (!user) {
+        return res.status(404).json({ message: 'No account found with that email' });
+      }
+      filter.$or = [{ actor: user._id }, { subject: user._id }];
+    }
+    if (action && AuditLog.schema.path('action').enumValues.includes(action)) {
+      filter.action = action;
+    }
+
+    res.json(await listAuditEntries(filter, req.query, { includeIp: true }));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Platform-wide numbers for the admin dashboard
+router.get('/stats', permit('stats:view'), async (req, res) => {
+  try {
+    const now = new Date();
+    const monthAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    const [
+      usersByRole,
+      totalUsers,
+      suspendedUsers,
+      newUsers,
+      totalEvents,
+      upcomingEvents,
+      seats,
+      openReports
+    ] = await Promise.all([
+      // Accounts from before roles existed count as organizers (the default)
+      User.aggregate([
+        { $group: { _id: { $ifNull: ['$role', 'organizer'] }, count: { $sum: 1 } } }
+      ]),
+      User.countDocuments(),
+      User.countDocuments({ suspendedAt: { $ne: null } }),
+      User.countDocuments({ createdAt: { $gte: monthAgo } }),
+      Event.countDocuments(),
+      Event.countDocuments({ date: { $gte: now } }),
+      Event.aggregate([{
+        $group: {
+          _id: null,
+          rsvps: { $sum: { $size: '$attendees' } },
+          seatsTaken: { $sum: { $sum: '$attendees.seats' } },
+          waitlisted: { $sum: { $size: '$waitlist' } },
+          capacity: { $sum: '$capacity' }
+        }
+      }]),
+      Report.countDocuments({ status: 'open' })
+    ]);
+
+    const roles = Object.fromEntries(ROLES.map(role => [role, 0]));
+    usersByRole.forEach(({ _id, count }) => {
+      if (_id in roles) roles[_id] = count;
+    });
+
+    const totals = seats[0] || { rsvps: 0, seatsTaken: 0, waitlisted: 0, capacity: 0 };
+
+    res.json({
+      users: {
+        total: totalUsers,
+        suspended: suspendedUsers,
+        newLast30Days: newUsers,
+        byRole: roles
+      },
+      events: {
+        total: totalEvents,
+        upcoming: upcomingEvents,
+        past: totalEvents - upcomingEvents
+      },
+      rsvps: {
+        total: totals.rsvps,
+        seats: totals.seatsTaken,
+        waitlisted: totals.waitlisted,
+        fillRate: totals.capacity ? totals.seatsTaken / totals.capacity : 0
+      },
+      openReports
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
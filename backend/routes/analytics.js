@@ -0,0 +1,190 @@
+const express = require('express');
+const router = express.Router();
+const Event = require('../models/Event');
+const EventActivity = require('../models/EventActivity');
+const { canManageEvent } = require('../utils/permissions');
+const { isValidTimeZone } = require('../utils/timezone');
+const auth = require('../middleware/auth');
+
+// Organizer analytics built from the event activity log (models/EventActivity.js)
+// and the events' current attendee lists
+router.use(auth);
+
+const MAX_SOURCES = 10;
+
+// Activity types as they are counted in the analytics
+const COUNTERS = {
+  view: 'views',
+  rsvp: 'rsvps',
+  cancel: 'cancellations',
+  waitlist: 'waitlistJoins',
+  request: 'requests'
+};
+
+const emptyCounts = () => ({ views: 0, rsvps: 0, cancellations: 0, waitlistJoins: 0, requests: 0 });
+
+// Percentage with one decimal, 0 when there is nothing to compare with
+const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0);
+
+// Seats, fill rate, check-in rate and revenue of one event, from its
+// current attendee list. Check-ins are counted in seats like the door count.
+const summarizeEvent = (event) => {
+  const seatsTaken = event.seatsTaken();
+  const checkedIn = event.attendees
+    .filter(attendee => attendee.checkedInAt)
+    .reduce((total, attendee) => total + attendee.seats, 0);
+
+  return {
+    _id: event._id,
+    title: event.title,
+    date: event.date,
+    capacity: event.capacity,
+    seatsTaken,
+    fillRate: rate(seatsTaken, event.capacity),
+    checkedIn,
+    checkInRate: rate(checkedIn, seatsTaken),
+    waitlist: event.waitlist.length,
+    revenue: event.attendees.reduce((total, attendee) => total + (attendee.amountPaid || 0), 0),
+    currency: event.currency
+  };
+};
+
+// Activity of the given events: counts per event, a day-by-day timeline (days
+// in timeZone), views and RSVPs per source, and the top referring sites
+const summarizeActivity = async (eventIds, timeZone) => {
+  const match = { event: { $in: eventIds } };
+
+  const [byEvent, byDay, bySource, byReferrer] = await Promise.all([
+    EventActivity.aggregate([
+      { $match: match },
+      { $group: { _id: { event: '$event', type: '$type' }, count: { $sum: 1 } } }
+    ]),
+    EventActivity.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: timeZone } },
+            type: '$type'
+          },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { '_id.day': 1 } }
+    ]),
+    EventActivity.aggregate([
+      { $match: { ...match, type: { $in: ['view', 'rsvp'] } } },
+      { $group: { _id: { source: '$source', type: '$type' }, count: { $sum: 1 } } }
+    ]),
+    EventActivity.aggregate([
+      { $match: { ...match, type: 'view', referrer: { $ne: null } } },
+      { $group: { _id: '$referrer', views: { $sum: 1 } } },
+      { $sort: { views: -1 } },
+      { $limit: MAX_SOURCES }
+    ])
+  ]);
+
+  const counts = new Map(eventIds.map(id => [id.toString(), emptyCounts()]));
+  const totals = emptyCounts();
+  byEvent.forEach(({ _id, count }) => {
+    counts.get(_id.event.toString())[COUNTERS[_id.type]] += count;
+    totals[COUNTERS[_id.type]] += count;
+  });
+
+  const days = new Map();
+  byDay.forEach(({ _id, count }) => {
+    if (!days.has(_id.day)) days.set(_id.day, { day: _id.day, ...emptyCounts() });
+    days.get(_id.day)[COUNTERS[_id.type]] += count;
+  });
+
+  const sources = new Map();
+  bySource.forEach(({ _id, count }) => {
+    if (!sources.has(_id.source)) sources.set(_id.source, { source: _id.source, views: 0, rsvps: 0 });
+    sources.get(_id.source)[COUNTERS[_id.type]] += count;
+  });
+
+  return {
+    counts,
+    totals: { ...totals, conversionRate: rate(totals.rsvps, totals.views) },
+    timeline: [...days.values()],
+    sources: [...sources.values()]
+      .sort((a, b) => b.views - a.views || b.rsvps - a.rsvps)
+      .slice(0, MAX_SOURCES)
+      .map(source => ({ ...source, conversionRate: rate(source.rsvps, source.views) })),
+    referrers: byReferrer.map(({ _id, views }) => ({ referrer: _id, views }))
+  };
+};
+
+// Analytics across every event the user created. Days are counted in the
+// ?timezone= given (default UTC). Revenue is summed per currency.
+router.get('/', async (req, res) => {
+  try {
+    const timeZone = isValidTimeZone(req.query.timezone) ? req.query.timezone : 'UTC';
+    const events = await Event.find({ creator: req.user.id }).sort({ date: -1 });
+    const activity = await summarizeActivity(events.map(event => event._id), timeZone);
+
+    const summaries = events.map(event => ({
+      ...summarizeEvent(event),
+      ...activity.counts.get(event._id.toString())
+    }));
+
+    const seatsTaken = summaries.reduce((total, event) => total + event.seatsTaken, 0);
+    const capacity = summaries.reduce((total, event) => total + event.capacity, 0);
+    const checkedIn = summaries.reduce((total, event) => total + event.checkedIn, 0);
+    const revenue = {};
+    summaries.forEach(event => {
+      if (event.revenue > 0) {
+        revenue[event.currency] = (revenue[event.currency] || 0) + event.revenue;
+      }
+    });
+
+    res.json({
+      totals: {
+        ...activity.totals,
+        events: events.length,
+        seatsTaken,
+        capacity,
+        fillRate: rate(seatsTaken, capacity),
+        checkedIn,
+        checkInRate: rate(checkedIn, seatsTaken),
+        revenue
+      },
+      events: summaries,
+      timeline: activity.timeline,
+      sources: activity.sources,
+      referrers: activity.referrers
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Analytics of one event, for organizers who manage its attendees. Days are
+// counted in the event's time zone.
+router.get('/events/:id', async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!canManageEvent(req.user, event, 'events:edit_any', 'attendees')) {
+      return res.status(403).json({ message: 'Not authorized to view analytics' });
+    }
+
+    const activity = await summarizeActivity([event._id], event.timezone);
+
+    res.json({
+      event: summarizeEvent(event),
+      totals: activity.totals,
+      timeline: activity.timeline,
+      sources: activity.sources,
+      referrers: activity.referrers
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,466 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const { canManageEvent } = require('../utils/permissions');
+const { sendCsv } = require('../utils/csv');
+const { answersById } = require('../utils/questions');
+const { notifyUsers } = require('../notifications');
+const { logActivity, logPromotions } = require('../utils/activity');
+const { requestContext, recordAudit, auditPromotions } = require('../utils/audit');
+const { broadcastAvailability } = require('../utils/live');
+const auth = require('../middleware/auth');
+
+// Attendee management for an event's organizers, mounted at
+// /api/events/:id/attendees. Everything here needs the 'attendees' organizer
+// permission (or events:edit_any).
+router.use(auth);
+
+const canManageAttendees = (user, event) => {
+  return canManageEvent(user, event, 'events:edit_any', 'attendees');
+};
+
+// Attendees, waitlist and pending requests with contact details and answers,
+// in RSVP order
+const buildAttendeeList = async (event) => {
+  const ids = [...event.attendeeIds(), ...event.waitlistIds(), ...event.requestIds()];
+  const users = await User.find({ _id: { $in: ids } }).select('name email');
+  const byId = new Map(users.map(user => [user._id.toString(), user]));
+
+  const tierName = (tierId) => {
+    const tier = tierId && event.tiers.id(tierId);
+    return tier ? tier.name : null;
+  };
+
+  const describe = (id) => {
+    const user = byId.get(id.toString());
+    return {
+      _id: id,
+      name: user ? user.name : 'Deleted user',
+      email: user ? user.email : ''
+    };
+  };
+
+  return {
+    attendees: event.attendees.map(attendee => ({
+      ...describe(attendee.user),
+      seats: attendee.seats,
+      guestNames: attendee.guestNames,
+      tier: tierName(attendee.tier),
+      amountPaid: attendee.amountPaid,
+      answers: answersById(attendee.answers),
+      rsvpAt: attendee.rsvpAt,
+      checkedInAt: attendee.checkedInAt,
+      noShow: attendee.noShow
+    })),
+    waitlist: event.waitlist.map((entry, index) => ({
+      ...describe(entry.user),
+      seats: entry.seats,
+      guestNames: entry.guestNames,
+      tier: tierName(entry.tier),
+      answers: answersById(entry.answers),
+      position: index + 1
+    })),
+    requests: event.requests.map(request => ({
+      ...describe(request.user),
+      seats: request.seats,
+      guestNames: request.guestNames,
+      tier: tierName(request.tier),
+      answers: answersById(request.answers),
+      requestedAt: request.requestedAt
+    }))
+  };
+};
+
+// Get attendees and waitlist with emails
+router.get('/', async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!canManageAttendees(req.user, event)) {
+      return res.status(403).json({ message: 'Not authorized to manage attendees' });
+    }
+
+    res.json(await buildAttendeeList(event));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Download attendees and waitlist as CSV
+router.get('/export.csv', async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!canManageAttendees(req.user, event)) {
+      return res.status(403).json({ message: 'Not authorized to manage attendees' });
+    }
+
+    const { attendees, waitlist } = await buildAttendeeList(event);
+    const rows = [
+      ...attendees.map(attendee => [
+        attendee.name,
+        attendee.email,
+        'attending',
+        attendee.seats,
+        attendee.guestNames.join('; '),
+        attendee.tier || '',
+        attendee.amountPaid > 0 ? (attendee.amountPaid / 100).toFixed(2) : '',
+        '',
+        attendee.checkedInAt ? attendee.checkedInAt.toISOString() : '',
+        attendee.noShow ? 'yes' : 'no'
+      ]),
+      ...waitlist.map(waiting => [
+        waiting.name,
+        waiting.email,
+        'waitlisted',
+        waiting.seats,
+        waiting.guestNames.join('; '),
+        waiting.tier || '',
+        '',
+        waiting.position,
+        '',
+        ''
+      ])
+    ];
+
+    sendCsv(
+      res,
+      `event-${event._id}-attendees.csv`,
+      ['Name', 'Email', 'Status', 'Seats', 'Guests', 'Ticket', `Paid (${event.currency})`, 'Waitlist position', 'Checked in at', 'No-show'],
+      rows
+    );
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Download everyone's answers to the registration questions as CSV, one
+// column per question
+router.get('/responses.csv', async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!canManageAttendees(req.user, event)) {
+      return res.status(403).json({ message: 'Not authorized to manage attendees' });
+    }
+
+    const { attendees, waitlist, requests } = await buildAttendeeList(event);
+    const people = [
+      ...attendees.map(attendee => ({ ...attendee, status: 'attending' })),
+      ...waitlist.map(waiting => ({ ...waiting, status: 'waitlisted' })),
+      ...requests.map(request => ({ ...request, status: 'requested' }))
+    ];
+
+    sendCsv(
+      res,
+      `event-${event._id}-responses.csv`,
+      ['Name', 'Email', 'Status', 'Seats', ...event.questions.map(question => question.label)],
+      people.map(person => [
+        person.name,
+        person.email,
+        person.status,
+        person.seats,
+        ...event.questions.map(question => (person.answers[question._id] || []).join('; '))
+      ])
+    );
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Add a registered user as an attendee by email. Someone on the waitlist or
+// with a pending request is moved up with the seats they asked for; the event
+// must have room for them.
+router.post('/', async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const email = String(req.body.email || '').toLowerCase().trim();
+    const event = await Event.findById(req.params.id).session(session);
+    const user = await User.findOne({ email }).select('name email').session(session);
+
+    if (!event) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!canManageAttendees(req.user, event)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(403).json({ message: 'Not authorized to manage attendees' });
+    }
+
+    if (event.cancelledAt) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: 'This event has been cancelled' });
+    }
+
+    if (!user) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({ message: 'No account found with that email' });
+    }
+
+    if (event.findAttendee(user._id)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: `${user.name} is already attending` });
+    }
+
+    // Someone waiting or asking to join keeps their ticket type, seats and answers
+    const waiting = event.findWaitlisted(user._id) || event.findRequest(user._id);
+    const entry = waiting
+      ? Event.registrationOf(waiting)
+      : { user: user._id, seats: 1, guestNames: [], answers: [] };
+    const { seats } = entry;
+
+    if (seats > event.seatsLeftFor(entry.tier)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        message: entry.tier
+          ? 'Not enough free seats in their ticket type; raise its quantity or the capacity to add them'
+          : 'Not enough free seats; raise the capacity to add more people'
+      });
+    }
+
+    event.removeFromWaitlist(user._id);
+    const request = event.findRequest(user._id);
+    if (request) event.requests.pull(request._id);
+    event.attendees.push(entry);
+    await event.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+    broadcastAvailability(event);
+
+    notifyUsers([user._id], 'rsvpConfirmed', { event });
+    logActivity(event, 'rsvp', { user: user._id, seats, source: 'organizer' });
+    recordAudit(requestContext(req), event, 'attendee.add', {
+      subject: user._id,
+      details: { seats, from: waiting ? (request ? 'request' : 'waitlist') : null }
+    });
+
+    res.status(201).json(await buildAttendeeList(event));
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Approve a pending RSVP request. The requester gets a seat if there is room,
+// and is put on the waitlist otherwise.
+router.post('/requests/:userId/approve', async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const event = await Event.findById(req.params.id).session(session);
+
+    if (!event) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!canManageAttendees(req.user, event)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(403).json({ message: 'Not authorized to manage attendees' });
+    }
+
+    if (event.cancelledAt) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: 'This event has been cancelled' });
+    }
+
+    const request = event.findRequest(req.params.userId);
+    if (!request) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({ message: 'Request not found' });
+    }
+
+    const seated = event.approveRequest(request);
+    await event.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+    broadcastAvailability(event);
+
+    recordAudit(requestContext(req), event, 'request.approve', {
+      subject: request.user,
+      details: { seats: request.seats, seated }
+    });
+
+    if (seated) {
+      notifyUsers([req.params.userId], 'rsvpConfirmed', { event });
+      logPromotions(event, [req.params.userId], 'approval');
+    } else {
+      notifyUsers([req.params.userId], 'waitlistJoined', {
+        event,
+        position: event.waitlistPosition(req.params.userId)
+      });
+    }
+
+    res.json(await buildAttendeeList(event));
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Decline a pending RSVP request
+router.post('/requests/:userId/decline', async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!canManageAttendees(req.user, event)) {
+      return res.status(403).json({ message: 'Not authorized to manage attendees' });
+    }
+
+    const request = event.findRequest(req.params.userId);
+    if (!request) {
+      return res.status(404).json({ message: 'Request not found' });
+    }
+
+    event.requests.pull(request._id);
+    await event.save();
+
+    notifyUsers([req.params.userId], 'rsvpDeclined', { event });
+    recordAudit(requestContext(req), event, 'request.decline', {
+      subject: request.user,
+      details: { seats: request.seats }
+    });
+
+    res.json(await buildAttendeeList(event));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Remove someone from the attendees or the waitlist. Freed seats go to the
+// next people on the waitlist.
+router.delete('/:userId', async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const event = await Event.findById(req.params.id).session(session);
+
+    if (!event) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!canManageAttendees(req.user, event)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(403).json({ message: 'Not authorized to manage attendees' });
+    }
+
+    const removed = event.findAttendee(req.params.userId) || event.findWaitlisted(req.params.userId);
+    const wasAttending = event.removeAttendee(req.params.userId);
+    const wasWaiting = event.removeFromWaitlist(req.params.userId);
+
+    if (!wasAttending && !wasWaiting) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({ message: 'That person is not registered for this event' });
+    }
+
+    const promoted = event.promoteFromWaitlist();
+    await event.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+    broadcastAvailability(event);
+
+    notifyUsers([req.params.userId], 'attendeeRemoved', { event });
+    notifyUsers(promoted, 'waitlistPromoted', { event });
+    if (wasAttending) {
+      logActivity(event, 'cancel', { user: req.params.userId, seats: removed.seats, source: 'organizer' });
+    }
+    logPromotions(event, promoted);
+
+    const context = requestContext(req);
+    recordAudit(context, event, 'attendee.remove', {
+      subject: removed.user,
+      details: {
+        seats: removed.seats,
+        from: wasAttending ? 'attendees' : 'waitlist',
+        ...(wasAttending ? { amountPaid: removed.amountPaid } : {})
+      }
+    });
+    auditPromotions(context, event, promoted);
+
+    res.json(await buildAttendeeList(event));
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Mark (or unmark) an attendee as a no-show once the event has started
+router.put('/:userId/no-show', async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!canManageAttendees(req.user, event)) {
+      return res.status(403).json({ message: 'Not authorized to manage attendees' });
+    }
+
+    const attendee = event.findAttendee(req.params.userId);
+    if (!attendee) {
+      return res.status(404).json({ message: 'That person is not attending this event' });
+    }
+
+    if (event.date > new Date()) {
+      return res.status(400).json({ message: 'No-shows can only be marked once the event has started' });
+    }
+
+    attendee.noShow = req.body.noShow !== false;
+    await event.save();
+
+    recordAudit(requestContext(req), event, 'attendee.no_show', {
+      subject: attendee.user,
+      details: { noShow: attendee.noShow }
+    });
+
+    res.json(await buildAttendeeList(event));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
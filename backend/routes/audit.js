@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const Event = require('../models/Event');
+const AuditLog = require('../models/AuditLog');
+const { canManageEvent } = require('../utils/permissions');
+const { listAuditEntries } = require('../utils/audit');
+const auth = require('../middleware/auth');
+
+// Audit log of one event, mounted at /api/events/:id/audit. Readable by
+// organizers with the 'edit' permission; admins can read it too, and every
+// other event's, from the admin console (routes/admin.js). IP addresses are
+// only shown to admins.
+router.use(auth);
+
+// Who changed what on the event, newest first
+// Query: action, page, limit
+router.get('/', async (req, res) => {
+  try {
+    // The history of a deleted event stays readable until it is purged
+    const event = await Event.findById(req.params.id).setOptions({ withDeleted: true });
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!canManageEvent(req.user, event, 'audit:view', 'edit')) {
+      return res.status(403).json({ message: 'Not authorized to view the audit log' });
+    }
+
+    const filter = { event: event._id };
+    if (req.query.action && AuditLog.schema.path('action').enumValues.includes(req.query.action)) {
+      filter.action = req.query.action;
+    }
+
+    res.json(await listAuditEntries(filter, req.query));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
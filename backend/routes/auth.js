@@ -1,9 +1,23 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const {
+  createSession,
+  rotateRefreshToken,
+  findSessionByRefreshToken,
+  createAccountToken,
+  consumeAccountToken
+} = require('../utils/tokens');
+const { isBootstrapAdmin } = require('../utils/permissions');
+const { sendTemplate } = require('../notifications');
 const auth = require('../middleware/auth');
 
+const sendVerificationEmail = async (user) => {
+  const token = await createAccountToken(user, 'verifyEmail');
+  sendTemplate(user, 'verifyEmail', { token });
+};
+
 // Register User
 router.post('/register', async (req, res) => {
   try {
@@ -25,22 +39,24 @@ router.post('/register', async (req, res) => {
     }
 
     // Create user
+    // Admins listed in ADMIN_EMAILS are promoted once they verify the address
     user = new User({ name, email, password });
     await user.save();
 
-    // Create JWT token
-    const token = jwt.sign(
-      { id: user._id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '30d' }
-    );
+    await sendVerificationEmail(user);
+
+    // Start a session with a short-lived access token and a refresh token
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
-        email: user.email
+        email: user.email,
+        role: user.role,
+        emailVerified: user.emailVerified
       }
     });
   } catch (error) {
@@ -71,19 +87,27 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    // Create JWT token
-    const token = jwt.sign(
-      { id: user._id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '30d' }
-    );
+    if (user.suspendedAt) {
+      return res.status(403).json({ message: 'Your account has been suspended' });
+    }
+
+    if (user.emailVerified && isBootstrapAdmin(user.email) && user.role !== 'admin') {
+      user.role = 'admin';
+      await user.save();
+    }
+
+    // Start a session with a short-lived access token and a refresh token
+    const { token, refreshToken } = await createSession(user, req);
 
     res.json({
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
-        email: user.email
+        email: user.email,
+        role: user.role,
+        emailVerified: user.emailVerified
       }
     });
   } catch (error) {
@@ -92,6 +116,163 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const tokens = await rotateRefreshToken(refreshToken);
+    if (!tokens) {
+      return res.status(401).json({ message: 'Refresh token is not valid' });
+    }
+
+    res.json(tokens);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Logout - revokes the session the refresh token belongs to
+router.post('/logout', async (req, res) => {
+  try {
+    const session = await findSessionByRefreshToken(req.body.refreshToken);
+
+    if (session && !session.revokedAt) {
+      session.revokedAt = new Date();
+      await session.save();
+    }
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Logout from all devices - revokes every session of the current user
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    await Session.updateMany(
+      { user: req.user.id, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    res.json({ message: 'Logged out from all devices' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Verify Email - spends the token from the verification email
+router.post('/verify-email', async (req, res) => {
+  try {
+    const userId = await consumeAccountToken(req.body.token, 'verifyEmail');
+    if (!userId) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    user.emailVerified = true;
+    if (isBootstrapAdmin(user.email)) {
+      user.role = 'admin';
+    }
+    await user.save();
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Resend Verification Email
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Forgot Password - emails a reset link. The response is the same whether
+// or not the account exists, so it can't be used to probe for emails.
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: 'Please provide your email' });
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (user) {
+      const token = await createAccountToken(user, 'resetPassword');
+      sendTemplate(user, 'passwordReset', { token });
+    }
+
+    res.json({ message: 'If an account exists for that email, a reset link is on its way' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reset Password - spends the token from the reset email
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!password || password.length < 6) {
+      return res.status(400).json({ message: 'Password must be at least 6 characters' });
+    }
+
+    const userId = await consumeAccountToken(token, 'resetPassword');
+    const user = userId && await User.findById(userId);
+    if (!user) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    // Receiving the email proves the address, and the old password may have
+    // leaked, so every existing session is logged out
+    user.password = password;
+    user.emailVerified = true;
+    await user.save();
+
+    await Session.updateMany(
+      { user: user._id, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    res.json({ message: 'Password has been reset, please login' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get Current User
 router.get('/me', auth, async (req, res) => {
   try {
@@ -103,4 +284,27 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
+// Update the current user's notification preferences
+router.put('/preferences', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const { remindersEnabled } = req.body;
+    if (typeof remindersEnabled === 'boolean') {
+      user.remindersEnabled = remindersEnabled;
+    }
+
+    await user.save();
+
+    res.json(user);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,98 @@
+const express = require('express');
+const router = express.Router();
+const Category = require('../models/Category');
+const Event = require('../models/Event');
+const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+
+// Names need a letter or digit to make a slug from
+const NAME_ERROR = 'Category names need at least one letter or digit';
+const isValidName = (name) => /[\p{L}\p{N}]/u.test(name);
+
+// Get all categories
+router.get('/', async (req, res) => {
+  try {
+    const categories = await Category.find().sort({ name: 1 });
+    res.json(categories);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Create category (admin only)
+router.post('/', auth, permit('categories:manage'), async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ message: 'Please provide a category name' });
+    }
+    if (!isValidName(name)) {
+      return res.status(400).json({ message: NAME_ERROR });
+    }
+
+    const category = new Category({ name });
+    await category.save();
+
+    res.status(201).json(category);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Category already exists' });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Rename category (admin only)
+router.put('/:id', auth, permit('categories:manage'), async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const { name } = req.body;
+    if (name && !isValidName(name)) {
+      return res.status(400).json({ message: NAME_ERROR });
+    }
+    if (name) category.name = name;
+
+    await category.save();
+
+    res.json(category);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Category already exists' });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Delete category (admin only)
+router.delete('/:id', auth, permit('categories:manage'), async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    // Don't leave events pointing at a category that no longer exists,
+    // including deleted events that may still be restored
+    const inUse = await Event.countDocuments({ category: category._id }).setOptions({ withDeleted: true });
+    if (inUse > 0) {
+      return res.status(400).json({
+        message: `Category is used by ${inUse} event${inUse === 1 ? '' : 's'}`
+      });
+    }
+
+    await Category.findByIdAndDelete(req.params.id);
+
+    res.json({ message: 'Category deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
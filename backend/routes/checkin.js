@@ -0,0 +1,146 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const Event = require('../models/Event');
+const User = require('../models/User');
+const { canManageEvent } = require('../utils/permissions');
+const { verifyTicket } = require('../utils/tickets');
+const { requestContext, recordAudit } = require('../utils/audit');
+const auth = require('../middleware/auth');
+
+// Day-of check-in, mounted at /api/events/:id/check-in. Needs the 'checkin'
+// organizer permission (implied by 'attendees') or events:edit_any.
+router.use(auth);
+
+const canCheckIn = (user, event) => {
+  return canManageEvent(user, event, 'events:edit_any', 'checkin');
+};
+
+// Counted in seats: one ticket admits the attendee and their guests
+const countCheckIns = (event) => ({
+  checkedIn: event.attendees
+    .filter(attendee => attendee.checkedInAt)
+    .reduce((total, attendee) => total + attendee.seats, 0),
+  attending: event.seatsTaken(),
+  capacity: event.capacity
+});
+
+// Checked-in vs. RSVP'd counts and the latest arrivals
+router.get('/', async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id)
+      .populate('attendees.user', 'name');
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!canCheckIn(req.user, event)) {
+      return res.status(403).json({ message: 'Not authorized to check attendees in' });
+    }
+
+    const recent = event.attendees
+      .filter(attendee => attendee.checkedInAt)
+      .sort((a, b) => b.checkedInAt - a.checkedInAt)
+      .slice(0, 10)
+      .map(attendee => ({
+        _id: attendee.user ? attendee.user._id : null,
+        name: attendee.user ? attendee.user.name : 'Deleted user',
+        seats: attendee.seats,
+        checkedInAt: attendee.checkedInAt
+      }));
+
+    res.json({ ...countCheckIns(event), recent });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Check in the holder of a ticket code. Each ticket works exactly once.
+router.post('/', async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!canCheckIn(req.user, event)) {
+      return res.status(403).json({ message: 'Not authorized to check attendees in' });
+    }
+
+    if (event.cancelledAt) {
+      return res.status(400).json({ message: 'This event has been cancelled' });
+    }
+
+    const ticket = verifyTicket(req.body.code);
+    if (!ticket) {
+      return res.status(400).json({ message: 'Invalid ticket code' });
+    }
+
+    if (ticket.eventId !== event._id.toString()) {
+      return res.status(400).json({ message: 'This ticket is for a different event' });
+    }
+
+    // Only matches while the attendee is not checked in yet, so two scans of
+    // the same ticket at two doors can't both succeed, and while the event
+    // is still on
+    const now = new Date();
+    const updated = await Event.findOneAndUpdate(
+      {
+        _id: event._id,
+        cancelledAt: null,
+        attendees: { $elemMatch: { _id: ticket.attendeeId, checkedInAt: null } }
+      },
+      {
+        $set: {
+          'attendees.$.checkedInAt': now,
+          'attendees.$.checkedInBy': req.user.id
+        }
+      },
+      { new: true }
+    );
+
+    const current = updated || await Event.findById(event._id);
+    const attendee = current && current.attendees.id(ticket.attendeeId);
+
+    if (current && current.cancelledAt) {
+      return res.status(400).json({ message: 'This event has been cancelled' });
+    }
+
+    if (!attendee) {
+      return res.status(404).json({ message: 'This ticket is no longer valid; the RSVP was cancelled' });
+    }
+
+    const user = await User.findById(attendee.user).select('name');
+    const holder = {
+      _id: attendee.user,
+      name: user ? user.name : 'Deleted user',
+      seats: attendee.seats,
+      guestNames: attendee.guestNames,
+      checkedInAt: attendee.checkedInAt
+    };
+
+    if (!updated) {
+      return res.status(409).json({
+        message: `${holder.name} is already checked in`,
+        attendee: holder,
+        ...countCheckIns(current)
+      });
+    }
+
+    recordAudit(requestContext(req), updated, 'attendee.check_in', {
+      subject: attendee.user,
+      details: { attendee: attendee._id, seats: attendee.seats }
+    });
+
+    res.json({
+      message: `${holder.name} checked in`,
+      attendee: holder,
+      ...countCheckIns(updated)
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,55 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
+const ms = require('ms');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const Event = require('../models/Event');
+const Category = require('../models/Category');
+const EventSeries = require('../models/EventSeries');
+const ReminderLog = require('../models/ReminderLog');
+const User = require('../models/User');
+const Report = require('../models/Report');
+const { buildCalendar } = require('../utils/ics');
+const { isValidTimeZone, parseDateInZone, getZonedParts } = require('../utils/timezone');
+const { normalizeRule, expandOccurrences, moveOccurrence, toLocalDay } = require('../utils/recurrence');
+const {
+  ORGANIZER_PERMISSIONS,
+  VISIBILITIES,
+  RSVP_MODES,
+  hasPermission,
+  isEventCreator,
+  canManageEvent,
+  canViewEvent
+} = require('../utils/permissions');
+const { escapeRegex, isEmail } = require('../utils/text');
+const { signTicket } = require('../utils/tickets');
+const { normalizeQuestions, validateAnswers, answersById } = require('../utils/questions');
+const { normalizeTiers, alignTiers, checkTierChanges, pickTier } = require('../utils/tiers');
+const { applyPromoCode } = require('../utils/promoCodes');
+const { describeSource, logActivity, logView, logPromotions } = require('../utils/activity');
+const {
+  AUDITED_EVENT_FIELDS,
+  requestContext,
+  snapshot,
+  diff,
+  recordAudit,
+  auditPromotions
+} = require('../utils/audit');
+const { getProvider } = require('../payments');
+const { holdTime, settleHold } = require('../payments/checkout');
+const { restoreWindow, purgeDate, cancelEvents, deleteEvents } = require('../utils/trash');
+const { uploadsDir, deleteImageFile, deleteImageIfUnused } = require('../utils/uploads');
+const { notifyUsers, sendTemplate } = require('../notifications');
+const { broadcastAvailability } = require('../utils/live');
 const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const verified = require('../middleware/verified');
+const permit = require('../middleware/permit');
 
 // Create uploads directory if it doesn't exist
-const uploadsDir = path.join(__dirname, '..', 'uploads');
 if (!fs.existsSync(uploadsDir)) {
   fs.mkdirSync(uploadsDir, { recursive: true });
 }
@@ -39,26 +80,335 @@ const upload = multer({
   }
 });
 
+// Discard a file multer already saved for a request that was rejected
+const discardUpload = (req) => {
+  if (req.file) {
+    deleteImageFile(`/uploads/${req.file.filename}`);
+  }
+};
+
+// Normalize tags sent as an array or a comma-separated string
+const parseTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  const normalized = list
+    .map(tag => String(tag).trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set(normalized)].slice(0, 10);
+};
+
+// Guests per RSVP as set by the organizer; undefined when invalid
+const parseMaxGuests = (value) => {
+  if (value === undefined || value === '') return 0;
+  const maxGuests = Number(value);
+  return Number.isInteger(maxGuests) && maxGuests >= 0 ? maxGuests : undefined;
+};
+
+// Seats and guest names asked for in an RSVP, checked against the event's
+// guest limit
+const parseSeats = (body = {}, event) => {
+  const seats = body.seats === undefined ? 1 : Number(body.seats);
+  if (!Number.isInteger(seats) || seats < 1 || seats > event.maxGuests + 1) {
+    return {
+      error: event.maxGuests > 0
+        ? `You can reserve between 1 and ${event.maxGuests + 1} seats`
+        : 'This event does not allow guests'
+    };
+  }
+
+  const guestNames = (Array.isArray(body.guestNames) ? body.guestNames : [])
+    .map(name => String(name).trim())
+    .filter(Boolean);
+  if (guestNames.length > seats - 1) {
+    return { error: 'There are more guest names than guests' };
+  }
+  if (guestNames.some(name => name.length > 100)) {
+    return { error: 'Guest names can be at most 100 characters' };
+  }
+
+  return { seats, guestNames };
+};
+
+// Registration questions arrive as a JSON string in multipart bodies
+const parseQuestions = (value) => {
+  let input = value;
+  if (typeof input === 'string') {
+    try {
+      input = input ? JSON.parse(input) : [];
+    } catch (err) {
+      return { error: 'Invalid questions' };
+    }
+  }
+  return normalizeQuestions(input);
+};
+
+// Ticket details for an attendee, as shown to them
+const describeTicket = (event, attendee) => {
+  const tier = attendee.tier && event.tiers.id(attendee.tier);
+  return {
+    code: signTicket(event, attendee),
+    checkedInAt: attendee.checkedInAt,
+    tier: tier ? tier.name : null,
+    amountPaid: attendee.amountPaid,
+    seats: attendee.seats,
+    guestNames: attendee.guestNames,
+    answers: answersById(attendee.answers)
+  };
+};
+
+// Ticket tiers arrive as a JSON string in multipart bodies
+const parseTiers = (value, timezone) => {
+  let input = value;
+  if (typeof input === 'string') {
+    try {
+      input = input ? JSON.parse(input) : [];
+    } catch (err) {
+      return { error: 'Invalid ticket tiers' };
+    }
+  }
+  return normalizeTiers(input, timezone);
+};
+
+const isCurrency = (value) => /^[A-Z]{3}$/.test(value);
+
+// Paid tickets are bought at checkout, which has no room for an approval step
+const PAID_APPROVAL_ERROR = 'Events that require approval cannot sell paid tickets';
+
+// Without a payment provider (see payments/index.js) nobody could buy them
+const NO_PROVIDER_ERROR = 'Paid tickets are not on sale on this site';
+
+// Check an optional visibility or RSVP mode against the allowed values;
+// returns an error message, or nothing when the value is fine
+const checkChoice = (value, allowed, name) => {
+  if (value !== undefined && !allowed.includes(value)) {
+    return `${name} must be one of: ${allowed.join(', ')}`;
+  }
+};
+
+// The requesting user for visibility checks (see canViewEvent), or null for
+// anonymous visitors. Their email is only included once it is verified.
+const loadViewer = async (req) => {
+  if (!req.user) return null;
+  const user = await User.findById(req.user.id).select('email emailVerified');
+  return { ...req.user, email: user && user.emailVerified ? user.email : null };
+};
+
+// Events the viewer may find in listings: public ones, plus invite-only ones
+// they were invited to or organize. Unlisted events are only reachable by link.
+const listingVisibilityFilter = (viewer) => {
+  const listed = { visibility: { $nin: ['unlisted', 'invite'] } };
+  if (!viewer) return listed;
+
+  // Cast explicitly so the filter also works inside aggregation pipelines
+  const viewerId = new mongoose.Types.ObjectId(String(viewer.id));
+  const invitedOrOrganizing = [
+    { creator: viewerId },
+    { organizers: { $elemMatch: { user: viewerId, status: 'accepted' } } }
+  ];
+  if (viewer.email) {
+    invitedOrOrganizing.push({ 'invites.email': viewer.email });
+  }
+
+  return { $or: [listed, { visibility: 'invite', $or: invitedOrOrganizing }] };
+};
+
+// Resolve a category id from the request; '' clears it, unknown ids are rejected
+const resolveCategory = async (category) => {
+  if (!category) return null;
+  if (!mongoose.Types.ObjectId.isValid(category)) return undefined;
+  const exists = await Category.exists({ _id: category });
+  return exists ? category : undefined;
+};
+
+// Work out start, end and time zone from the request body. Naive date strings
+// are read in the event's time zone. On update, missing values fall back to the
+// event's current ones and a moved start keeps the original duration.
+const resolveSchedule = (body, current = {}) => {
+  const timezone = body.timezone || current.timezone || 'UTC';
+  if (!isValidTimeZone(timezone)) {
+    return { error: 'Invalid time zone' };
+  }
+
+  const date = body.date ? parseDateInZone(body.date, timezone) : current.date;
+  let endDate;
+  if (body.endDate) {
+    endDate = parseDateInZone(body.endDate, timezone);
+  } else if (current.date && current.endDate) {
+    endDate = new Date(date.getTime() + (current.endDate - current.date));
+  }
+
+  if (!date || isNaN(date) || (endDate && isNaN(endDate))) {
+    return { error: 'Invalid date' };
+  }
+  if (endDate && endDate <= date) {
+    return { error: 'End time must be after the start time' };
+  }
+
+  return { date, endDate, timezone };
+};
+
+// Build the Mongo filter for the public event listing from query parameters,
+// limited to the events the viewer may see
+const buildEventFilter = (query, viewer) => {
+  const { q, when = 'upcoming', from, to, location, available, category, tag } = query;
+  // Cancelled events are only shown to the people who were going
+  const filter = { $and: [listingVisibilityFilter(viewer)], cancelledAt: null };
+  const now = new Date();
+
+  if (q) {
+    filter.$text = { $search: String(q) };
+  }
+
+  // Upcoming/past is decided by the end time so events in progress stay listed.
+  // Older events saved without an end time fall back to their start time.
+  if (when === 'upcoming') {
+    filter.$and.push({ $or: [
+      { endDate: { $gte: now } },
+      { endDate: null, date: { $gte: now } }
+    ] });
+  }
+  if (when === 'past') {
+    filter.$and.push({ $or: [
+      { endDate: { $lt: now } },
+      { endDate: null, date: { $lt: now } }
+    ] });
+  }
+
+  const dateFilter = {};
+  if (from && !isNaN(new Date(from))) {
+    dateFilter.$gte = new Date(from);
+  }
+  if (to && !isNaN(new Date(to))) {
+    dateFilter.$lte = new Date(to);
+  }
+  if (Object.keys(dateFilter).length > 0) {
+    filter.date = dateFilter;
+  }
+
+  if (location) {
+    filter.location = { $regex: escapeRegex(String(location)), $options: 'i' };
+  }
+
+  // Cast explicitly so the filter also works inside aggregation pipelines
+  if (category && mongoose.Types.ObjectId.isValid(category)) {
+    filter.category = new mongoose.Types.ObjectId(String(category));
+  }
+
+  if (tag) {
+    filter.tags = String(tag).toLowerCase();
+  }
+
+  // Only events that still have free spots
+  if (available === 'true') {
+    filter.$expr = {
+      $lt: [{ $add: [{ $sum: '$attendees.seats' }, { $sum: '$holds.seats' }] }, '$capacity']
+    };
+  }
+
+  return filter;
+};
+
+const SORT_OPTIONS = {
+  date: { date: 1 },
+  '-date': { date: -1 },
+  newest: { createdAt: -1 },
+  relevance: { score: { $meta: 'textScore' }, date: 1 }
+};
+
 // Get all events
-router.get('/', async (req, res) => {
+// Query: q, when (upcoming|past|all), from, to, location, available, category, tag,
+// sort (date|-date|newest|relevance), page, limit
+router.get('/', optionalAuth, async (req, res) => {
   try {
-    const events = await Event.find()
-      .populate('creator', 'name email')
-      .sort({ date: 1 });
-    res.json(events);
+    const filter = buildEventFilter(req.query, await loadViewer(req));
+
+    // Relevance only makes sense for text searches
+    let sortKey = SORT_OPTIONS[req.query.sort] ? req.query.sort : 'date';
+    if (sortKey === 'relevance' && !req.query.q) sortKey = 'date';
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 12, 1), 50);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    const query = Event.find(filter);
+    if (sortKey === 'relevance') {
+      query.select({ score: { $meta: 'textScore' } });
+    }
+
+    const [events, total] = await Promise.all([
+      query
+        .populate('creator', 'name email')
+        .populate('category', 'name slug')
+        .sort(SORT_OPTIONS[sortKey])
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Event.countDocuments(filter)
+    ]);
+
+    res.json({
+      events,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get category and tag counts for the current listing filter.
+// Each facet ignores its own selection so the other options stay visible.
+router.get('/facets', optionalAuth, async (req, res) => {
+  try {
+    const viewer = await loadViewer(req);
+    const categoryFilter = buildEventFilter({ ...req.query, category: undefined }, viewer);
+    const tagFilter = buildEventFilter({ ...req.query, tag: undefined }, viewer);
+
+    const [categoryCounts, tagCounts] = await Promise.all([
+      Event.aggregate([
+        { $match: categoryFilter },
+        { $group: { _id: '$category', count: { $sum: 1 } } }
+      ]),
+      Event.aggregate([
+        { $match: tagFilter },
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: 30 }
+      ])
+    ]);
+
+    const categories = await Category.find({
+      _id: { $in: categoryCounts.map(c => c._id).filter(Boolean) }
+    });
+    const countById = new Map(categoryCounts.map(c => [String(c._id), c.count]));
+
+    res.json({
+      categories: categories
+        .map(category => ({
+          _id: category._id,
+          name: category.name,
+          slug: category.slug,
+          count: countById.get(String(category._id))
+        }))
+        .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name)),
+      tags: tagCounts.map(t => ({ tag: t._id, count: t.count }))
+    });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// Get single event
-router.get('/:id', async (req, res) => {
+// Get single event. Invite-only events look like they don't exist to
+// anyone who wasn't invited.
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const event = await Event.findById(req.params.id)
       .populate('creator', 'name email')
-      .populate('attendees', 'name email');
+      .populate('category', 'name slug')
+      .populate('series')
+      .populate('attendees.user', 'name');
     
-    if (!event) {
+    if (!event || !canViewEvent(await loadViewer(req), event)) {
       return res.status(404).json({ message: 'Event not found' });
     }
     
@@ -68,172 +418,507 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Export single event as iCalendar
+router.get('/:id/ics', optionalAuth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event || !canViewEvent(await loadViewer(req), event)) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="event-${event._id}.ics"`);
+    res.send(buildCalendar([event]));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Record a view of the event page, with where the visitor came from
+// ({ source, referrer }). Views by the event's own organizers are skipped, and
+// repeated views by the same visitor count once, so they don't inflate the
+// numbers.
+router.post('/:id/views', optionalAuth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    const viewer = await loadViewer(req);
+
+    if (!event || !canViewEvent(viewer, event)) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!canManageEvent(req.user, event, 'events:edit_any', 'attendees')) {
+      logView(event, { user: viewer ? viewer.id : null, ip: req.ip, ...describeSource(req.body) });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 // Create event (with image upload)
-router.post('/', auth, upload.single('image'), async (req, res) => {
+router.post('/', auth, verified, permit('events:create'), upload.single('image'), async (req, res) => {
   try {
-    const { title, description, date, location, capacity } = req.body;
+    const { title, description, date, location, capacity, category, tags } = req.body;
 
     // Validation
     if (!title || !description || !date || !location || !capacity) {
+      discardUpload(req);
       return res.status(400).json({ message: 'Please provide all required fields' });
     }
 
+    const maxGuests = parseMaxGuests(req.body.maxGuests);
+    if (maxGuests === undefined) {
+      discardUpload(req);
+      return res.status(400).json({ message: 'Max guests must be 0 or more' });
+    }
+
+    const { questions, error: questionsError } = parseQuestions(req.body.questions || []);
+    if (questionsError) {
+      discardUpload(req);
+      return res.status(400).json({ message: questionsError });
+    }
+
+    const { visibility = 'public', rsvpMode = 'instant' } = req.body;
+    const choiceError = checkChoice(visibility, VISIBILITIES, 'Visibility') ||
+      checkChoice(rsvpMode, RSVP_MODES, 'RSVP mode');
+    if (choiceError) {
+      discardUpload(req);
+      return res.status(400).json({ message: choiceError });
+    }
+
+    const schedule = resolveSchedule(req.body);
+    if (schedule.error) {
+      discardUpload(req);
+      return res.status(400).json({ message: schedule.error });
+    }
+
+    const { tiers, error: tiersError } = parseTiers(req.body.tiers || [], schedule.timezone);
+    if (tiersError) {
+      discardUpload(req);
+      return res.status(400).json({ message: tiersError });
+    }
+    if (rsvpMode === 'approval' && tiers.some(tier => tier.price > 0)) {
+      discardUpload(req);
+      return res.status(400).json({ message: PAID_APPROVAL_ERROR });
+    }
+    if (!getProvider() && tiers.some(tier => tier.price > 0)) {
+      discardUpload(req);
+      return res.status(400).json({ message: NO_PROVIDER_ERROR });
+    }
+
+    const currency = String(req.body.currency || 'USD').toUpperCase();
+    if (!isCurrency(currency)) {
+      discardUpload(req);
+      return res.status(400).json({ message: 'Currency must be a three-letter code like USD' });
+    }
+
+    const categoryId = await resolveCategory(category);
+    if (categoryId === undefined) {
+      discardUpload(req);
+      return res.status(400).json({ message: 'Invalid category' });
+    }
+
     const eventData = {
       title,
       description,
-      date,
+      date: schedule.date,
+      endDate: schedule.endDate,
+      timezone: schedule.timezone,
       location,
       capacity: parseInt(capacity),
+      maxGuests,
+      questions,
+      visibility,
+      rsvpMode,
+      tiers,
+      currency,
+      category: categoryId,
+      tags: tags ? parseTags(tags) : [],
       creator: req.user.id,
       attendees: [],
       image: req.file ? `/uploads/${req.file.filename}` : ''
     };
 
-    const event = new Event(eventData);
-    await event.save();
-
-    const populatedEvent = await Event.findById(event._id)
-      .populate('creator', 'name email');
+    // Multipart bodies carry the recurrence rule as a JSON string
+    let recurrence = req.body.recurrence;
+    if (typeof recurrence === 'string') {
+      try {
+        recurrence = recurrence ? JSON.parse(recurrence) : null;
+      } catch (err) {
+        discardUpload(req);
+        return res.status(400).json({ message: 'Invalid recurrence rule' });
+      }
+    }
 
-    res.status(201).json(populatedEvent);
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error', error: error.message });
-  }
-});
+    if (!recurrence) {
+      const event = new Event(eventData);
+      await event.save();
+      recordAudit(requestContext(req), event, 'event.create');
 
-// Update event
-router.put('/:id', auth, upload.single('image'), async (req, res) => {
-  try {
-    const event = await Event.findById(req.params.id);
+      const populatedEvent = await Event.findById(event._id)
+        .populate('creator', 'name email')
+        .populate('category', 'name slug');
 
-    if (!event) {
-      return res.status(404).json({ message: 'Event not found' });
+      return res.status(201).json(populatedEvent);
     }
 
-    // Check if user is the creator
-    if (event.creator.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized to update this event' });
+    const { rule, error } = normalizeRule(recurrence, schedule.timezone);
+    if (error) {
+      discardUpload(req);
+      return res.status(400).json({ message: error });
     }
 
-    const { title, description, date, location, capacity } = req.body;
-
-    // Update fields
-    if (title) event.title = title;
-    if (description) event.description = description;
-    if (date) event.date = date;
-    if (location) event.location = location;
-    if (capacity) event.capacity = parseInt(capacity);
-    if (req.file) event.image = `/uploads/${req.file.filename}`;
-
-    await event.save();
+    // Each occurrence is a separate event so RSVPs and capacity stay per date
+    const occurrences = expandOccurrences({
+      date: schedule.date,
+      endDate: schedule.endDate || new Date(schedule.date.getTime() + 60 * 60 * 1000),
+      timezone: schedule.timezone,
+      rule
+    });
 
-    const updatedEvent = await Event.findById(event._id)
-      .populate('creator', 'name email');
+    if (occurrences.length === 0) {
+      discardUpload(req);
+      return res.status(400).json({ message: 'The recurrence rule does not produce any dates' });
+    }
 
-    res.json(updatedEvent);
-  } catch (error) {
-    res.status(500).json({ message: 'Server error', error: error.message });
-  }
-});
+    const session = await mongoose.startSession();
+    session.startTransaction();
 
-// Delete event
-router.delete('/:id', auth, async (req, res) => {
-  try {
-    const event = await Event.findById(req.params.id);
+    let created;
+    try {
+      const [series] = await EventSeries.create([{
+        creator: req.user.id,
+        timezone: schedule.timezone,
+        recurrence: rule
+      }], { session });
 
-    if (!event) {
-      return res.status(404).json({ message: 'Event not found' });
-    }
+      created = await Event.insertMany(
+        occurrences.map(occurrence => ({ ...eventData, ...occurrence, series: series._id })),
+        { session }
+      );
 
-    // Check if user is the creator
-    if (event.creator.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized to delete this event' });
+      await session.commitTransaction();
+      session.endSession();
+    } catch (err) {
+      await session.abortTransaction();
+      session.endSession();
+      throw err;
     }
 
-    // Delete image file if exists
-    if (event.image) {
-      const imagePath = path.join(__dirname, '..', event.image);
-      if (fs.existsSync(imagePath)) {
-        fs.unlinkSync(imagePath);
-      }
-    }
+    created.forEach(occurrence => {
+      recordAudit(requestContext(req), occurrence, 'event.create', {
+        details: { series: occurrence.series, occurrences: created.length }
+      });
+    });
 
-    await Event.findByIdAndDelete(req.params.id);
+    const populatedEvent = await Event.findById(created[0]._id)
+      .populate('creator', 'name email')
+      .populate('category', 'name slug')
+      .populate('series');
 
-    res.json({ message: 'Event deleted successfully' });
+    res.status(201).json({ ...populatedEvent.toObject(), occurrenceCount: created.length });
   } catch (error) {
+    console.error(error);
+    discardUpload(req);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// RSVP to event (WITH CONCURRENCY HANDLING - MOST IMPORTANT!)
-router.post('/:id/rsvp', auth, async (req, res) => {
+// Fields whose changes are emailed to attendees, with their display names
+const NOTIFIED_FIELDS = {
+  title: 'title',
+  description: 'description',
+  date: 'start time',
+  endDate: 'end time',
+  timezone: 'time zone',
+  location: 'location'
+};
+
+// Update event (partial - only the fields that are sent are changed)
+router.put('/:id', auth, upload.single('image'), async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
   try {
-    // Find event with session lock
     const event = await Event.findById(req.params.id).session(session);
 
     if (!event) {
       await session.abortTransaction();
       session.endSession();
+      discardUpload(req);
       return res.status(404).json({ message: 'Event not found' });
     }
 
-    // Check if event date has passed
-    if (new Date(event.date) < new Date()) {
+    // Creators and co-organizers allowed to edit can change the event,
+    // moderators can change any
+    if (!canManageEvent(req.user, event, 'events:edit_any', 'edit')) {
       await session.abortTransaction();
       session.endSession();
-      return res.status(400).json({ message: 'Cannot RSVP to past events' });
+      discardUpload(req);
+      return res.status(403).json({ message: 'Not authorized to update this event' });
     }
 
-    // Check if user is already registered
-    const isAlreadyRegistered = event.attendees.some(
-      attendee => attendee.toString() === req.user.id
-    );
+    if (event.cancelledAt) {
+      await session.abortTransaction();
+      session.endSession();
+      discardUpload(req);
+      return res.status(400).json({ message: 'Cancelled events cannot be changed' });
+    }
+
+    const { title, description, location, capacity, category, tags, removeImage, scope } = req.body;
+
+    // "This and all future occurrences" applies the same changes to later
+    // dates of a recurring event
+    const targets = [event];
+    if (scope === 'future' && event.series) {
+      const later = await Event.find({
+        series: event.series,
+        date: { $gt: event.date },
+        cancelledAt: null
+      }).session(session);
+
+      if (later.some(target => !canManageEvent(req.user, target, 'events:edit_any', 'edit'))) {
+        await session.abortTransaction();
+        session.endSession();
+        discardUpload(req);
+        return res.status(403).json({ message: 'You can only update dates you are allowed to edit' });
+      }
+      targets.push(...later);
+    }
+
+    let schedule = null;
+    if (req.body.date || req.body.endDate || req.body.timezone) {
+      schedule = resolveSchedule(req.body, event);
+      if (schedule.error) {
+        await session.abortTransaction();
+        session.endSession();
+        discardUpload(req);
+        return res.status(400).json({ message: schedule.error });
+      }
+    }
+
+    let newCapacity;
+    if (capacity !== undefined) {
+      newCapacity = parseInt(capacity);
+
+      if (isNaN(newCapacity) || newCapacity < 1) {
+        await session.abortTransaction();
+        session.endSession();
+        discardUpload(req);
+        return res.status(400).json({ message: 'Capacity must be at least 1' });
+      }
+
+      // Never drop people who already hold a seat, or are paying for one
+      const takenSeats = (target) => target.seatsTaken() + target.seatsHeld();
+      const overbooked = targets.find(target => newCapacity < takenSeats(target));
+      if (overbooked) {
+        await session.abortTransaction();
+        session.endSession();
+        discardUpload(req);
+        return res.status(400).json({
+          message: `Capacity cannot be lower than the seats already taken (${takenSeats(overbooked)})`
+        });
+      }
+    }
+
+    let maxGuests;
+    if (req.body.maxGuests !== undefined) {
+      maxGuests = parseMaxGuests(req.body.maxGuests);
+      if (maxGuests === undefined) {
+        await session.abortTransaction();
+        session.endSession();
+        discardUpload(req);
+        return res.status(400).json({ message: 'Max guests must be 0 or more' });
+      }
+    }
+
+    let questions;
+    if (req.body.questions !== undefined) {
+      const parsed = parseQuestions(req.body.questions);
+      if (parsed.error) {
+        await session.abortTransaction();
+        session.endSession();
+        discardUpload(req);
+        return res.status(400).json({ message: parsed.error });
+      }
+      questions = parsed.questions;
+    }
 
-    if (isAlreadyRegistered) {
+    const { visibility, rsvpMode } = req.body;
+    const choiceError = checkChoice(visibility, VISIBILITIES, 'Visibility') ||
+      checkChoice(rsvpMode, RSVP_MODES, 'RSVP mode');
+    if (choiceError) {
       await session.abortTransaction();
       session.endSession();
-      return res.status(400).json({ message: 'You are already registered for this event' });
+      discardUpload(req);
+      return res.status(400).json({ message: choiceError });
     }
 
-    // Check capacity (CRITICAL FOR PREVENTING OVERBOOKING)
-    if (event.attendees.length >= event.capacity) {
+    // Tiers are matched to each date's own tiers; see alignTiers
+    let tiers;
+    if (req.body.tiers !== undefined) {
+      const parsed = parseTiers(req.body.tiers, schedule ? schedule.timezone : event.timezone);
+      const tierError = parsed.error || targets
+        .map(target => checkTierChanges(target, alignTiers(target, parsed.tiers)))
+        .find(Boolean);
+      if (tierError) {
+        await session.abortTransaction();
+        session.endSession();
+        discardUpload(req);
+        return res.status(400).json({ message: tierError });
+      }
+      tiers = parsed.tiers;
+    }
+
+    const sellsPaidTickets = (tiers || event.tiers).some(tier => tier.price > 0);
+    if ((rsvpMode || event.rsvpMode) === 'approval' && sellsPaidTickets) {
+      await session.abortTransaction();
+      session.endSession();
+      discardUpload(req);
+      return res.status(400).json({ message: PAID_APPROVAL_ERROR });
+    }
+    if (tiers !== undefined && !getProvider() && tiers.some(tier => tier.price > 0)) {
       await session.abortTransaction();
       session.endSession();
-      return res.status(400).json({ message: 'Event is full' });
+      discardUpload(req);
+      return res.status(400).json({ message: NO_PROVIDER_ERROR });
     }
 
-    // Add user to attendees
-    event.attendees.push(req.user.id);
-    await event.save({ session });
+    let currency;
+    if (req.body.currency !== undefined) {
+      currency = String(req.body.currency).toUpperCase();
+      if (!isCurrency(currency)) {
+        await session.abortTransaction();
+        session.endSession();
+        discardUpload(req);
+        return res.status(400).json({ message: 'Currency must be a three-letter code like USD' });
+      }
+    }
+
+    let categoryId;
+    if (category !== undefined) {
+      categoryId = await resolveCategory(category);
+      if (categoryId === undefined) {
+        await session.abortTransaction();
+        session.endSession();
+        discardUpload(req);
+        return res.status(400).json({ message: 'Invalid category' });
+      }
+    }
+
+    // Later occurrences move by as many days as this one, keep its new local
+    // time of day and take its duration
+    const original = { date: event.date, timezone: event.timezone };
+    const duration = schedule && schedule.endDate
+      ? schedule.endDate - schedule.date
+      : 60 * 60 * 1000;
+
+    const previousImages = new Set();
+    const notifications = [];
+
+    for (const target of targets) {
+      const before = snapshot(target, AUDITED_EVENT_FIELDS);
+
+      if (schedule) {
+        if (target === event) {
+          target.date = schedule.date;
+          target.endDate = schedule.endDate;
+        } else {
+          target.date = moveOccurrence(target, original, schedule);
+          target.endDate = new Date(target.date.getTime() + duration);
+        }
+        target.timezone = schedule.timezone;
+      }
+
+      // Update fields
+      if (title) target.title = title;
+      if (description) target.description = description;
+      if (location) target.location = location;
+      if (newCapacity !== undefined) target.capacity = newCapacity;
+      // Lowering the limit doesn't take seats away from existing RSVPs
+      if (maxGuests !== undefined) target.maxGuests = maxGuests;
+      // Answers to removed questions stay stored but are no longer shown
+      if (questions !== undefined) target.questions = questions;
+      if (visibility !== undefined) target.visibility = visibility;
+      // Requests that are already pending stay open for the organizers to review
+      if (rsvpMode !== undefined) target.rsvpMode = rsvpMode;
+      if (tiers !== undefined) target.tiers = alignTiers(target, tiers);
+      // Tickets already sold keep the price they were paid for
+      if (currency !== undefined) target.currency = currency;
+      if (tags !== undefined) target.tags = parseTags(tags);
+      if (categoryId !== undefined) target.category = categoryId;
+
+      if (req.file || removeImage === 'true') {
+        if (target.image) previousImages.add(target.image);
+        target.image = req.file ? `/uploads/${req.file.filename}` : '';
+      }
+
+      // A capacity increase frees spots for people on the waitlist
+      const promoted = target.promoteFromWaitlist();
+      const changes = Object.keys(NOTIFIED_FIELDS)
+        .filter(field => target.isModified(field))
+        .map(field => NOTIFIED_FIELDS[field]);
+      const edits = diff(before, snapshot(target, AUDITED_EVENT_FIELDS));
+      notifications.push({ target, promoted, changes, edits });
+
+      // Reminders already sent were for the old start time
+      if (target.isModified('date')) {
+        await ReminderLog.deleteMany({ event: target._id }, { session });
+      }
+
+      await target.save({ session });
+    }
 
-    // Commit transaction
     await session.commitTransaction();
     session.endSession();
 
-    const updatedEvent = await Event.findById(event._id)
-      .populate('creator', 'name email')
-      .populate('attendees', 'name email');
+    // Old uploads are only removed once the new state is committed
+    for (const image of previousImages) {
+      await deleteImageIfUnused(image);
+    }
 
-    res.json({ 
-      message: 'RSVP successful', 
-      event: updatedEvent 
+    const context = requestContext(req);
+    notifications.forEach(({ target, promoted, changes, edits }) => {
+      broadcastAvailability(target);
+      if (changes.length > 0) {
+        const alreadyAttending = target.attendeeIds().filter(
+          attendee => !promoted.some(id => id.equals(attendee))
+        );
+        notifyUsers(alreadyAttending, 'eventUpdated', { event: target, changes });
+      }
+      notifyUsers(promoted, 'waitlistPromoted', { event: target });
+      logPromotions(target, promoted);
+
+      if (edits.length > 0) {
+        recordAudit(context, target, 'event.update', {
+          changes: edits,
+          details: target === event ? {} : { scope: 'future', editedFrom: event._id }
+        });
+      }
+      auditPromotions(context, target, promoted);
     });
 
+    const updatedEvent = await Event.findById(event._id)
+      .populate('creator', 'name email')
+      .populate('category', 'name slug');
+
+    res.json(updatedEvent);
   } catch (error) {
     await session.abortTransaction();
     session.endSession();
-    console.error('RSVP Error:', error);
-    res.status(500).json({ message: 'RSVP failed', error: error.message });
+    discardUpload(req);
+    res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// Cancel RSVP
-router.post('/:id/cancel-rsvp', auth, async (req, res) => {
+// Delete event. It disappears right away but can be restored (see
+// POST /:id/restore) until it is purged after EVENT_RESTORE_WINDOW. For a
+// recurring event, ?scope=future also deletes every later occurrence;
+// otherwise only this date is removed.
+router.delete('/:id', auth, async (req, res) => {
   try {
     const event = await Event.findById(req.params.id);
 
@@ -241,38 +926,1216 @@ router.post('/:id/cancel-rsvp', auth, async (req, res) => {
       return res.status(404).json({ message: 'Event not found' });
     }
 
-    // Check if user is registered
-    const attendeeIndex = event.attendees.findIndex(
-      attendee => attendee.toString() === req.user.id
-    );
-
-    if (attendeeIndex === -1) {
-      return res.status(400).json({ message: 'You are not registered for this event' });
+    // Creators and co-organizers allowed to edit can delete the event,
+    // moderators can delete any
+    if (!canManageEvent(req.user, event, 'events:delete_any', 'edit')) {
+      return res.status(403).json({ message: 'Not authorized to delete this event' });
     }
 
-    // Remove user from attendees
-    event.attendees.splice(attendeeIndex, 1);
-    await event.save();
+    let deleted = [event];
+    if (event.series) {
+      const series = await EventSeries.findById(event.series);
 
-    const updatedEvent = await Event.findById(event._id)
-      .populate('creator', 'name email')
-      .populate('attendees', 'name email');
+      if (req.query.scope === 'future') {
+        deleted = await Event.find({ series: event.series, date: { $gte: event.date } });
+        if (deleted.some(target => !canManageEvent(req.user, target, 'events:delete_any', 'edit'))) {
+          return res.status(403).json({ message: 'You can only delete dates you are allowed to edit' });
+        }
+        if (series) {
+          // Stop the series just before this occurrence
+          series.recurrence.until = new Date(event.date.getTime() - 1);
+        }
+      } else if (series) {
+        series.recurrence.exceptions.push(
+          toLocalDay(getZonedParts(event.date, event.timezone))
+        );
+      }
 
-    res.json({ 
-      message: 'RSVP cancelled successfully', 
-      event: updatedEvent 
-    });
+      if (series) await series.save();
+    }
+
+    await deleteEvents(deleted, requestContext(req), { scope: deleted.length > 1 ? 'future' : 'this' });
 
+    // Images are kept until the events are purged
+    const restorable = `You can restore ${deleted.length > 1 ? 'them' : 'it'} from My Events within ${ms(restoreWindow(), { long: true })}.`;
+    res.json({
+      message: deleted.length > 1
+        ? `${deleted.length} occurrences deleted. ${restorable}`
+        : `Event deleted. ${restorable}`
+    });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// Get user's created events
-router.get('/user/created', auth, async (req, res) => {
+const MAX_CANCELLATION_REASON = 500;
+
+// Cancel an event (body: reason, scope). It stays up, marked as cancelled
+// with the reason, and everyone who was going, waiting or asking to join is
+// told. It takes no more RSVPs and open checkouts are released; paid tickets
+// are refunded by the organizers. For a recurring event, scope=future also
+// cancels every later occurrence.
+router.post('/:id/cancel', auth, async (req, res) => {
   try {
-    const events = await Event.find({ creator: req.user.id })
+    const reason = String(req.body.reason || '').trim();
+    if (reason.length > MAX_CANCELLATION_REASON) {
+      return res.status(400).json({ message: `The reason can be at most ${MAX_CANCELLATION_REASON} characters` });
+    }
+
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    // Whoever may delete the event may also cancel it
+    if (!canManageEvent(req.user, event, 'events:delete_any', 'edit')) {
+      return res.status(403).json({ message: 'Not authorized to cancel this event' });
+    }
+
+    if (event.cancelledAt) {
+      return res.status(400).json({ message: 'This event has already been cancelled' });
+    }
+
+    if (event.hasEnded()) {
+      return res.status(400).json({ message: 'This event has already ended' });
+    }
+
+    const cancelled = [event];
+    if (req.body.scope === 'future' && event.series) {
+      const later = await Event.find({
+        series: event.series,
+        date: { $gt: event.date },
+        cancelledAt: null
+      });
+      if (later.some(target => !canManageEvent(req.user, target, 'events:delete_any', 'edit'))) {
+        return res.status(403).json({ message: 'You can only cancel dates you are allowed to edit' });
+      }
+      cancelled.push(...later);
+    }
+
+    await cancelEvents(cancelled, reason, requestContext(req));
+
+    const updatedEvent = await Event.findById(event._id)
+      .populate('creator', 'name email')
+      .populate('category', 'name slug')
+      .populate('series')
+      .populate('attendees.user', 'name');
+
+    res.json({
+      message: cancelled.length > 1
+        ? `${cancelled.length} occurrences cancelled`
+        : 'Event cancelled',
+      event: updatedEvent
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Restore a deleted event that hasn't been purged yet. Occurrences of a
+// recurring event that were deleted together come back together.
+router.post('/:id/restore', auth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id).setOptions({ withDeleted: true });
+
+    if (!event || !event.deletedAt) {
+      return res.status(404).json({ message: 'Deleted event not found' });
+    }
+
+    if (!canManageEvent(req.user, event, 'events:delete_any', 'edit')) {
+      return res.status(403).json({ message: 'Not authorized to restore this event' });
+    }
+
+    // Events of deleted accounts stay deleted until they are purged
+    if (!(await User.exists({ _id: event.creator }))) {
+      return res.status(400).json({ message: "The organizer's account has been deleted, so this event can't be restored" });
+    }
+
+    let restored = [event];
+    if (event.series) {
+      restored = (await Event.find({ series: event.series, deletedAt: event.deletedAt }))
+        .filter(target => canManageEvent(req.user, target, 'events:delete_any', 'edit'));
+
+      // Undo what deleting them did to the recurrence rule
+      const series = await EventSeries.findById(event.series);
+      if (series) {
+        const days = restored.map(target => toLocalDay(getZonedParts(target.date, target.timezone)));
+        series.recurrence.exceptions = series.recurrence.exceptions.filter(day => !days.includes(day));
+
+        const last = new Date(Math.max(...restored.map(target => target.date.getTime())));
+        if (series.recurrence.until && series.recurrence.until < last) {
+          series.recurrence.until = last;
+        }
+        await series.save();
+      }
+    }
+
+    await Event.updateMany(
+      { _id: { $in: restored.map(target => target._id) } },
+      { $set: { deletedAt: null, deletedBy: null } }
+    ).setOptions({ withDeleted: true });
+
+    const context = requestContext(req);
+    restored.forEach(target => {
+      recordAudit(context, target, 'event.restore', {
+        details: { deletedAt: target.deletedAt, deletedBy: target.deletedBy }
+      });
+      // People going to a cancelled event were told about the cancellation,
+      // not the deletion
+      if (!target.cancelledAt) {
+        notifyUsers([...target.attendeeIds(), ...target.waitlistIds()], 'eventRestored', { event: target });
+      }
+    });
+
+    const updatedEvent = await Event.findById(event._id)
+      .populate('creator', 'name email')
+      .populate('category', 'name slug')
+      .populate('series')
+      .populate('attendees.user', 'name');
+
+    res.json({
+      message: restored.length > 1
+        ? `${restored.length} occurrences restored`
+        : 'Event restored',
+      event: updatedEvent
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// RSVP to event (WITH CONCURRENCY HANDLING - MOST IMPORTANT!)
+router.post('/:id/rsvp', auth, async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    // Find event with session lock
+    const event = await Event.findById(req.params.id).session(session);
+
+    if (!event || !canViewEvent(await loadViewer(req), event)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (event.cancelledAt) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: 'This event has been cancelled' });
+    }
+
+    // Check if the event has already ended
+    if (event.hasEnded()) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: 'Cannot RSVP to past events' });
+    }
+
+    // Check if user is already registered
+    if (event.findAttendee(req.user.id)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: 'You are already registered for this event' });
+    }
+
+    if (event.findWaitlisted(req.user.id)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: 'You are already on the waitlist for this event' });
+    }
+
+    if (event.findRequest(req.user.id)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: 'You have already asked to join this event' });
+    }
+
+    if (event.findHold(req.user.id)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: 'You are already checking out a ticket for this event' });
+    }
+
+    // Free tiers are booked here; paid ones go through checkout
+    const { tier, error: tierError } = pickTier(event, req.body.tier);
+    if (tierError) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: tierError });
+    }
+    if (tier && tier.price > 0) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: `${tier.name} tickets have to be bought at checkout` });
+    }
+    const tierId = tier ? tier._id : null;
+
+    const { seats, guestNames, error } = parseSeats(req.body, event);
+    if (error) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: error });
+    }
+
+    const { answers, error: answersError } = validateAnswers(event.questions, req.body.answers);
+    if (answersError) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: answersError });
+    }
+
+    // Events that need approval only take a request; seats are handed out
+    // when the organizers approve it (see routes/attendees.js)
+    if (event.rsvpMode === 'approval') {
+      event.requests.push({ user: req.user.id, tier: tierId, seats, guestNames, answers });
+      await event.save({ session });
+
+      await session.commitTransaction();
+      session.endSession();
+
+      const updatedEvent = await Event.findById(event._id)
+        .populate('creator', 'name email')
+        .populate('category', 'name slug')
+        .populate('attendees.user', 'name')
+        .populate('series');
+
+      notifyUsers([req.user.id], 'rsvpRequested', { event: updatedEvent });
+      notifyUsers(event.attendeeManagerIds(), 'rsvpRequestReceived', { event: updatedEvent });
+      logActivity(event, 'request', { user: req.user.id, seats, ...describeSource(req.body) });
+      recordAudit(requestContext(req), event, 'rsvp.request', { details: { seats, tier: tierId } });
+
+      return res.json({
+        message: 'Your request has been sent to the organizers',
+        pending: true,
+        event: updatedEvent
+      });
+    }
+
+    // Check capacity (CRITICAL FOR PREVENTING OVERBOOKING)
+    // Seats are counted, not RSVPs. Without enough free seats the user is
+    // queued on the waitlist instead of being turned away, and nobody jumps
+    // ahead of people who are already waiting for the same tier.
+    if (event.waitlistFor(tierId).length > 0 || seats > event.seatsLeftFor(tierId)) {
+      event.waitlist.push({ user: req.user.id, tier: tierId, seats, guestNames, answers });
+      await event.save({ session });
+
+      await session.commitTransaction();
+      session.endSession();
+      broadcastAvailability(event);
+
+      const updatedEvent = await Event.findById(event._id)
+        .populate('creator', 'name email')
+        .populate('category', 'name slug')
+        .populate('attendees.user', 'name')
+        .populate('series');
+
+      notifyUsers([req.user.id], 'waitlistJoined', {
+        event: updatedEvent,
+        position: event.waitlist.length
+      });
+      logActivity(event, 'waitlist', { user: req.user.id, seats, ...describeSource(req.body) });
+      recordAudit(requestContext(req), event, 'rsvp.waitlist', {
+        details: { seats, tier: tierId, position: event.waitlist.length }
+      });
+
+      return res.json({
+        message: event.seatsLeftFor(tierId) > 0
+          ? 'Not enough free seats, you have been added to the waitlist'
+          : 'Event is full, you have been added to the waitlist',
+        waitlisted: true,
+        position: event.waitlist.length,
+        event: updatedEvent
+      });
+    }
+
+    // Add user to attendees; their entry is what the ticket is issued for
+    event.attendees.push({ user: req.user.id, tier: tierId, seats, guestNames, answers });
+    const attendee = event.attendees[event.attendees.length - 1];
+    await event.save({ session });
+
+    // Commit transaction
+    await session.commitTransaction();
+    session.endSession();
+    broadcastAvailability(event);
+
+    const updatedEvent = await Event.findById(event._id)
+      .populate('creator', 'name email')
+      .populate('category', 'name slug')
+      .populate('attendees.user', 'name')
+      .populate('series');
+
+    notifyUsers([req.user.id], 'rsvpConfirmed', { event: updatedEvent });
+    logActivity(event, 'rsvp', { user: req.user.id, seats, ...describeSource(req.body) });
+    recordAudit(requestContext(req), event, 'rsvp.create', {
+      details: { seats, tier: tierId, attendee: attendee._id }
+    });
+
+    res.json({ 
+      message: 'RSVP successful', 
+      event: updatedEvent,
+      ticket: describeTicket(event, attendee)
+    });
+
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    console.error('RSVP Error:', error);
+    res.status(500).json({ message: 'RSVP failed', error: error.message });
+  }
+});
+
+// Parts of an RSVP its holder can change, recorded in the audit log
+const RSVP_FIELDS = ['seats', 'guestNames', 'answers'];
+
+// Change the number of seats (and guest names) on an existing RSVP, and
+// optionally the answers to the registration questions. The attendee keeps
+// their place and ticket; extra seats must be free, and seats given back go
+// to the waitlist.
+router.put('/:id/rsvp', auth, async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const event = await Event.findById(req.params.id).session(session);
+
+    if (!event) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const attendee = event.findAttendee(req.user.id);
+    if (!attendee) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: 'You are not registered for this event' });
+    }
+
+    if (event.cancelledAt) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: 'This event has been cancelled' });
+    }
+
+    if (event.hasEnded()) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: 'This event has already ended' });
+    }
+
+    const { seats, guestNames, error } = parseSeats(req.body, event);
+    if (error) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: error });
+    }
+
+    let answers = attendee.answers;
+    if (req.body.answers !== undefined) {
+      const validated = validateAnswers(event.questions, req.body.answers);
+      if (validated.error) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(400).json({ message: validated.error });
+      }
+      answers = validated.answers;
+    }
+
+    // Paid tiers include tickets a promo code made free
+    const extraSeats = seats - attendee.seats;
+    const tier = attendee.tier && event.tiers.id(attendee.tier);
+    if (extraSeats !== 0 && (attendee.paymentId || (tier && tier.price > 0))) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: 'The number of seats on a paid ticket cannot be changed' });
+    }
+
+    const seatsLeft = event.seatsLeftFor(attendee.tier);
+    if (extraSeats > seatsLeft) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        message: seatsLeft > 0
+          ? `Only ${seatsLeft} more seat(s) available`
+          : 'There are no more seats available'
+      });
+    }
+
+    const before = snapshot(attendee, RSVP_FIELDS);
+    attendee.seats = seats;
+    attendee.guestNames = guestNames;
+    attendee.answers = answers;
+    const changes = diff(before, snapshot(attendee, RSVP_FIELDS));
+    const promoted = extraSeats < 0 ? event.promoteFromWaitlist() : [];
+    await event.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+    broadcastAvailability(event);
+
+    const updatedEvent = await Event.findById(event._id)
+      .populate('creator', 'name email')
+      .populate('category', 'name slug')
+      .populate('attendees.user', 'name')
+      .populate('series');
+
+    notifyUsers(promoted, 'waitlistPromoted', { event: updatedEvent });
+    logPromotions(event, promoted);
+
+    const context = requestContext(req);
+    if (changes.length > 0) {
+      recordAudit(context, event, 'rsvp.update', { changes });
+    }
+    auditPromotions(context, event, promoted);
+
+    res.json({
+      message: 'RSVP updated',
+      event: updatedEvent,
+      rsvp: { seats, guestNames, answers: answersById(answers) }
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Start buying a paid ticket, optionally with a promo code. The seats are
+// held in the same kind of transaction as a free RSVP, so they can't be sold
+// twice while the buyer pays; the hold is released if the payment fails or
+// doesn't finish in time. Responds with the provider's checkoutUrl to send
+// the buyer to, or with the ticket when a promo code makes it free.
+router.post('/:id/checkout', auth, async (req, res) => {
+  if (!getProvider()) {
+    return res.status(400).json({ message: NO_PROVIDER_ERROR });
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let hold;
+  let event;
+  let attendee = null;
+  try {
+    event = await Event.findById(req.params.id).session(session);
+
+    if (!event || !canViewEvent(await loadViewer(req), event)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (event.cancelledAt) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: 'This event has been cancelled' });
+    }
+
+    if (event.hasEnded()) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: 'Cannot buy tickets for past events' });
+    }
+
+    if (event.findAttendee(req.user.id) || event.findWaitlisted(req.user.id)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: 'You are already registered for this event' });
+    }
+
+    if (event.findHold(req.user.id)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: 'You are already checking out a ticket for this event' });
+    }
+
+    const { tier, error: tierError } = pickTier(event, req.body.tier);
+    if (tierError || !tier || tier.price === 0) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: tierError || 'Please choose a paid ticket type' });
+    }
+
+    const { seats, guestNames, error } = parseSeats(req.body, event);
+    if (error) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: error });
+    }
+
+    const { answers, error: answersError } = validateAnswers(event.questions, req.body.answers);
+    if (answersError) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: answersError });
+    }
+
+    // Paid tickets have no waitlist: buyers can't be charged for a seat
+    // that may never open up
+    const seatsLeft = event.seatsLeftFor(tier._id);
+    if (seats > seatsLeft) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        message: seatsLeft > 0
+          ? `Only ${seatsLeft} ${tier.name} seat(s) left`
+          : `${tier.name} is sold out`
+      });
+    }
+
+    // The code's uses are counted and taken in this transaction, so two
+    // checkouts can't both take the last use: they conflict on the event and
+    // only one of them commits
+    const subtotal = tier.price * seats;
+    const { promoCode, discount, error: promoError } = applyPromoCode(event, req.body.promoCode, tier, subtotal);
+    if (promoError) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: promoError });
+    }
+
+    event.holds.push({
+      user: req.user.id,
+      tier: tier._id,
+      seats,
+      guestNames,
+      answers,
+      amount: subtotal - discount,
+      promoCode: promoCode ? promoCode._id : null,
+      discount,
+      // Logged with the RSVP once the checkout is paid
+      source: describeSource(req.body).source,
+      expiresAt: new Date(Date.now() + holdTime())
+    });
+    hold = event.holds[event.holds.length - 1];
+    // Nothing left to pay, so there is no payment to wait for
+    if (hold.amount === 0) {
+      attendee = event.completeHold(hold);
+    }
+    await event.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    console.error('Checkout Error:', error);
+    return res.status(500).json({ message: 'Checkout failed', error: error.message });
+  }
+
+  broadcastAvailability(event);
+  recordAudit(requestContext(req), event, 'checkout.start', {
+    details: {
+      hold: hold._id,
+      tier: hold.tier,
+      seats: hold.seats,
+      amount: hold.amount,
+      discount: hold.discount,
+      promoCode: hold.promoCode ? event.promoCodes.id(hold.promoCode).code : null
+    }
+  });
+
+  if (attendee) {
+    recordAudit(requestContext(req), event, 'checkout.paid', {
+      details: { hold: hold._id, attendee: attendee._id, amount: 0 }
+    });
+
+    try {
+      const updatedEvent = await Event.findById(event._id)
+        .populate('creator', 'name email')
+        .populate('category', 'name slug')
+        .populate('attendees.user', 'name')
+        .populate('series');
+
+      notifyUsers([req.user.id], 'rsvpConfirmed', { event: updatedEvent });
+      logActivity(event, 'rsvp', { user: req.user.id, seats: attendee.seats, source: hold.source });
+
+      return res.status(201).json({
+        message: 'RSVP successful',
+        event: updatedEvent,
+        ticket: describeTicket(event, attendee)
+      });
+    } catch (error) {
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+
+  // The payment is created outside the transaction so the event isn't kept
+  // locked while the provider responds
+  try {
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+    const tier = event.tiers.id(hold.tier);
+    const payment = await getProvider().createPayment({
+      amount: hold.amount,
+      currency: event.currency,
+      description: `${event.title} - ${hold.seats} x ${tier.name}`,
+      reference: hold._id.toString(),
+      returnUrl: `${clientUrl}/events/${event._id}/checkout/${hold._id}`
+    });
+
+    await Event.updateOne(
+      { _id: event._id, 'holds._id': hold._id },
+      { $set: { 'holds.$.paymentId': payment.id } }
+    );
+
+    res.status(201).json({
+      holdId: hold._id,
+      checkoutUrl: payment.checkoutUrl,
+      amount: hold.amount,
+      discount: hold.discount,
+      currency: event.currency,
+      expiresAt: hold.expiresAt
+    });
+  } catch (error) {
+    await settleHold(event._id, hold._id, { release: true, context: requestContext(req) }).catch(() => {});
+    res.status(502).json({ message: 'The payment provider is unavailable, please try again', error: error.message });
+  }
+});
+
+// Price of a checkout before starting it, e.g. to show what a promo code
+// takes off. Nothing is reserved, so the code may be used up by the time the
+// checkout starts.
+router.post('/:id/checkout/quote', auth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event || !canViewEvent(await loadViewer(req), event)) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (event.cancelledAt) {
+      return res.status(400).json({ message: 'This event has been cancelled' });
+    }
+
+    const { tier, error: tierError } = pickTier(event, req.body.tier);
+    if (tierError || !tier || tier.price === 0) {
+      return res.status(400).json({ message: tierError || 'Please choose a paid ticket type' });
+    }
+
+    const { seats, error } = parseSeats(req.body, event);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const subtotal = tier.price * seats;
+    const { discount, error: promoError } = applyPromoCode(event, req.body.promoCode, tier, subtotal);
+    if (promoError) {
+      return res.status(400).json({ message: promoError });
+    }
+
+    res.json({ subtotal, discount, total: subtotal - discount, currency: event.currency });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Finish a checkout after the buyer comes back from the payment provider.
+// Paid: the hold becomes an RSVP and the ticket is returned. Still pending:
+// 202, ask again shortly. Failed or expired: the seats are released.
+router.post('/:id/checkout/:holdId/confirm', auth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const hold = event.holds.id(req.params.holdId);
+    if (hold && hold.user.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'This checkout belongs to someone else' });
+    }
+
+    const result = hold
+      ? await settleHold(event._id, hold._id, { context: requestContext(req) })
+      : { status: 'missing' };
+
+    if (result.status === 'pending') {
+      return res.status(202).json({ message: 'Your payment is still being processed', pending: true });
+    }
+    if (result.status === 'released') {
+      return res.status(402).json({ message: 'The payment did not go through, so your seats were released' });
+    }
+
+    // Settled already, possibly by the sweeper: show the ticket if it was paid
+    const settled = result.event || await Event.findById(event._id);
+    const attendee = result.attendee || settled.findAttendee(req.user.id);
+    if (!attendee || !attendee.paymentId) {
+      return res.status(410).json({ message: 'This checkout has expired' });
+    }
+
+    const updatedEvent = await Event.findById(event._id)
+      .populate('creator', 'name email')
+      .populate('category', 'name slug')
+      .populate('attendees.user', 'name')
+      .populate('series');
+
+    res.json({
+      message: 'Payment received, you are going!',
+      event: updatedEvent,
+      ticket: describeTicket(settled, attendee)
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Give up on a checkout: cancel the payment and release the seats
+router.delete('/:id/checkout/:holdId', auth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    const hold = event && event.holds.id(req.params.holdId);
+
+    if (!hold || hold.user.toString() !== req.user.id) {
+      return res.status(404).json({ message: 'Checkout not found' });
+    }
+
+    const result = await settleHold(event._id, hold._id, { release: true, context: requestContext(req) });
+
+    res.json({
+      message: result.status === 'paid'
+        ? 'Your payment had already gone through, so your ticket is booked'
+        : 'Checkout cancelled',
+      paid: result.status === 'paid'
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Cancel RSVP (or leave the waitlist, or withdraw a pending request)
+router.post('/:id/cancel-rsvp', auth, async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const event = await Event.findById(req.params.id).session(session);
+
+    if (!event) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    // Check if user is registered, waitlisted or waiting for approval
+    const attendee = event.findAttendee(req.user.id);
+    const waiting = event.findWaitlisted(req.user.id);
+    const request = event.findRequest(req.user.id);
+
+    if (!attendee && !waiting && !request) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: 'You are not registered for this event' });
+    }
+
+    let message;
+    let promoted = [];
+    // Paid tickets aren't refunded automatically; the organizers handle that
+    if (attendee) {
+      // Remove user from attendees and hand the spot to the next in line
+      event.attendees.pull(attendee._id);
+      promoted = event.promoteFromWaitlist();
+      message = 'RSVP cancelled successfully';
+    } else if (waiting) {
+      event.waitlist.pull(waiting._id);
+      // The people behind them may fit now
+      promoted = event.promoteFromWaitlist();
+      message = 'You have left the waitlist';
+    } else {
+      event.requests.pull(request._id);
+      message = 'Your request has been withdrawn';
+    }
+
+    await event.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+    broadcastAvailability(event);
+
+    const updatedEvent = await Event.findById(event._id)
+      .populate('creator', 'name email')
+      .populate('category', 'name slug')
+      .populate('attendees.user', 'name')
+      .populate('series');
+
+    if (attendee) {
+      notifyUsers([req.user.id], 'rsvpCancelled', { event: updatedEvent });
+      logActivity(event, 'cancel', { user: req.user.id, seats: attendee.seats });
+    }
+    notifyUsers(promoted, 'waitlistPromoted', { event: updatedEvent });
+    logPromotions(event, promoted);
+
+    const context = requestContext(req);
+    const cancelled = attendee || waiting || request;
+    recordAudit(context, event, attendee ? 'rsvp.cancel' : waiting ? 'waitlist.leave' : 'request.withdraw', {
+      details: {
+        seats: cancelled.seats,
+        tier: cancelled.tier,
+        ...(attendee ? { attendee: attendee._id, amountPaid: attendee.amountPaid } : {})
+      }
+    });
+    auditPromotions(context, event, promoted);
+
+    res.json({ 
+      message, 
+      event: updatedEvent 
+    });
+
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get the current user's ticket for an event they are attending
+router.get('/:id/ticket', auth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const attendee = event.findAttendee(req.user.id);
+    if (!attendee) {
+      return res.status(404).json({ message: 'You are not attending this event' });
+    }
+
+    res.json(describeTicket(event, attendee));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Report an event to the moderators
+router.post('/:id/report', auth, async (req, res) => {
+  try {
+    const reason = String(req.body.reason || '').trim();
+
+    if (!reason) {
+      return res.status(400).json({ message: 'Please tell us what is wrong with this event' });
+    }
+
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (event.creator.toString() === req.user.id) {
+      return res.status(400).json({ message: 'You cannot report your own event' });
+    }
+
+    await Report.create({ event: event._id, reporter: req.user.id, reason });
+
+    res.status(201).json({ message: 'Thanks, the moderators will take a look' });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'You have already reported this event' });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Only the creator (or a moderator) decides who co-organizes an event
+const canManageOrganizers = (user, event) => {
+  return isEventCreator(user, event) || hasPermission(user, 'events:edit_any');
+};
+
+// Keep the known organizer permissions, without duplicates
+const parseOrganizerPermissions = (permissions) => {
+  const list = Array.isArray(permissions) ? permissions : [];
+  return [...new Set(list.filter(permission => ORGANIZER_PERMISSIONS.includes(permission)))];
+};
+
+// List co-organizers and pending invites (creator, co-organizers and moderators)
+router.get('/:id/organizers', auth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id)
+      .populate('organizers.user', 'name email');
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const isOrganizer = Boolean(event.findOrganizer(req.user.id));
+    if (!isOrganizer && !canManageOrganizers(req.user, event)) {
+      return res.status(403).json({ message: 'Not authorized to view organizers' });
+    }
+
+    // Bypass the toJSON transform, which hides pending invites
+    res.json({
+      organizers: event.organizers.map(organizer => organizer.toObject()),
+      canManage: canManageOrganizers(req.user, event)
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Invite a co-organizer by email. For a recurring event, scope=future also
+// invites them to every later date.
+router.post('/:id/organizers', auth, async (req, res) => {
+  try {
+    const email = String(req.body.email || '').toLowerCase().trim();
+    const permissions = parseOrganizerPermissions(req.body.permissions);
+
+    if (!isEmail(email)) {
+      return res.status(400).json({ message: 'Please provide a valid email address' });
+    }
+    if (permissions.length === 0) {
+      return res.status(400).json({
+        message: `Choose at least one permission: ${ORGANIZER_PERMISSIONS.join(', ')}`
+      });
+    }
+
+    const event = await Event.findById(req.params.id).populate('creator', 'name email');
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!canManageOrganizers(req.user, event)) {
+      return res.status(403).json({ message: 'Only the event creator can invite co-organizers' });
+    }
+
+    if (event.creator.email === email) {
+      return res.status(400).json({ message: 'The creator already organizes this event' });
+    }
+
+    const targets = [event];
+    if (req.body.scope === 'future' && event.series) {
+      const later = await Event.find({ series: event.series, date: { $gt: event.date } });
+      targets.push(...later);
+    }
+
+    const invitable = targets.filter(target =>
+      !target.organizers.some(organizer => organizer.email === email)
+    );
+    if (invitable.length === 0) {
+      return res.status(400).json({ message: 'That person has already been invited' });
+    }
+
+    for (const target of invitable) {
+      target.organizers.push({ email, permissions, invitedBy: req.user.id });
+      await target.save();
+      recordAudit(requestContext(req), target, 'organizer.invite', { details: { email, permissions } });
+    }
+
+    const [inviter, invitee] = await Promise.all([
+      User.findById(req.user.id).select('name'),
+      User.findOne({ email }).select('name email')
+    ]);
+    sendTemplate(invitee || { name: 'there', email }, 'organizerInvite', {
+      event,
+      inviter,
+      permissions
+    });
+
+    res.status(201).json({
+      message: invitable.length > 1
+        ? `Invitation sent for ${invitable.length} dates`
+        : 'Invitation sent'
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Accept a co-organizer invite sent to the current user's (verified) email
+router.post('/:id/organizers/accept', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('email emailVerified');
+
+    if (!user.emailVerified) {
+      return res.status(403).json({ message: 'Please verify your email address before accepting invitations' });
+    }
+
+    const event = await Event.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        organizers: { $elemMatch: { email: user.email, status: 'pending' } }
+      },
+      {
+        $set: {
+          'organizers.$.user': user._id,
+          'organizers.$.status': 'accepted'
+        }
+      },
+      { new: true }
+    );
+
+    if (!event) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    recordAudit(requestContext(req), event, 'organizer.accept', { details: { email: user.email } });
+
+    res.json({ message: 'You are now a co-organizer of this event' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Decline a co-organizer invite
+router.post('/:id/organizers/decline', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('email');
+
+    const result = await Event.updateOne(
+      { _id: req.params.id },
+      { $pull: { organizers: { email: user.email, status: 'pending' } } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    const event = await Event.findById(req.params.id).select('title');
+    recordAudit(requestContext(req), event, 'organizer.decline', { details: { email: user.email } });
+
+    res.json({ message: 'Invitation declined' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Change what a co-organizer may do
+router.put('/:id/organizers/:organizerId', auth, async (req, res) => {
+  try {
+    const permissions = parseOrganizerPermissions(req.body.permissions);
+
+    if (permissions.length === 0) {
+      return res.status(400).json({
+        message: `Choose at least one permission: ${ORGANIZER_PERMISSIONS.join(', ')}`
+      });
+    }
+
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!canManageOrganizers(req.user, event)) {
+      return res.status(403).json({ message: 'Only the event creator can change co-organizers' });
+    }
+
+    const organizer = event.organizers.id(req.params.organizerId);
+    if (!organizer) {
+      return res.status(404).json({ message: 'Co-organizer not found' });
+    }
+
+    const before = [...organizer.permissions];
+    organizer.permissions = permissions;
+    await event.save();
+
+    recordAudit(requestContext(req), event, 'organizer.update', {
+      subject: organizer.user,
+      changes: diff({ permissions: before }, { permissions }),
+      details: { email: organizer.email }
+    });
+
+    res.json(organizer.toObject());
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Remove a co-organizer or cancel an invite. Co-organizers can also remove
+// themselves to step down.
+router.delete('/:id/organizers/:organizerId', auth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const organizer = event.organizers.id(req.params.organizerId);
+    if (!organizer) {
+      return res.status(404).json({ message: 'Co-organizer not found' });
+    }
+
+    const isSelf = organizer.user && organizer.user.toString() === req.user.id;
+    if (!isSelf && !canManageOrganizers(req.user, event)) {
+      return res.status(403).json({ message: 'Only the event creator can remove co-organizers' });
+    }
+
+    organizer.deleteOne();
+    await event.save();
+
+    recordAudit(requestContext(req), event, 'organizer.remove', {
+      subject: isSelf ? null : organizer.user,
+      details: { email: organizer.email, permissions: [...organizer.permissions] }
+    });
+
+    res.json({ message: isSelf ? 'You are no longer a co-organizer' : 'Co-organizer removed' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get whether the user gets reminder emails for this event
+router.get('/:id/reminders', auth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event || !canViewEvent(await loadViewer(req), event)) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      enabled: !user.mutedReminderEvents.some(id => id.equals(event._id)),
+      globallyEnabled: user.remindersEnabled
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Turn reminder emails for this event on or off
+router.put('/:id/reminders', auth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event || !canViewEvent(await loadViewer(req), event)) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const enabled = req.body.enabled !== false;
+    const update = enabled
+      ? { $pull: { mutedReminderEvents: event._id } }
+      : { $addToSet: { mutedReminderEvents: event._id } };
+
+    const user = await User.findByIdAndUpdate(req.user.id, update, { new: true });
+
+    res.json({ enabled, globallyEnabled: user.remindersEnabled });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get user's created events
+router.get('/user/created', auth, async (req, res) => {
+  try {
+    // Events the user created or co-organizes
+    const events = await Event.find({
+      $or: [
+        { creator: req.user.id },
+        { organizers: { $elemMatch: { user: req.user.id, status: 'accepted' } } }
+      ]
+    })
       .populate('creator', 'name email')
+      .populate('category', 'name slug')
       .sort({ date: 1 });
     res.json(events);
   } catch (error) {
@@ -280,11 +2143,60 @@ router.get('/user/created', auth, async (req, res) => {
   }
 });
 
+// Get pending co-organizer invitations for the user's email
+router.get('/user/invitations', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('email');
+    const events = await Event.find({
+      organizers: { $elemMatch: { email: user.email, status: 'pending' } },
+      cancelledAt: null
+    })
+      .populate('creator', 'name email')
+      .sort({ date: 1 });
+
+    res.json(events.map(event => ({
+      ...event.toJSON(),
+      invitation: event.organizers
+        .find(organizer => organizer.email === user.email && organizer.status === 'pending')
+        .toObject()
+    })));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 // Get user's attending events
 router.get('/user/attending', auth, async (req, res) => {
   try {
-    const events = await Event.find({ attendees: req.user.id })
+    const events = await Event.find({ 'attendees.user': req.user.id })
+      .populate('creator', 'name email')
+      .populate('category', 'name slug')
+      .sort({ date: 1 });
+    res.json(events);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get events the user asked to join and is waiting for approval on
+router.get('/user/requested', auth, async (req, res) => {
+  try {
+    const events = await Event.find({ 'requests.user': req.user.id })
+      .populate('creator', 'name email')
+      .populate('category', 'name slug')
+      .sort({ date: 1 });
+    res.json(events);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get events the user is waitlisted for
+router.get('/user/waitlisted', auth, async (req, res) => {
+  try {
+    const events = await Event.find({ 'waitlist.user': req.user.id })
       .populate('creator', 'name email')
+      .populate('category', 'name slug')
       .sort({ date: 1 });
     res.json(events);
   } catch (error) {
@@ -292,4 +2204,87 @@ router.get('/user/attending', auth, async (req, res) => {
   }
 });
 
+const feedUrl = (req, token) => {
+  return `${req.protocol}://${req.get('host')}/api/events/feed/${token}.ics`;
+};
+
+// Get deleted events the user created or deleted that can still be
+// restored, with the date each one will be purged
+router.get('/user/deleted', auth, async (req, res) => {
+  try {
+    const events = await Event.find({
+      deletedAt: { $ne: null },
+      $or: [{ creator: req.user.id }, { deletedBy: req.user.id }]
+    })
+      .populate('creator', 'name email')
+      .populate('category', 'name slug')
+      .sort({ deletedAt: -1 });
+
+    // Events of deleted accounts can't be restored, so they aren't listed
+    res.json(events
+      .filter(event => event.creator)
+      .map(event => ({ ...event.toJSON(), purgeAt: purgeDate(event) })));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get (and lazily create) the user's calendar subscription URL
+router.get('/user/calendar-feed', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.calendarToken) {
+      user.calendarToken = crypto.randomBytes(24).toString('hex');
+      await user.save();
+    }
+
+    res.json({ url: feedUrl(req, user.calendarToken) });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Replace the calendar token, invalidating any previously shared URL
+router.post('/user/calendar-feed/reset', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    user.calendarToken = crypto.randomBytes(24).toString('hex');
+    await user.save();
+
+    res.json({ url: feedUrl(req, user.calendarToken) });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Personal calendar feed (created + attending events), authenticated by token
+router.get('/feed/:token.ics', async (req, res) => {
+  try {
+    const user = await User.findOne({ calendarToken: req.params.token });
+
+    if (!user) {
+      return res.status(404).json({ message: 'Calendar feed not found' });
+    }
+
+    const events = await Event.find({
+      $or: [{ creator: user._id }, { 'attendees.user': user._id }]
+    }).sort({ date: 1 });
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.send(buildCalendar(events, { name: `${user.name}'s events` }));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
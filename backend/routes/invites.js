@@ -0,0 +1,150 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const Event = require('../models/Event');
+const User = require('../models/User');
+const { canManageEvent } = require('../utils/permissions');
+const { isEmail } = require('../utils/text');
+const { sendTemplate } = require('../notifications');
+const { requestContext, recordAudit } = require('../utils/audit');
+const auth = require('../middleware/auth');
+
+// Guest list of an invite-only event, mounted at /api/events/:id/invites.
+// Managed by organizers with the 'attendees' permission (or events:edit_any).
+router.use(auth);
+
+const MAX_INVITES_PER_REQUEST = 100;
+
+const canManageInvites = (user, event) => {
+  return canManageEvent(user, event, 'events:edit_any', 'attendees');
+};
+
+// Email addresses sent as a list or as one string separated by commas,
+// semicolons or whitespace, lowercased and without duplicates
+const parseEmails = (emails) => {
+  const list = Array.isArray(emails) ? emails : String(emails || '').split(/[\s,;]+/);
+  return [...new Set(list.map(email => String(email).toLowerCase().trim()).filter(Boolean))];
+};
+
+const listInvites = (event) => ({
+  invites: event.invites.map(invite => invite.toObject())
+});
+
+// Get the invite list
+router.get('/', async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!canManageInvites(req.user, event)) {
+      return res.status(403).json({ message: 'Not authorized to manage invites' });
+    }
+
+    res.json(listInvites(event));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Invite people by email. They are emailed a link to the event. For a
+// recurring event, scope=future also invites them to every later date.
+router.post('/', async (req, res) => {
+  try {
+    const emails = parseEmails(req.body.emails);
+
+    if (emails.length === 0) {
+      return res.status(400).json({ message: 'Please provide at least one email address' });
+    }
+    if (emails.length > MAX_INVITES_PER_REQUEST) {
+      return res.status(400).json({
+        message: `You can invite at most ${MAX_INVITES_PER_REQUEST} people at once`
+      });
+    }
+
+    const invalid = emails.filter(email => !isEmail(email));
+    if (invalid.length > 0) {
+      return res.status(400).json({ message: `Not a valid email address: ${invalid.join(', ')}` });
+    }
+
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!canManageInvites(req.user, event)) {
+      return res.status(403).json({ message: 'Not authorized to manage invites' });
+    }
+
+    const targets = [event];
+    if (req.body.scope === 'future' && event.series) {
+      const later = await Event.find({ series: event.series, date: { $gt: event.date } });
+      targets.push(...later.filter(target => canManageInvites(req.user, target)));
+    }
+
+    const alreadyInvited = new Set(event.invites.map(invite => invite.email));
+    const newEmails = emails.filter(email => !alreadyInvited.has(email));
+
+    for (const target of targets) {
+      const invited = new Set(target.invites.map(invite => invite.email));
+      const missing = emails.filter(email => !invited.has(email));
+      if (missing.length === 0) continue;
+
+      missing.forEach(email => target.invites.push({ email, invitedBy: req.user.id }));
+      await target.save();
+      recordAudit(requestContext(req), target, 'invite.add', { details: { emails: missing } });
+    }
+
+    // Only people new to this date are emailed
+    const [inviter, users] = await Promise.all([
+      User.findById(req.user.id).select('name'),
+      User.find({ email: { $in: newEmails } }).select('name email')
+    ]);
+    const byEmail = new Map(users.map(user => [user.email, user]));
+    newEmails.forEach(email => {
+      sendTemplate(byEmail.get(email) || { name: 'there', email }, 'eventInvite', { event, inviter });
+    });
+
+    res.status(201).json({
+      message: newEmails.length > 0
+        ? `${newEmails.length} invitation(s) sent`
+        : 'Everyone was already invited',
+      ...listInvites(event)
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Take someone off the invite list. An RSVP they already made is kept;
+// remove them from the attendees as well to take that back.
+router.delete('/:inviteId', async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!canManageInvites(req.user, event)) {
+      return res.status(403).json({ message: 'Not authorized to manage invites' });
+    }
+
+    const invite = event.invites.id(req.params.inviteId);
+    if (!invite) {
+      return res.status(404).json({ message: 'Invite not found' });
+    }
+
+    invite.deleteOne();
+    await event.save();
+    recordAudit(requestContext(req), event, 'invite.remove', { details: { email: invite.email } });
+
+    res.json(listInvites(event));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const { getProvider } = require('../payments');
+
+// The fake provider's checkout page (/fake-pay/:paymentId in the client)
+// talks to these. They only exist while PAYMENT_PROVIDER is 'fake'; a real
+// provider hosts its own checkout.
+router.use('/fake', (req, res, next) => {
+  const provider = getProvider();
+  if (!provider || provider.name !== 'fake') {
+    return res.status(404).json({ message: 'Not found' });
+  }
+  next();
+});
+
+// Get a payment to show on the fake checkout page
+router.get('/fake/:paymentId', (req, res) => {
+  const payment = getProvider().findPayment(req.params.paymentId);
+
+  if (!payment) {
+    return res.status(404).json({ message: 'Payment not found' });
+  }
+
+  res.json(payment);
+});
+
+// Pay or decline a payment; the page then sends the buyer to returnUrl
+router.post('/fake/:paymentId', (req, res) => {
+  const { outcome } = req.body;
+
+  if (!['pay', 'decline'].includes(outcome)) {
+    return res.status(400).json({ message: "Outcome must be 'pay' or 'decline'" });
+  }
+
+  const payment = getProvider().completePayment(req.params.paymentId, outcome === 'pay');
+
+  if (!payment) {
+    return res.status(404).json({ message: 'Payment not found' });
+  }
+
+  res.json({ status: payment.status, returnUrl: payment.returnUrl });
+});
+
+module.exports = router;
@@ -0,0 +1,222 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const Event = require('../models/Event');
+const User = require('../models/User');
+const { canManageEvent } = require('../utils/permissions');
+const { normalizePromoCode } = require('../utils/promoCodes');
+const { sendCsv } = require('../utils/csv');
+const { requestContext, recordAudit } = require('../utils/audit');
+const auth = require('../middleware/auth');
+
+// Promo codes of a ticketed event and who redeemed them, mounted at
+// /api/events/:id/promo-codes. Managed by organizers with the 'edit'
+// permission (or events:edit_any), since codes change ticket prices.
+router.use(auth);
+
+const canManagePromoCodes = (user, event) => {
+  return canManageEvent(user, event, 'events:edit_any', 'edit');
+};
+
+// Every code with its usage so far and the redemptions behind it, newest
+// code first
+const buildPromoCodeReport = async (event) => {
+  const ids = event.promoCodes.flatMap(promoCode => promoCode.redemptions.map(redemption => redemption.user));
+  const users = await User.find({ _id: { $in: ids } }).select('name email');
+  const byId = new Map(users.map(user => [user._id.toString(), user]));
+
+  const tierName = (tierId) => {
+    const tier = tierId && event.tiers.id(tierId);
+    return tier ? tier.name : null;
+  };
+
+  const promoCodes = event.promoCodes.map(promoCode => ({
+    _id: promoCode._id,
+    code: promoCode.code,
+    discountType: promoCode.discountType,
+    amount: promoCode.amount,
+    maxUses: promoCode.maxUses,
+    expiresAt: promoCode.expiresAt,
+    tiers: promoCode.tiers.map(tierName).filter(Boolean),
+    active: promoCode.active,
+    createdAt: promoCode.createdAt,
+    uses: event.promoCodeUses(promoCode),
+    totalDiscount: promoCode.redemptions.reduce((total, redemption) => total + redemption.discount, 0),
+    redemptions: promoCode.redemptions.map(redemption => {
+      const user = byId.get(redemption.user.toString());
+      return {
+        _id: redemption._id,
+        name: user ? user.name : 'Deleted user',
+        email: user ? user.email : '',
+        tier: tierName(redemption.tier),
+        seats: redemption.seats,
+        discount: redemption.discount,
+        redeemedAt: redemption.redeemedAt
+      };
+    })
+  }));
+
+  return { currency: event.currency, promoCodes: promoCodes.reverse() };
+};
+
+// Get the promo codes with their redemptions
+router.get('/', async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!canManagePromoCodes(req.user, event)) {
+      return res.status(403).json({ message: 'Not authorized to manage promo codes' });
+    }
+
+    res.json(await buildPromoCodeReport(event));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Download every redemption as CSV, one row per checkout
+router.get('/redemptions.csv', async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!canManagePromoCodes(req.user, event)) {
+      return res.status(403).json({ message: 'Not authorized to manage promo codes' });
+    }
+
+    const { promoCodes } = await buildPromoCodeReport(event);
+    const rows = promoCodes.flatMap(promoCode => promoCode.redemptions.map(redemption => [
+      promoCode.code,
+      redemption.name,
+      redemption.email,
+      redemption.tier || '',
+      redemption.seats,
+      (redemption.discount / 100).toFixed(2),
+      redemption.redeemedAt.toISOString()
+    ]));
+
+    sendCsv(
+      res,
+      `event-${event._id}-promo-codes.csv`,
+      ['Code', 'Name', 'Email', 'Ticket', 'Seats', `Discount (${event.currency})`, 'Redeemed at'],
+      rows
+    );
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Create a promo code. Percentage codes take amount as 1-100, fixed ones in
+// cents off the whole order; maxUses, expiresAt and tiers are optional.
+router.post('/', async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!canManagePromoCodes(req.user, event)) {
+      return res.status(403).json({ message: 'Not authorized to manage promo codes' });
+    }
+
+    const { promoCode, error } = normalizePromoCode(req.body, event);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    event.promoCodes.push({ ...promoCode, createdBy: req.user.id });
+    await event.save();
+
+    recordAudit(requestContext(req), event, 'promo_code.create', {
+      details: {
+        code: promoCode.code,
+        discountType: promoCode.discountType,
+        amount: promoCode.amount,
+        maxUses: promoCode.maxUses
+      }
+    });
+
+    res.status(201).json(await buildPromoCodeReport(event));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Turn a code off or back on. Checkouts already using it are not affected.
+router.put('/:promoCodeId', async (req, res) => {
+  try {
+    const active = req.body && req.body.active;
+    if (typeof active !== 'boolean') {
+      return res.status(400).json({ message: 'active must be true or false' });
+    }
+
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!canManagePromoCodes(req.user, event)) {
+      return res.status(403).json({ message: 'Not authorized to manage promo codes' });
+    }
+
+    const promoCode = event.promoCodes.id(req.params.promoCodeId);
+    if (!promoCode) {
+      return res.status(404).json({ message: 'Promo code not found' });
+    }
+
+    promoCode.active = active;
+    await event.save();
+
+    recordAudit(requestContext(req), event, 'promo_code.update', {
+      details: { code: promoCode.code, active: promoCode.active }
+    });
+
+    res.json(await buildPromoCodeReport(event));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Delete a code nobody has used; used codes are turned off instead so their
+// redemptions stay in the report
+router.delete('/:promoCodeId', async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!canManagePromoCodes(req.user, event)) {
+      return res.status(403).json({ message: 'Not authorized to manage promo codes' });
+    }
+
+    const promoCode = event.promoCodes.id(req.params.promoCodeId);
+    if (!promoCode) {
+      return res.status(404).json({ message: 'Promo code not found' });
+    }
+
+    if (event.promoCodeUses(promoCode) > 0) {
+      return res.status(400).json({ message: 'This code has been used, turn it off instead' });
+    }
+
+    promoCode.deleteOne();
+    await event.save();
+
+    recordAudit(requestContext(req), event, 'promo_code.delete', { details: { code: promoCode.code } });
+
+    res.json(await buildPromoCodeReport(event));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
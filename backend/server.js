@@ -4,23 +4,85 @@ const cors = require('cors');
 const dotenv = require('dotenv');
 const path = require('path');
 
+// Load .env before any module of ours reads its settings
 dotenv.config();
 
+const { queue: mailQueue } = require('./notifications');
+const { startReminderScheduler } = require('./notifications/reminders');
+const { startHoldSweeper } = require('./payments/checkout');
+const { getProvider } = require('./payments');
+const { startEventPurger } = require('./utils/trash');
+const Event = require('./models/Event');
+const User = require('./models/User');
+const live = require('./utils/live');
+
+// Fail right away on a payment provider that is unknown or not allowed here
+getProvider();
+
 const app = express();
 
+// Behind a reverse proxy (e.g. on Render) TRUST_PROXY is the number of proxy
+// hops, or the proxy addresses, to trust, so req.ip is the client's address
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
+// Express 5 leaves req.body undefined for requests without a body, while the
+// routes read optional fields from it
+app.use((req, res, next) => {
+  if (req.body === undefined) req.body = {};
+  next();
+});
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
+// Start a background job; one that fails to start doesn't keep the others
+// from running
+const startJob = (name, start) => {
+  try {
+    start();
+  } catch (err) {
+    console.error(`❌ Failed to start ${name}:`, err.message);
+  }
+};
+
 // Database Connection
 mongoose.connect(process.env.MONGO_URI)
-.then(() => console.log('✅ MongoDB Connected'))
+.then(() => {
+  console.log('✅ MongoDB Connected');
+  startJob('mail queue', () => mailQueue.start());
+  startJob('reminder scheduler', startReminderScheduler);
+  startJob('checkout sweeper', startHoldSweeper);
+  startJob('event purger', startEventPurger);
+  return Promise.all([Event.migrateLegacyRegistrations(), User.migrateLegacyVerification()]);
+})
+.then(([registrations, verification]) => {
+  if (registrations.modifiedCount > 0) {
+    console.log(`🎟️  Migrated RSVPs on ${registrations.modifiedCount} events`);
+  }
+  if (verification.modifiedCount > 0) {
+    console.log(`✉️  Marked ${verification.modifiedCount} existing accounts as verified`);
+  }
+})
 .catch((err) => console.error('❌ MongoDB Error:', err));
 
 // Routes
 app.use('/api/auth', require('./routes/auth'));
+// Live seat availability (Server-Sent Events)
+app.get('/api/events/live', live.subscribe);
+app.use('/api/events/:id/attendees', require('./routes/attendees'));
+app.use('/api/events/:id/check-in', require('./routes/checkin'));
+app.use('/api/events/:id/invites', require('./routes/invites'));
+app.use('/api/events/:id/promo-codes', require('./routes/promoCodes'));
+app.use('/api/events/:id/audit', require('./routes/audit'));
 app.use('/api/events', require('./routes/events'));
+app.use('/api/categories', require('./routes/categories'));
+app.use('/api/admin', require('./routes/admin'));
+app.use('/api/analytics', require('./routes/analytics'));
+app.use('/api/payments', require('./routes/payments'));
 
 // Test Route
 app.get('/', (req, res) => {
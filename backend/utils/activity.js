@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const ms = require('ms');
+const EventActivity = require('../models/EventActivity');
+
+const MAX_SOURCE_LENGTH = 50;
+const DEFAULT_VIEW_WINDOW = '30m';
+
+const viewWindow = () => ms(process.env.VIEW_DEDUPE_WINDOW || DEFAULT_VIEW_WINDOW);
+
+// Host of a referring URL, or null when there is none or it can't be parsed
+const referrerHost = (referrer) => {
+  try {
+    return referrer ? new URL(String(referrer)).hostname.slice(0, 100) || null : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Where a visitor came from, as sent by the client: the campaign they
+// arrived with (utm_source), else the site that linked to the event, else
+// 'direct'. Returns { source, referrer }.
+const describeSource = ({ source, referrer } = {}) => {
+  const host = referrerHost(referrer);
+  const campaign = String(source || '').trim().toLowerCase().slice(0, MAX_SOURCE_LENGTH);
+  return { source: campaign || host || 'direct', referrer: host };
+};
+
+// Add an entry to the activity log. Analytics are never worth failing a
+// request over, so errors are only logged.
+const logActivity = (event, type, { user = null, seats = 0, source = 'direct', referrer = null } = {}) => {
+  EventActivity.create({ event: event._id, type, user, seats, source, referrer })
+    .catch(err => console.error('❌ Activity log error:', err.message));
+};
+
+// Who viewed a page: their account, or their IP address when they aren't
+// logged in. Keyed with a secret so the log doesn't hold raw addresses.
+const viewerKey = ({ user, ip }) => {
+  return crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update(user ? `user:${user}` : `ip:${ip}`)
+    .digest('base64url');
+};
+
+// Log a page view unless the same viewer already viewed the event in the
+// current VIEW_DEDUPE_WINDOW period, so reloading the page or repeating the
+// request doesn't inflate the numbers. The unique index on the period turns
+// away concurrent duplicates. Like logActivity, errors are only logged.
+const logView = async (event, { user = null, ip = null, source = 'direct', referrer = null } = {}) => {
+  const periodLength = viewWindow();
+  const viewPeriod = new Date(Math.floor(Date.now() / periodLength) * periodLength);
+
+  try {
+    await EventActivity.create({
+      event: event._id,
+      type: 'view',
+      user,
+      viewer: viewerKey({ user, ip }),
+      viewPeriod,
+      source,
+      referrer
+    });
+  } catch (err) {
+    if (err.code === 11000) return;
+    console.error('❌ Activity log error:', err.message);
+  }
+};
+
+// Log the people promoteFromWaitlist() (or an approval) gave seats to
+const logPromotions = (event, userIds, source = 'waitlist') => {
+  userIds.forEach(userId => {
+    const attendee = event.findAttendee(userId);
+    logActivity(event, 'rsvp', { user: userId, seats: attendee ? attendee.seats : 0, source });
+  });
+};
+
+module.exports = { describeSource, logActivity, logView, logPromotions };
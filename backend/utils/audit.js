@@ -0,0 +1,111 @@
+const AuditLog = require('../models/AuditLog');
+
+// Event fields whose edits are recorded with before/after values
+const AUDITED_EVENT_FIELDS = [
+  'title',
+  'description',
+  'date',
+  'endDate',
+  'timezone',
+  'location',
+  'capacity',
+  'maxGuests',
+  'questions',
+  'visibility',
+  'rsvpMode',
+  'tiers',
+  'currency',
+  'tags',
+  'category',
+  'image'
+];
+
+// Who made a request and from where. Entries the server writes on its own,
+// like a checkout that ran out of time, use SYSTEM.
+const requestContext = (req) => ({
+  actor: req.user ? req.user.id : null,
+  ip: req.ip || null
+});
+
+const SYSTEM = { actor: null, ip: null };
+
+// Plain JSON copy of some fields of a document, to compare later with diff()
+const snapshot = (doc, fields) => {
+  return Object.fromEntries(fields.map(field => {
+    const value = doc.get(field);
+    return [field, value === undefined || value === null ? null : JSON.parse(JSON.stringify(value))];
+  }));
+};
+
+// Fields that differ between two snapshots, as { field, before, after }
+const diff = (before, after) => {
+  return Object.keys(before)
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map(field => ({ field, before: before[field], after: after[field] }));
+};
+
+// Add an entry to the audit log. Entries are written once the change is
+// committed; a failed write is logged and never fails the request.
+const recordAudit = (context, event, action, { subject = null, changes = [], details = {} } = {}) => {
+  AuditLog.create({
+    event: event._id,
+    eventTitle: event.title,
+    action,
+    actor: context.actor,
+    subject,
+    ip: context.ip,
+    changes,
+    details
+  }).catch(err => console.error('❌ Audit log error:', err.message));
+};
+
+// Record the people promoteFromWaitlist() gave seats to
+const auditPromotions = (context, event, userIds) => {
+  userIds.forEach(userId => {
+    const attendee = event.findAttendee(userId);
+    recordAudit(context, event, 'waitlist.promote', {
+      subject: userId,
+      details: { seats: attendee ? attendee.seats : 0 }
+    });
+  });
+};
+
+// One page of audit entries matching filter, newest first, with the people
+// involved. IPs are left out unless includeIp is set.
+const listAuditEntries = async (filter, query, { includeIp = false } = {}) => {
+  const limit = Math.min(Math.max(parseInt(query.limit) || 50, 1), 200);
+  const page = Math.max(parseInt(query.page) || 1, 1);
+
+  const [entries, total] = await Promise.all([
+    AuditLog.find(filter)
+      .populate('actor', 'name email')
+      .populate('subject', 'name email')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    AuditLog.countDocuments(filter)
+  ]);
+
+  return {
+    entries: entries.map(entry => {
+      const plain = entry.toObject();
+      if (!includeIp) delete plain.ip;
+      return plain;
+    }),
+    total,
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit)
+  };
+};
+
+module.exports = {
+  AUDITED_EVENT_FIELDS,
+  SYSTEM,
+  requestContext,
+  snapshot,
+  diff,
+  recordAudit,
+  auditPromotions,
+  listAuditEntries
+};
@@ -0,0 +1,29 @@
+// Minimal RFC 4180 CSV serializer
+
+// Quote values containing separators, quotes or line breaks. Values starting
+// with a formula character are prefixed with ' so spreadsheets show them as text.
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// headers: ['Name', ...]; rows: [['Ada', ...], ...]
+const buildCsv = (headers, rows) => {
+  return [headers, ...rows]
+    .map(row => row.map(escapeCell).join(','))
+    .join('\r\n') + '\r\n';
+};
+
+// Send a CSV download
+const sendCsv = (res, filename, headers, rows) => {
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(buildCsv(headers, rows));
+};
+
+module.exports = { escapeCell, buildCsv, sendCsv };
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeCell, buildCsv } = require('./csv');
+
+test('escapeCell leaves plain values alone', () => {
+  assert.equal(escapeCell('Ada Lovelace'), 'Ada Lovelace');
+  assert.equal(escapeCell(42), '42');
+  assert.equal(escapeCell(null), '');
+  assert.equal(escapeCell(undefined), '');
+  assert.equal(escapeCell(new Date('2024-05-01T10:00:00Z')), '2024-05-01T10:00:00.000Z');
+});
+
+test('escapeCell quotes separators, quotes and line breaks', () => {
+  assert.equal(escapeCell('Smith, Jane'), '"Smith, Jane"');
+  assert.equal(escapeCell('The "best" seat'), '"The ""best"" seat"');
+  assert.equal(escapeCell('line one\nline two'), '"line one\nline two"');
+});
+
+test('escapeCell neutralizes values spreadsheets would run as formulas', () => {
+  assert.equal(escapeCell('=HYPERLINK("http://evil.example","click")'), `"'=HYPERLINK(""http://evil.example"",""click"")"`);
+  assert.equal(escapeCell('+1+1'), "'+1+1");
+  assert.equal(escapeCell('-2+3'), "'-2+3");
+  assert.equal(escapeCell('@SUM(A1:A2)'), "'@SUM(A1:A2)");
+  assert.equal(escapeCell('\t=1+1'), "'\t=1+1");
+  assert.equal(escapeCell('\r=1+1'), `"'\r=1+1"`);
+});
+
+test('escapeCell only looks at the first character', () => {
+  assert.equal(escapeCell('a=b'), 'a=b');
+  assert.equal(escapeCell(' =1+1'), ' =1+1');
+});
+
+test('buildCsv joins rows with CRLF and escapes every cell', () => {
+  assert.equal(
+    buildCsv(['Name', 'Note'], [['Ada', '=1+1'], ['Grace', 'a, b']]),
+    "Name,Note\r\nAda,'=1+1\r\nGrace,\"a, b\"\r\n"
+  );
+});
@@ -0,0 +1,95 @@
+// Minimal RFC 5545 (iCalendar) serializer for events
+
+const PRODID = '-//EventPlatform//Events//EN';
+const DEFAULT_DURATION_MS = 60 * 60 * 1000;
+
+// 2024-05-01T09:30:00.000Z -> 20240501T093000Z
+const formatDateTime = (date) => {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+// Escape TEXT values (RFC 5545 section 3.3.11)
+const escapeText = (value = '') => {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+// Fold content lines longer than 75 octets (RFC 5545 section 3.1)
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let currentLength = 0;
+  // Continuation lines start with a space, so they hold one octet less
+  let limit = 75;
+
+  for (const char of line) {
+    const charLength = Buffer.byteLength(char, 'utf8');
+    if (currentLength + charLength > limit) {
+      parts.push(current);
+      current = '';
+      currentLength = 0;
+      limit = 74;
+    }
+    current += char;
+    currentLength += charLength;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+const buildEvent = (event, dtstamp) => {
+  const start = new Date(event.date);
+  const end = event.endDate
+    ? new Date(event.endDate)
+    : new Date(start.getTime() + DEFAULT_DURATION_MS);
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event._id}@eventplatform`,
+    `DTSTAMP:${dtstamp}`,
+    `DTSTART:${formatDateTime(start)}`,
+    `DTEND:${formatDateTime(end)}`,
+    `SUMMARY:${escapeText(event.title)}`,
+    `DESCRIPTION:${escapeText(event.description)}`,
+    `LOCATION:${escapeText(event.location)}`
+  ];
+  if (event.updatedAt) {
+    lines.push(`LAST-MODIFIED:${formatDateTime(event.updatedAt)}`);
+  }
+  // Calendar apps strike through or drop cancelled events
+  if (event.cancelledAt) {
+    lines.push('STATUS:CANCELLED');
+  }
+  lines.push('END:VEVENT');
+
+  return lines;
+};
+
+// Build a complete VCALENDAR document for one or more events
+const buildCalendar = (events, { name } = {}) => {
+  const dtstamp = formatDateTime(new Date());
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+  events.forEach(event => lines.push(...buildEvent(event, dtstamp)));
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = { buildCalendar, escapeText, foldLine, formatDateTime };
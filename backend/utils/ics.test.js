@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCalendar, escapeText, foldLine, formatDateTime } = require('./ics');
+
+// Content lines of a folded calendar, as a calendar app would read them
+const unfold = (text) => text.replace(/\r\n /g, '');
+
+test('formatDateTime writes UTC basic format', () => {
+  assert.equal(formatDateTime(new Date('2024-05-01T09:30:15.250Z')), '20240501T093015Z');
+});
+
+test('escapeText escapes backslashes, separators and newlines', () => {
+  assert.equal(escapeText('a\\b'), 'a\\\\b');
+  assert.equal(escapeText('Room 1; Floor 2, East'), 'Room 1\\; Floor 2\\, East');
+  assert.equal(escapeText('one\ntwo\r\nthree'), 'one\\ntwo\\nthree');
+  assert.equal(escapeText('\\,'), '\\\\\\,');
+  assert.equal(escapeText(), '');
+});
+
+test('foldLine leaves lines of up to 75 octets alone', () => {
+  const line = 'x'.repeat(75);
+  assert.equal(foldLine(line), line);
+});
+
+test('foldLine folds long lines at 75 octets', () => {
+  const line = `DESCRIPTION:${'x'.repeat(200)}`;
+  const parts = foldLine(line).split('\r\n');
+
+  assert.equal(Buffer.byteLength(parts[0]), 75);
+  parts.slice(1).forEach(part => {
+    assert.ok(part.startsWith(' '));
+    assert.ok(Buffer.byteLength(part) <= 75);
+  });
+  assert.equal(unfold(foldLine(line)), line);
+});
+
+test('foldLine never splits a multi-byte character', () => {
+  // 'é' is two octets and '😀' four, so neither fits evenly into 75
+  const line = `SUMMARY:${'é'.repeat(50)}${'😀'.repeat(30)}`;
+  const parts = foldLine(line).split('\r\n');
+
+  parts.forEach(part => {
+    assert.ok(Buffer.byteLength(part) <= 75);
+    assert.ok(!part.includes('�'));
+    assert.equal(Buffer.from(part, 'utf8').toString('utf8'), part);
+  });
+  assert.equal(unfold(foldLine(line)), line);
+});
+
+test('buildCalendar escapes and folds event text', () => {
+  const calendar = buildCalendar([{
+    _id: 'abc',
+    title: 'Launch, party; v2',
+    description: `Bring:\n${'snacks '.repeat(20)}`,
+    location: 'Main hall',
+    date: new Date('2024-05-01T09:30:00Z'),
+    cancelledAt: new Date()
+  }], { name: 'My events' });
+
+  assert.ok(calendar.endsWith('END:VCALENDAR\r\n'));
+  calendar.split('\r\n').forEach(line => assert.ok(Buffer.byteLength(line) <= 75));
+
+  const lines = unfold(calendar).split('\r\n');
+  assert.ok(lines.includes('SUMMARY:Launch\\, party\\; v2'));
+  assert.ok(lines.includes(`DESCRIPTION:Bring:\\n${'snacks '.repeat(20)}`));
+  assert.ok(lines.includes('DTEND:20240501T103000Z'));
+  assert.ok(lines.includes('STATUS:CANCELLED'));
+  assert.ok(lines.includes('X-WR-CALNAME:My events'));
+});
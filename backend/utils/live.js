@@ -0,0 +1,60 @@
+// Server-Sent Events channel for seat availability. Browsers subscribe with
+// EventSource at GET /api/events/live and get an "availability" message
+// whenever an event's seats taken, waitlist or capacity change, and a
+// "removed" message when an event is deleted. The stream needs no login, so
+// only public events are sent: unlisted and invite-only events (and their
+// ids) never go out, and their pages simply don't update live.
+const clients = new Set();
+
+const HEARTBEAT_MS = 25 * 1000;
+
+// Comment lines keep proxies from closing idle connections
+const heartbeat = setInterval(() => {
+  clients.forEach(client => client.write(': ping\n\n'));
+}, HEARTBEAT_MS);
+heartbeat.unref();
+
+const subscribe = (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  clients.add(res);
+  req.on('close', () => clients.delete(res));
+};
+
+const send = (type, data) => {
+  const message = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+  clients.forEach(client => client.write(message));
+};
+
+const isBroadcast = (event) => event.visibility === 'public';
+
+const broadcastAvailability = (event) => {
+  if (!isBroadcast(event)) return;
+
+  send('availability', {
+    eventId: event._id,
+    seatsTaken: event.seatsTaken(),
+    seatsHeld: event.seatsHeld(),
+    waitlist: event.waitlist.length,
+    capacity: event.capacity
+  });
+};
+
+const broadcastRemoved = (event) => {
+  if (!isBroadcast(event)) return;
+
+  send('removed', { eventId: event._id });
+};
+
+module.exports = {
+  subscribe,
+  broadcastAvailability,
+  broadcastRemoved
+};
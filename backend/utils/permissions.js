@@ -0,0 +1,109 @@
+// Roles and what each of them may do. Roles are ordered from least to most
+// privileged; every role also gets the permissions of the roles before it.
+const ROLES = ['user', 'organizer', 'moderator', 'admin'];
+
+const ROLE_PERMISSIONS = {
+  // Can browse events and RSVP
+  user: [],
+  // Can host events and manage their own
+  organizer: ['events:create'],
+  // Can edit or remove anyone's event and review reported events
+  moderator: ['events:edit_any', 'events:delete_any', 'reports:review'],
+  // Can manage users, roles and categories, see platform stats and read the
+  // audit log of every event
+  admin: ['users:manage', 'categories:manage', 'stats:view', 'audit:view']
+};
+
+// What a co-organizer of an event may do, on top of seeing its organizer view:
+// edit      - change the details, or delete the event
+// attendees - add, remove and check in attendees
+// checkin   - check attendees in at the door only
+const ORGANIZER_PERMISSIONS = ['edit', 'attendees', 'checkin'];
+
+// Organizer permissions that include others
+const IMPLIED_ORGANIZER_PERMISSIONS = {
+  attendees: ['checkin']
+};
+
+// Who can see an event:
+// public   - everyone; it is listed
+// unlisted - anyone with the link; it is not listed
+// invite   - only invited people and the organizers
+const VISIBILITIES = ['public', 'unlisted', 'invite'];
+
+// How RSVPs are taken:
+// instant  - an RSVP takes a seat right away
+// approval - an RSVP is a request the organizers approve or decline
+const RSVP_MODES = ['instant', 'approval'];
+
+const permissionsFor = (role) => {
+  const index = ROLES.indexOf(role);
+  return ROLES
+    .slice(0, index + 1)
+    .flatMap(inherited => ROLE_PERMISSIONS[inherited]);
+};
+
+const hasPermission = (user, permission) => {
+  return Boolean(user) && permissionsFor(user.role).includes(permission);
+};
+
+const isEventCreator = (user, event) => {
+  const creatorId = event.creator._id || event.creator;
+  return creatorId.toString() === user.id;
+};
+
+// Whether the user was granted an organizer permission on the event
+const hasOrganizerPermission = (user, event, organizerPermission) => {
+  const organizer = event.findOrganizer(user.id);
+  if (!organizer) return false;
+
+  return organizer.permissions.some(granted =>
+    granted === organizerPermission ||
+    (IMPLIED_ORGANIZER_PERMISSIONS[granted] || []).includes(organizerPermission)
+  );
+};
+
+// Event creators can always manage their own events. Co-organizers need the
+// matching organizer permission (e.g. 'edit'), and anyone else the platform
+// permission for all events (e.g. 'events:edit_any').
+const canManageEvent = (user, event, permission, organizerPermission) => {
+  if (!user) return false;
+  return isEventCreator(user, event) ||
+    (Boolean(organizerPermission) && hasOrganizerPermission(user, event, organizerPermission)) ||
+    hasPermission(user, permission);
+};
+
+// Whether the user may see the event. user is null for anonymous visitors;
+// user.email must only be set once the address is verified, since invites
+// are matched by email.
+const canViewEvent = (user, event) => {
+  if (event.visibility !== 'invite') return true;
+  if (!user) return false;
+  return canManageEvent(user, event, 'events:edit_any') ||
+    Boolean(event.findOrganizer(user.id)) ||
+    Boolean(user.email && event.invites.some(invite => invite.email === user.email));
+};
+
+// Accounts listed in ADMIN_EMAILS are promoted to admin once their email is
+// verified (when they verify it or log in afterwards), so the first admin can
+// be set up without editing the database
+const isBootstrapAdmin = (email) => {
+  return (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(adminEmail => adminEmail.trim().toLowerCase())
+    .filter(Boolean)
+    .includes(email);
+};
+
+module.exports = {
+  ROLES,
+  ORGANIZER_PERMISSIONS,
+  VISIBILITIES,
+  RSVP_MODES,
+  permissionsFor,
+  hasPermission,
+  isEventCreator,
+  canManageEvent,
+  canViewEvent,
+  isBootstrapAdmin
+};
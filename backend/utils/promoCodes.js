@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const { parseDateInZone } = require('./timezone');
+
+const DISCOUNT_TYPES = ['percent', 'fixed'];
+const CODE_PATTERN = /^[A-Z0-9_-]{3,30}$/;
+const MAX_PROMO_CODES = 100;
+
+// Check a promo code an organizer sent and bring it into the shape stored on
+// the event. Expiry is a wall time in the event's time zone.
+// Returns { promoCode } or { error }.
+const normalizePromoCode = (input, event) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'A promo code must be an object with a code, discount type and amount' };
+  }
+
+  const code = String(input.code || '').trim().toUpperCase();
+  if (!CODE_PATTERN.test(code)) {
+    return { error: 'Codes are 3 to 30 letters, digits, dashes or underscores' };
+  }
+  if (event.findPromoCode(code)) {
+    return { error: `There already is a ${code} code for this event` };
+  }
+  if (event.promoCodes.length >= MAX_PROMO_CODES) {
+    return { error: `An event can have at most ${MAX_PROMO_CODES} promo codes` };
+  }
+
+  const discountType = input.discountType;
+  if (!DISCOUNT_TYPES.includes(discountType)) {
+    return { error: `Discount type must be one of: ${DISCOUNT_TYPES.join(', ')}` };
+  }
+
+  const amount = Number(input.amount);
+  if (!Number.isInteger(amount) || amount < 1 || (discountType === 'percent' && amount > 100)) {
+    return {
+      error: discountType === 'percent'
+        ? 'Percentage discounts must be between 1 and 100'
+        : 'Fixed discounts must be at least 1, in cents'
+    };
+  }
+
+  let maxUses = null;
+  if (input.maxUses !== undefined && input.maxUses !== null && input.maxUses !== '') {
+    maxUses = Number(input.maxUses);
+    if (!Number.isInteger(maxUses) || maxUses < 1) {
+      return { error: 'Usage limit must be at least 1, or empty for unlimited' };
+    }
+  }
+
+  let expiresAt = null;
+  if (input.expiresAt) {
+    expiresAt = parseDateInZone(input.expiresAt, event.timezone);
+    if (!expiresAt || isNaN(expiresAt)) {
+      return { error: 'Invalid expiry date' };
+    }
+  }
+
+  const tierIds = Array.isArray(input.tiers) ? input.tiers : [];
+  const tiers = [];
+  for (const tierId of tierIds) {
+    const tier = mongoose.Types.ObjectId.isValid(tierId) && event.tiers.id(tierId);
+    if (!tier) {
+      return { error: 'Codes can only be limited to ticket types of this event' };
+    }
+    tiers.push(tier._id);
+  }
+
+  return { promoCode: { code, discountType, amount, maxUses, expiresAt, tiers } };
+};
+
+// Discount a promo code gives on a checkout for seats of a paid tier, never
+// more than the subtotal. Call inside the checkout transaction: the use it
+// takes is only held once the checkout is saved. Without a code the result is
+// { promoCode: null, discount: 0 }; otherwise { promoCode, discount } or
+// { error }.
+const applyPromoCode = (event, code, tier, subtotal, now = new Date()) => {
+  if (!code || !String(code).trim()) {
+    return { promoCode: null, discount: 0 };
+  }
+
+  const promoCode = event.findPromoCode(code);
+  if (!promoCode || !promoCode.active) {
+    return { error: 'This promo code is not valid' };
+  }
+  if (promoCode.expiresAt && promoCode.expiresAt <= now) {
+    return { error: 'This promo code has expired' };
+  }
+  if (promoCode.maxUses !== null && event.promoCodeUses(promoCode) >= promoCode.maxUses) {
+    return { error: 'This promo code has been used up' };
+  }
+  if (promoCode.tiers.length > 0 && !promoCode.tiers.some(tierId => tierId.equals(tier._id))) {
+    return { error: `This promo code doesn't apply to ${tier.name} tickets` };
+  }
+
+  const discount = promoCode.discountType === 'percent'
+    ? Math.round(subtotal * promoCode.amount / 100)
+    : promoCode.amount;
+
+  return { promoCode, discount: Math.min(discount, subtotal) };
+};
+
+module.exports = {
+  DISCOUNT_TYPES,
+  normalizePromoCode,
+  applyPromoCode
+};
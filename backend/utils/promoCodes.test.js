@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { userId, makeEvent } = require('../models/Event.fixtures');
+const { normalizePromoCode, applyPromoCode } = require('./promoCodes');
+
+// Paid VIP and Standard tickets, with expiry dates read in Berlin time
+const makeGala = () => makeEvent({
+  timezone: 'Europe/Berlin',
+  tiers: [{ name: 'VIP', price: 5000, quantity: 10 }, { name: 'Standard', price: 2000, quantity: 90 }]
+});
+
+// Add a normalized code to the event and return the stored subdocument
+const addCode = (event, input) => {
+  const { promoCode, error } = normalizePromoCode(input, event);
+  assert.equal(error, undefined);
+  event.promoCodes.push(promoCode);
+  return event.promoCodes[event.promoCodes.length - 1];
+};
+
+test('normalizePromoCode upper-cases the code and reads expiry in the event zone', () => {
+  const event = makeGala();
+  const { promoCode } = normalizePromoCode({
+    code: ' summer-24 ',
+    discountType: 'percent',
+    amount: '20',
+    maxUses: '5',
+    expiresAt: '2024-07-01T12:00'
+  }, event);
+  assert.equal(promoCode.code, 'SUMMER-24');
+  assert.equal(promoCode.amount, 20);
+  assert.equal(promoCode.maxUses, 5);
+  assert.equal(promoCode.expiresAt.toISOString(), '2024-07-01T10:00:00.000Z');
+  assert.deepEqual(promoCode.tiers, []);
+});
+
+test('normalizePromoCode rejects invalid codes', () => {
+  const event = makeGala();
+  addCode(event, { code: 'TAKEN', discountType: 'fixed', amount: 100 });
+  const valid = { code: 'NEW', discountType: 'percent', amount: 10 };
+
+  assert.ok(normalizePromoCode(undefined, event).error);
+  assert.ok(normalizePromoCode([valid], event).error);
+  assert.ok(normalizePromoCode({ ...valid, code: 'ab' }, event).error);
+  assert.ok(normalizePromoCode({ ...valid, code: 'no spaces' }, event).error);
+  assert.ok(normalizePromoCode({ ...valid, code: 'taken' }, event).error);
+  assert.ok(normalizePromoCode({ ...valid, discountType: 'free' }, event).error);
+  assert.ok(normalizePromoCode({ ...valid, amount: 0 }, event).error);
+  assert.ok(normalizePromoCode({ ...valid, amount: 101 }, event).error);
+  assert.ok(normalizePromoCode({ ...valid, amount: 2.5 }, event).error);
+  assert.ok(normalizePromoCode({ ...valid, maxUses: 0 }, event).error);
+  assert.ok(normalizePromoCode({ ...valid, expiresAt: 'soon' }, event).error);
+  assert.ok(normalizePromoCode({ ...valid, tiers: [userId().toString()] }, event).error);
+  assert.ok(normalizePromoCode({ ...valid, tiers: ['not-an-id'] }, event).error);
+});
+
+test('normalizePromoCode allows fixed discounts above 100 cents', () => {
+  const { promoCode } = normalizePromoCode({ code: 'TENOFF', discountType: 'fixed', amount: 1000 }, makeGala());
+  assert.equal(promoCode.amount, 1000);
+});
+
+test('applyPromoCode without a code gives no discount', () => {
+  const event = makeGala();
+  assert.deepEqual(applyPromoCode(event, '', event.tiers[0], 5000), { promoCode: null, discount: 0 });
+  assert.deepEqual(applyPromoCode(event, '  ', event.tiers[0], 5000), { promoCode: null, discount: 0 });
+});
+
+test('applyPromoCode takes a rounded percentage off the subtotal', () => {
+  const event = makeGala();
+  addCode(event, { code: 'THIRD', discountType: 'percent', amount: 33 });
+  const { promoCode, discount } = applyPromoCode(event, 'third', event.tiers[1], 4999);
+  assert.equal(promoCode.code, 'THIRD');
+  assert.equal(discount, 1650);
+  assert.equal(applyPromoCode(event, 'THIRD', event.tiers[1], 0).discount, 0);
+});
+
+test('applyPromoCode takes a fixed amount off, never below zero', () => {
+  const event = makeGala();
+  addCode(event, { code: 'FIVER', discountType: 'fixed', amount: 500 });
+  addCode(event, { code: 'ALL', discountType: 'percent', amount: 100 });
+  assert.equal(applyPromoCode(event, 'FIVER', event.tiers[1], 2000).discount, 500);
+  assert.equal(applyPromoCode(event, 'FIVER', event.tiers[1], 300).discount, 300);
+  assert.equal(applyPromoCode(event, 'ALL', event.tiers[1], 2000).discount, 2000);
+});
+
+test('applyPromoCode rejects unknown and inactive codes', () => {
+  const event = makeGala();
+  addCode(event, { code: 'OFF', discountType: 'percent', amount: 10 }).active = false;
+  assert.ok(applyPromoCode(event, 'NOPE', event.tiers[0], 5000).error);
+  assert.ok(applyPromoCode(event, 'OFF', event.tiers[0], 5000).error);
+});
+
+test('applyPromoCode rejects expired codes', () => {
+  const event = makeGala();
+  const promoCode = addCode(event, { code: 'EARLY', discountType: 'percent', amount: 10 });
+  promoCode.expiresAt = new Date('2024-01-01T00:00:00Z');
+
+  assert.equal(applyPromoCode(event, 'EARLY', event.tiers[0], 5000, new Date('2023-12-31T23:59:59Z')).discount, 500);
+  assert.match(applyPromoCode(event, 'EARLY', event.tiers[0], 5000, new Date('2024-01-01T00:00:00Z')).error, /expired/);
+});
+
+test('applyPromoCode counts redemptions and checkouts in progress towards the limit', () => {
+  const event = makeGala();
+  const promoCode = addCode(event, { code: 'TWICE', discountType: 'fixed', amount: 100, maxUses: 2 });
+
+  promoCode.redemptions.push({ user: userId(), discount: 100 });
+  assert.equal(applyPromoCode(event, 'TWICE', event.tiers[0], 5000).discount, 100);
+
+  event.holds.push({ user: userId(), amount: 4900, promoCode: promoCode._id, expiresAt: new Date() });
+  assert.match(applyPromoCode(event, 'TWICE', event.tiers[0], 5000).error, /used up/);
+
+  event.holds.pull(event.holds[0]._id);
+  assert.equal(applyPromoCode(event, 'TWICE', event.tiers[0], 5000).discount, 100);
+});
+
+test('applyPromoCode only applies to the tiers it is limited to', () => {
+  const event = makeGala();
+  const [vip, standard] = event.tiers;
+  addCode(event, { code: 'VIPONLY', discountType: 'percent', amount: 50, tiers: [vip._id.toString()] });
+
+  assert.equal(applyPromoCode(event, 'VIPONLY', vip, 5000).discount, 2500);
+  assert.match(applyPromoCode(event, 'VIPONLY', standard, 2000).error, /Standard/);
+});
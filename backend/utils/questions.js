@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+const QUESTION_TYPES = ['text', 'single', 'multiple'];
+const MAX_QUESTIONS = 20;
+const MAX_OPTIONS = 20;
+const MAX_ANSWER_LENGTH = 1000;
+
+// Check the registration questions an organizer sent and bring them into the
+// shape stored on the event. Questions that keep their _id keep the answers
+// already given to them. Returns { questions } or { error }.
+const normalizeQuestions = (input) => {
+  if (!Array.isArray(input)) {
+    return { error: 'Questions must be a list' };
+  }
+  if (input.length > MAX_QUESTIONS) {
+    return { error: `An event can have at most ${MAX_QUESTIONS} questions` };
+  }
+
+  const questions = [];
+  for (const question of input) {
+    if (!question || typeof question !== 'object' || Array.isArray(question)) {
+      return { error: 'Every question must be an object with a label' };
+    }
+    const label = String(question.label || '').trim();
+    if (!label) {
+      return { error: 'Every question needs a label' };
+    }
+    if (label.length > 200) {
+      return { error: 'Question labels can be at most 200 characters' };
+    }
+
+    const type = question.type || 'text';
+    if (!QUESTION_TYPES.includes(type)) {
+      return { error: `Question type must be one of: ${QUESTION_TYPES.join(', ')}` };
+    }
+
+    let options = [];
+    if (type !== 'text') {
+      options = [...new Set(
+        (Array.isArray(question.options) ? question.options : [])
+          .map(option => String(option).trim())
+          .filter(Boolean)
+      )];
+      if (options.length < 2) {
+        return { error: `"${label}" needs at least two options` };
+      }
+      if (options.length > MAX_OPTIONS || options.some(option => option.length > 100)) {
+        return { error: `"${label}" has too many or too long options` };
+      }
+    }
+
+    const normalized = { label, type, options, required: Boolean(question.required) };
+    if (question._id && mongoose.Types.ObjectId.isValid(question._id)) {
+      normalized._id = question._id;
+    }
+    questions.push(normalized);
+  }
+
+  return { questions };
+};
+
+// Check RSVP answers, sent as { [questionId]: value } where value is a string
+// (text and single choice) or a list of strings (multiple choice), against
+// the event's questions. Returns { answers } ready to store, or { error }.
+const validateAnswers = (questions, input = {}) => {
+  const given = input && typeof input === 'object' ? input : {};
+  const answers = [];
+
+  for (const question of questions) {
+    const raw = given[question._id.toString()];
+    let values = (Array.isArray(raw) ? raw : [raw])
+      .filter(value => value !== undefined && value !== null)
+      .map(value => String(value).trim())
+      .filter(Boolean);
+
+    if (question.type === 'text') {
+      values = values.slice(0, 1);
+      if (values.length && values[0].length > MAX_ANSWER_LENGTH) {
+        return { error: `Your answer to "${question.label}" is too long` };
+      }
+    } else {
+      values = [...new Set(values)];
+      if (values.some(value => !question.options.includes(value))) {
+        return { error: `Please pick one of the options for "${question.label}"` };
+      }
+      if (question.type === 'single' && values.length > 1) {
+        return { error: `Please pick only one option for "${question.label}"` };
+      }
+    }
+
+    if (question.required && values.length === 0) {
+      return { error: `Please answer "${question.label}"` };
+    }
+
+    if (values.length > 0) {
+      answers.push({ question: question._id, values });
+    }
+  }
+
+  return { answers };
+};
+
+// Answers as { [questionId]: values }, the shape the client sends them in
+const answersById = (answers = []) => {
+  return Object.fromEntries(answers.map(answer => [answer.question.toString(), answer.values]));
+};
+
+module.exports = {
+  QUESTION_TYPES,
+  normalizeQuestions,
+  validateAnswers,
+  answersById
+};
@@ -0,0 +1,112 @@
+// Expansion of simple recurrence rules (daily/weekly/monthly) into occurrences.
+// Occurrences keep the same wall-clock time in the event's zone across DST changes.
+const { getZonedParts, zonedTimeToUtc, parseDateInZone } = require('./timezone');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const MAX_OCCURRENCES = 100;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const toLocalDay = ({ year, month, day }) => `${year}-${pad(month)}-${pad(day)}`;
+
+// Calendar date reached after stepping n intervals from the start date.
+// Returns null for months that don't have the start's day (e.g. the 31st).
+const stepDate = (start, frequency, steps) => {
+  if (frequency === 'monthly') {
+    const monthIndex = start.month - 1 + steps;
+    const year = start.year + Math.floor(monthIndex / 12);
+    const month = (monthIndex % 12) + 1;
+    const check = new Date(Date.UTC(year, month - 1, start.day));
+    if (check.getUTCMonth() !== month - 1) return null;
+    return { year, month, day: start.day };
+  }
+
+  const days = frequency === 'weekly' ? steps * 7 : steps;
+  const date = new Date(Date.UTC(start.year, start.month - 1, start.day + days));
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate()
+  };
+};
+
+// Validate and normalize a rule from the request body. A naive `until` is read
+// in the event's time zone. Returns { error } or { rule }.
+const normalizeRule = (input, timeZone) => {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Invalid recurrence rule' };
+  }
+
+  const frequency = input.frequency;
+  if (!FREQUENCIES.includes(frequency)) {
+    return { error: `Recurrence frequency must be one of: ${FREQUENCIES.join(', ')}` };
+  }
+
+  const interval = parseInt(input.interval || 1);
+  if (isNaN(interval) || interval < 1) {
+    return { error: 'Recurrence interval must be at least 1' };
+  }
+
+  const until = input.until ? parseDateInZone(input.until, timeZone) : null;
+  const count = input.count ? parseInt(input.count) : null;
+  if (!until && !count) {
+    return { error: 'Recurring events need an end date or an occurrence count' };
+  }
+  if ((until && isNaN(until)) || (count !== null && (isNaN(count) || count < 1))) {
+    return { error: 'Invalid recurrence end' };
+  }
+
+  const exceptions = (Array.isArray(input.exceptions) ? input.exceptions : [])
+    .filter(day => /^\d{4}-\d{2}-\d{2}$/.test(day));
+
+  return { rule: { frequency, interval, until, count, exceptions } };
+};
+
+// List { date, endDate } pairs for every occurrence of the rule, starting with
+// the first one. Dates listed in rule.exceptions (YYYY-MM-DD, local) are skipped.
+const expandOccurrences = ({ date, endDate, timezone, rule }) => {
+  const duration = endDate.getTime() - date.getTime();
+  const start = getZonedParts(date, timezone);
+  const time = `T${pad(start.hour)}:${pad(start.minute)}:${pad(start.second)}`;
+  const limit = Math.min(rule.count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+
+  const occurrences = [];
+  // Generated dates count towards `count` even when they are skipped as exceptions
+  let generated = 0;
+  for (let step = 0; generated < limit && step < MAX_OCCURRENCES * 31; step++) {
+    const day = stepDate(start, rule.frequency, step * rule.interval);
+    if (!day) continue;
+
+    const occurrenceStart = zonedTimeToUtc(toLocalDay(day) + time, timezone);
+    if (rule.until && occurrenceStart > rule.until) break;
+
+    generated++;
+    if (rule.exceptions.includes(toLocalDay(day))) continue;
+
+    occurrences.push({
+      date: occurrenceStart,
+      endDate: new Date(occurrenceStart.getTime() + duration)
+    });
+  }
+
+  return occurrences;
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Start of an occurrence after the series was rescheduled from `from` to `to`
+// (each a { date, timezone } pair). The occurrence moves by as many calendar
+// days as the series did and starts at the new wall-clock time, so it stays
+// in step with its siblings across DST changes.
+const moveOccurrence = ({ date, timezone }, from, to) => {
+  const dayOf = ({ year, month, day }) => Date.UTC(year, month - 1, day);
+  const target = getZonedParts(date, timezone);
+  const newStart = getZonedParts(to.date, to.timezone);
+  const days = Math.round((dayOf(newStart) - dayOf(getZonedParts(from.date, from.timezone))) / DAY);
+
+  const day = stepDate(target, 'daily', days);
+  const time = `T${pad(newStart.hour)}:${pad(newStart.minute)}:${pad(newStart.second)}`;
+  return zonedTimeToUtc(toLocalDay(day) + time, to.timezone);
+};
+
+module.exports = { MAX_OCCURRENCES, normalizeRule, expandOccurrences, moveOccurrence, toLocalDay };
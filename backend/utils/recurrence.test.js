@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_OCCURRENCES, normalizeRule, expandOccurrences, moveOccurrence, toLocalDay } = require('./recurrence');
+
+const HOUR = 60 * 60 * 1000;
+
+// Start instants of the occurrences of a two-hour event
+const expand = (date, rule, timezone = 'UTC') => {
+  const start = new Date(date);
+  return expandOccurrences({
+    date: start,
+    endDate: new Date(start.getTime() + 2 * HOUR),
+    timezone,
+    rule: { interval: 1, until: null, count: null, exceptions: [], ...rule }
+  }).map(occurrence => occurrence.date.toISOString());
+};
+
+test('toLocalDay pads months and days', () => {
+  assert.equal(toLocalDay({ year: 2024, month: 3, day: 7 }), '2024-03-07');
+});
+
+test('normalizeRule fills in defaults and reads until in the event zone', () => {
+  const { rule } = normalizeRule({ frequency: 'weekly', until: '2024-06-01T10:00' }, 'Europe/Berlin');
+  assert.equal(rule.interval, 1);
+  assert.equal(rule.count, null);
+  assert.equal(rule.until.toISOString(), '2024-06-01T08:00:00.000Z');
+  assert.deepEqual(rule.exceptions, []);
+});
+
+test('normalizeRule keeps only YYYY-MM-DD exceptions', () => {
+  const { rule } = normalizeRule({ frequency: 'daily', count: 2, exceptions: ['2024-1-1', '2024-01-02', 5] }, 'UTC');
+  assert.deepEqual(rule.exceptions, ['2024-01-02']);
+});
+
+test('normalizeRule rejects invalid rules', () => {
+  assert.ok(normalizeRule(null, 'UTC').error);
+  assert.ok(normalizeRule({ frequency: 'yearly', count: 2 }, 'UTC').error);
+  assert.ok(normalizeRule({ frequency: 'daily', interval: -1, count: 2 }, 'UTC').error);
+  assert.ok(normalizeRule({ frequency: 'daily' }, 'UTC').error);
+  assert.ok(normalizeRule({ frequency: 'daily', until: 'someday' }, 'UTC').error);
+  assert.ok(normalizeRule({ frequency: 'daily', count: -3 }, 'UTC').error);
+});
+
+test('daily and weekly rules step by their interval', () => {
+  assert.deepEqual(expand('2024-05-01T10:00:00Z', { frequency: 'daily', count: 3 }), [
+    '2024-05-01T10:00:00.000Z',
+    '2024-05-02T10:00:00.000Z',
+    '2024-05-03T10:00:00.000Z'
+  ]);
+  assert.deepEqual(expand('2024-05-01T10:00:00Z', { frequency: 'weekly', interval: 2, count: 3 }), [
+    '2024-05-01T10:00:00.000Z',
+    '2024-05-15T10:00:00.000Z',
+    '2024-05-29T10:00:00.000Z'
+  ]);
+});
+
+test('monthly rules skip months without the start day', () => {
+  assert.deepEqual(expand('2024-01-31T10:00:00Z', { frequency: 'monthly', count: 4 }), [
+    '2024-01-31T10:00:00.000Z',
+    '2024-03-31T10:00:00.000Z',
+    '2024-05-31T10:00:00.000Z',
+    '2024-07-31T10:00:00.000Z'
+  ]);
+  assert.deepEqual(expand('2024-02-29T10:00:00Z', { frequency: 'monthly', count: 3 }), [
+    '2024-02-29T10:00:00.000Z',
+    '2024-03-29T10:00:00.000Z',
+    '2024-04-29T10:00:00.000Z'
+  ]);
+});
+
+test('exceptions are skipped but still count towards count', () => {
+  assert.deepEqual(expand('2024-05-01T10:00:00Z', { frequency: 'daily', count: 3, exceptions: ['2024-05-02'] }), [
+    '2024-05-01T10:00:00.000Z',
+    '2024-05-03T10:00:00.000Z'
+  ]);
+});
+
+test('exceptions are local days in the event zone', () => {
+  // 23:30 UTC on 2024-05-01 is already 2024-05-02 in Tokyo
+  assert.deepEqual(
+    expand('2024-05-01T23:30:00Z', { frequency: 'daily', count: 2, exceptions: ['2024-05-02'] }, 'Asia/Tokyo'),
+    ['2024-05-02T23:30:00.000Z']
+  );
+});
+
+test('until includes an occurrence starting exactly then', () => {
+  const until = new Date('2024-05-03T10:00:00Z');
+  assert.equal(expand('2024-05-01T10:00:00Z', { frequency: 'daily', until }).length, 3);
+  assert.equal(expand('2024-05-01T10:00:00Z', { frequency: 'daily', until: new Date(until.getTime() - 1) }).length, 2);
+});
+
+test('rules are capped at MAX_OCCURRENCES', () => {
+  assert.equal(expand('2024-05-01T10:00:00Z', { frequency: 'daily', until: new Date('2030-01-01') }).length, MAX_OCCURRENCES);
+  assert.equal(expand('2024-05-01T10:00:00Z', { frequency: 'daily', count: 500 }).length, MAX_OCCURRENCES);
+});
+
+test('occurrences keep their wall-clock time and length across DST changes', () => {
+  // 09:00 in Berlin, before and after the switch to summer time on 2024-03-31
+  const occurrences = expandOccurrences({
+    date: new Date('2024-03-25T08:00:00Z'),
+    endDate: new Date('2024-03-25T10:00:00Z'),
+    timezone: 'Europe/Berlin',
+    rule: { frequency: 'weekly', interval: 1, until: null, count: 2, exceptions: [] }
+  });
+
+  assert.deepEqual(occurrences.map(occurrence => occurrence.date.toISOString()), [
+    '2024-03-25T08:00:00.000Z',
+    '2024-04-01T07:00:00.000Z'
+  ]);
+  occurrences.forEach(occurrence => {
+    assert.equal(occurrence.endDate - occurrence.date, 2 * HOUR);
+  });
+});
+
+test('moveOccurrence keeps later dates at the new wall-clock time across DST changes', () => {
+  // The 09:00 Berlin date on 2024-03-25 moves to 10:00 the next day; the one
+  // a week later, after the switch to summer time, moves to 10:00 local too
+  const from = { date: new Date('2024-03-25T08:00:00Z'), timezone: 'Europe/Berlin' };
+  const to = { date: new Date('2024-03-26T09:00:00Z'), timezone: 'Europe/Berlin' };
+  const later = { date: new Date('2024-04-01T07:00:00Z'), timezone: 'Europe/Berlin' };
+
+  assert.equal(moveOccurrence(later, from, to).toISOString(), '2024-04-02T08:00:00.000Z');
+});
+
+test('moveOccurrence counts days in the local calendar and can change zones', () => {
+  // 23:30 in New York is already the next day in UTC
+  const from = { date: new Date('2024-06-04T03:30:00Z'), timezone: 'America/New_York' };
+  const to = { date: new Date('2024-06-05T03:30:00Z'), timezone: 'America/New_York' };
+  const later = { date: new Date('2024-06-11T03:30:00Z'), timezone: 'America/New_York' };
+  assert.equal(moveOccurrence(later, from, to).toISOString(), '2024-06-12T03:30:00.000Z');
+
+  const toBerlin = { date: new Date('2024-06-03T16:00:00Z'), timezone: 'Europe/Berlin' };
+  assert.equal(moveOccurrence(later, from, toBerlin).toISOString(), '2024-06-10T16:00:00.000Z');
+});
@@ -0,0 +1,7 @@
+// Escape user input for use inside a RegExp / $regex query
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Loose check that a string looks like an email address
+const isEmail = (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+
+module.exports = { escapeRegex, isEmail };
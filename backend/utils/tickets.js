@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Ticket codes look like "<eventId>.<attendeeId>.<signature>". They are not
+// stored: the signature proves the code was issued by us, and the attendee id
+// ties it to one RSVP, so cancelling and RSVPing again issues a new code.
+const ticketSecret = () => process.env.TICKET_SECRET || process.env.JWT_SECRET;
+
+const sign = (eventId, attendeeId) => {
+  return crypto
+    .createHmac('sha256', ticketSecret())
+    .update(`${eventId}.${attendeeId}`)
+    .digest('base64url')
+    .slice(0, 22);
+};
+
+const signTicket = (event, attendee) => {
+  return `${event._id}.${attendee._id}.${sign(event._id, attendee._id)}`;
+};
+
+// Returns { eventId, attendeeId } for a genuine code, null otherwise
+const verifyTicket = (code) => {
+  const parts = String(code || '').trim().split('.');
+  if (parts.length !== 3) return null;
+
+  const [eventId, attendeeId, signature] = parts;
+  if (!mongoose.Types.ObjectId.isValid(eventId) || !mongoose.Types.ObjectId.isValid(attendeeId)) {
+    return null;
+  }
+
+  const expected = sign(eventId, attendeeId);
+  const valid = signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+
+  return valid ? { eventId, attendeeId } : null;
+};
+
+module.exports = {
+  signTicket,
+  verifyTicket
+};
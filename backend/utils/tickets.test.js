@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+process.env.TICKET_SECRET = 'test-ticket-secret';
+const { signTicket, verifyTicket } = require('./tickets');
+
+const event = { _id: new mongoose.Types.ObjectId() };
+const attendee = { _id: new mongoose.Types.ObjectId() };
+
+test('verifyTicket accepts a code it signed', () => {
+  const code = signTicket(event, attendee);
+  assert.deepEqual(verifyTicket(code), {
+    eventId: event._id.toString(),
+    attendeeId: attendee._id.toString()
+  });
+  assert.ok(verifyTicket(` ${code}\n`));
+});
+
+test('verifyTicket rejects a tampered signature', () => {
+  const code = signTicket(event, attendee);
+  const last = code.slice(-1) === 'A' ? 'B' : 'A';
+  assert.equal(verifyTicket(code.slice(0, -1) + last), null);
+});
+
+test('verifyTicket rejects a signature of the wrong length', () => {
+  const code = signTicket(event, attendee);
+  assert.equal(verifyTicket(code.slice(0, -1)), null);
+  assert.equal(verifyTicket(`${code}A`), null);
+});
+
+test('verifyTicket rejects a signature moved to another RSVP', () => {
+  const [, , signature] = signTicket(event, attendee).split('.');
+  const other = new mongoose.Types.ObjectId();
+  assert.equal(verifyTicket(`${event._id}.${other}.${signature}`), null);
+});
+
+test('verifyTicket rejects a code signed with another secret', () => {
+  const code = signTicket(event, attendee);
+  process.env.TICKET_SECRET = 'another-secret';
+  try {
+    assert.equal(verifyTicket(code), null);
+  } finally {
+    process.env.TICKET_SECRET = 'test-ticket-secret';
+  }
+});
+
+test('verifyTicket rejects malformed codes', () => {
+  assert.equal(verifyTicket(undefined), null);
+  assert.equal(verifyTicket(''), null);
+  assert.equal(verifyTicket('a.b'), null);
+  assert.equal(verifyTicket(`${event._id}.${attendee._id}`), null);
+  assert.equal(verifyTicket(`not-an-id.${attendee._id}.signature`), null);
+  assert.equal(verifyTicket(`${signTicket(event, attendee)}.extra`), null);
+});
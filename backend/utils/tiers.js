@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const { parseDateInZone } = require('./timezone');
+
+const MAX_TIERS = 10;
+
+// Parse an optional sale window boundary in the event's time zone; null
+// when empty, undefined when invalid
+const parseSaleDate = (value, timezone) => {
+  if (!value) return null;
+  const date = parseDateInZone(value, timezone);
+  return date && !isNaN(date) ? date : undefined;
+};
+
+// Check the ticket tiers an organizer sent and bring them into the shape
+// stored on the event. Prices are in the smallest currency unit (cents).
+// Tiers that keep their _id keep the tickets sold for them.
+// Returns { tiers } or { error }.
+const normalizeTiers = (input, timezone) => {
+  if (!Array.isArray(input)) {
+    return { error: 'Ticket tiers must be a list' };
+  }
+  if (input.length > MAX_TIERS) {
+    return { error: `An event can have at most ${MAX_TIERS} ticket tiers` };
+  }
+
+  const tiers = [];
+  for (const tier of input) {
+    if (!tier || typeof tier !== 'object' || Array.isArray(tier)) {
+      return { error: 'Every ticket tier must be an object with a name, price and quantity' };
+    }
+    const name = String(tier.name || '').trim();
+    if (!name) {
+      return { error: 'Every ticket tier needs a name' };
+    }
+    if (name.length > 100) {
+      return { error: 'Ticket tier names can be at most 100 characters' };
+    }
+    if (tiers.some(other => other.name.toLowerCase() === name.toLowerCase())) {
+      return { error: `There is more than one "${name}" tier` };
+    }
+
+    const price = Number(tier.price || 0);
+    if (!Number.isInteger(price) || price < 0) {
+      return { error: `The price of "${name}" must be 0 or more, in cents` };
+    }
+
+    const quantity = Number(tier.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return { error: `"${name}" needs at least 1 seat` };
+    }
+
+    const salesStart = parseSaleDate(tier.salesStart, timezone);
+    const salesEnd = parseSaleDate(tier.salesEnd, timezone);
+    if (salesStart === undefined || salesEnd === undefined) {
+      return { error: `Invalid sale dates for "${name}"` };
+    }
+    if (salesStart && salesEnd && salesEnd <= salesStart) {
+      return { error: `Sales for "${name}" must end after they start` };
+    }
+
+    const normalized = { name, price, quantity, salesStart, salesEnd };
+    if (tier._id && mongoose.Types.ObjectId.isValid(tier._id)) {
+      normalized._id = tier._id;
+    }
+    tiers.push(normalized);
+  }
+
+  return { tiers };
+};
+
+// Give new tiers for an event the ids of the tiers they replace, so tickets
+// already sold stay linked. Tiers match by id, or by name, since each date of
+// a recurring event has its own tier ids.
+const alignTiers = (event, tiers) => {
+  return tiers.map(({ _id, ...tier }) => {
+    const current = (_id && event.tiers.id(_id)) ||
+      event.tiers.find(existing => existing.name.toLowerCase() === tier.name.toLowerCase());
+    return current ? { ...tier, _id: current._id } : tier;
+  });
+};
+
+// Why the event can't switch to the given tiers, if it can't: tiers that
+// people hold tickets for can't be removed or shrink below what is taken
+const checkTierChanges = (event, tiers) => {
+  for (const current of event.tiers) {
+    const replacement = tiers.find(tier => tier._id && tier._id.toString() === current._id.toString());
+    const taken = event.tierSeatsTaken(current._id);
+
+    if (!replacement && event.isTierInUse(current._id)) {
+      return `"${current.name}" already has tickets or RSVPs, so it can't be removed`;
+    }
+    if (replacement && replacement.quantity < taken) {
+      return `"${current.name}" can't have fewer seats than are already taken (${taken})`;
+    }
+  }
+};
+
+const isOnSale = (tier, now = new Date()) => {
+  return (!tier.salesStart || tier.salesStart <= now) && (!tier.salesEnd || tier.salesEnd > now);
+};
+
+// The tier someone picked for an RSVP or checkout. Events without tiers take
+// RSVPs without one. Returns { tier } (null without tiers) or { error }.
+const pickTier = (event, tierId) => {
+  if (event.tiers.length === 0) {
+    return { tier: null };
+  }
+
+  const tier = tierId && mongoose.Types.ObjectId.isValid(tierId) ? event.tiers.id(tierId) : null;
+  if (!tier) {
+    return { error: 'Please choose a ticket type' };
+  }
+  if (!isOnSale(tier)) {
+    return { error: `${tier.name} tickets are not on sale` };
+  }
+  return { tier };
+};
+
+module.exports = {
+  normalizeTiers,
+  alignTiers,
+  checkTierChanges,
+  isOnSale,
+  pickTier
+};
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { userId, makeEvent } = require('../models/Event.fixtures');
+const { normalizeTiers, alignTiers, checkTierChanges, isOnSale, pickTier } = require('./tiers');
+
+const withTiers = (tiers) => makeEvent({ tiers });
+
+test('normalizeTiers reads sale dates in the event zone', () => {
+  const { tiers } = normalizeTiers([
+    { name: ' Early Bird ', price: '1500', quantity: '20', salesEnd: '2024-06-01T00:00' }
+  ], 'Europe/Berlin');
+  assert.equal(tiers[0].name, 'Early Bird');
+  assert.equal(tiers[0].price, 1500);
+  assert.equal(tiers[0].quantity, 20);
+  assert.equal(tiers[0].salesStart, null);
+  assert.equal(tiers[0].salesEnd.toISOString(), '2024-05-31T22:00:00.000Z');
+});
+
+test('normalizeTiers rejects invalid tiers', () => {
+  const valid = { name: 'VIP', price: 5000, quantity: 10 };
+  assert.ok(normalizeTiers('VIP', 'UTC').error);
+  assert.ok(normalizeTiers([null], 'UTC').error);
+  assert.ok(normalizeTiers([{ ...valid, name: ' ' }], 'UTC').error);
+  assert.ok(normalizeTiers([valid, { ...valid, name: 'vip' }], 'UTC').error);
+  assert.ok(normalizeTiers([{ ...valid, price: -1 }], 'UTC').error);
+  assert.ok(normalizeTiers([{ ...valid, price: 9.99 }], 'UTC').error);
+  assert.ok(normalizeTiers([{ ...valid, quantity: 0 }], 'UTC').error);
+  assert.ok(normalizeTiers([{ ...valid, salesStart: 'tomorrow' }], 'UTC').error);
+  assert.ok(normalizeTiers([{ ...valid, salesStart: '2024-06-02', salesEnd: '2024-06-01' }], 'UTC').error);
+  assert.ok(normalizeTiers(Array.from({ length: 11 }, (_, i) => ({ ...valid, name: `T${i}` })), 'UTC').error);
+});
+
+test('alignTiers matches tiers by id, then by name', () => {
+  const event = withTiers([{ name: 'VIP', quantity: 10 }, { name: 'Standard', quantity: 50 }]);
+  const [vip, standard] = event.tiers;
+  const aligned = alignTiers(event, [
+    { _id: vip._id, name: 'Gold', quantity: 10 },
+    { name: 'standard', quantity: 60 },
+    { name: 'Balcony', quantity: 5 }
+  ]);
+  assert.equal(aligned[0]._id, vip._id);
+  assert.equal(aligned[1]._id, standard._id);
+  assert.equal(aligned[2]._id, undefined);
+});
+
+test('checkTierChanges refuses to remove a tier that is in use', () => {
+  const event = withTiers([{ name: 'VIP', quantity: 10 }, { name: 'Standard', quantity: 50 }]);
+  const [vip, standard] = event.tiers;
+  event.waitlist.push({ user: userId(), tier: vip._id, seats: 1 });
+
+  assert.match(checkTierChanges(event, [{ _id: standard._id, name: 'Standard', quantity: 50 }]), /VIP/);
+  assert.equal(checkTierChanges(event, [{ _id: vip._id, name: 'VIP', quantity: 10 }]), undefined);
+});
+
+test('checkTierChanges refuses to lower quantity below the seats sold or held', () => {
+  const event = withTiers([{ name: 'VIP', quantity: 10 }]);
+  const [vip] = event.tiers;
+  event.attendees.push({ user: userId(), tier: vip._id, seats: 3 });
+  event.holds.push({ user: userId(), tier: vip._id, seats: 2, amount: 10000, expiresAt: new Date() });
+
+  assert.match(checkTierChanges(event, [{ _id: vip._id, name: 'VIP', quantity: 4 }]), /\(5\)/);
+  assert.equal(checkTierChanges(event, [{ _id: vip._id, name: 'VIP', quantity: 5 }]), undefined);
+});
+
+test('isOnSale honours the sale window', () => {
+  const tier = { salesStart: new Date('2024-01-01T00:00:00Z'), salesEnd: new Date('2024-02-01T00:00:00Z') };
+  assert.equal(isOnSale(tier, new Date('2023-12-31T23:59:59Z')), false);
+  assert.equal(isOnSale(tier, new Date('2024-01-01T00:00:00Z')), true);
+  assert.equal(isOnSale(tier, new Date('2024-02-01T00:00:00Z')), false);
+  assert.equal(isOnSale({ salesStart: null, salesEnd: null }), true);
+});
+
+test('pickTier needs no tier on events without tiers', () => {
+  assert.deepEqual(pickTier(withTiers([]), 'anything'), { tier: null });
+});
+
+test('pickTier requires a tier of the event that is on sale', () => {
+  const future = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  const past = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  const event = withTiers([
+    { name: 'Standard', quantity: 50 },
+    { name: 'Later', quantity: 10, salesStart: future },
+    { name: 'Early Bird', quantity: 10, salesEnd: past }
+  ]);
+  const [standard, later, earlyBird] = event.tiers;
+
+  assert.equal(pickTier(event, standard._id.toString()).tier, standard);
+  assert.ok(pickTier(event, undefined).error);
+  assert.ok(pickTier(event, 'not-an-id').error);
+  assert.ok(pickTier(event, userId().toString()).error);
+  assert.match(pickTier(event, later._id.toString()).error, /not on sale/);
+  assert.match(pickTier(event, earlyBird._id.toString()).error, /not on sale/);
+});
@@ -0,0 +1,80 @@
+// Helpers for converting wall-clock times in an IANA time zone to instants
+
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// Wall-clock components of an instant in the given zone
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const values = {};
+  parts.forEach(part => {
+    if (part.type !== 'literal') values[part.type] = parseInt(part.value, 10);
+  });
+  return values;
+};
+
+// Offset of the zone from UTC (in ms) at the given instant
+const getTimeZoneOffset = (date, timeZone) => {
+  const values = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(
+    values.year, values.month - 1, values.day,
+    values.hour, values.minute, values.second
+  );
+  return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+// '2024-05-01T09:30' in 'Europe/Berlin' -> 2024-05-01T07:30:00.000Z
+const zonedTimeToUtc = (localDateTime, timeZone) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(localDateTime);
+  if (!match) return new Date(NaN);
+
+  const [year, month, day, hour = 0, minute = 0, second = 0] = match
+    .slice(1)
+    .map(part => (part === undefined ? undefined : Number(part)));
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Re-check the offset at the result to land on the right side of DST changes
+  const offset = getTimeZoneOffset(new Date(guess), timeZone);
+  const result = guess - offset;
+  const correctedOffset = getTimeZoneOffset(new Date(result), timeZone);
+
+  return new Date(correctedOffset === offset ? result : guess - correctedOffset);
+};
+
+// Parse a date from a request. Values with an explicit offset (or Z) are taken
+// as-is; naive values such as datetime-local inputs are read in the given zone.
+const parseDateInZone = (value, timeZone) => {
+  if (value instanceof Date) return value;
+  if (!value) return new Date(NaN);
+
+  const text = String(value);
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+    return new Date(text);
+  }
+  return zonedTimeToUtc(text, timeZone);
+};
+
+module.exports = {
+  isValidTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  parseDateInZone
+};
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  isValidTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  parseDateInZone
+} = require('./timezone');
+
+test('isValidTimeZone accepts IANA zones only', () => {
+  assert.equal(isValidTimeZone('Europe/Berlin'), true);
+  assert.equal(isValidTimeZone('UTC'), true);
+  assert.equal(isValidTimeZone('Mars/Olympus'), false);
+  assert.equal(isValidTimeZone(''), false);
+  assert.equal(isValidTimeZone(null), false);
+});
+
+test('getZonedParts gives the wall-clock time across a date change', () => {
+  assert.deepEqual(
+    { ...getZonedParts(new Date('2024-12-31T23:30:00Z'), 'Asia/Tokyo') },
+    { year: 2025, month: 1, day: 1, hour: 8, minute: 30, second: 0 }
+  );
+});
+
+test('getTimeZoneOffset follows daylight saving time', () => {
+  assert.equal(getTimeZoneOffset(new Date('2024-01-15T12:00:00Z'), 'Europe/Berlin'), 60 * 60 * 1000);
+  assert.equal(getTimeZoneOffset(new Date('2024-07-15T12:00:00Z'), 'Europe/Berlin'), 2 * 60 * 60 * 1000);
+  assert.equal(getTimeZoneOffset(new Date('2024-07-15T12:00:00Z'), 'America/New_York'), -4 * 60 * 60 * 1000);
+});
+
+test('zonedTimeToUtc uses the offset in force on that day', () => {
+  // Berlin moves to summer time on 2024-03-31
+  assert.equal(zonedTimeToUtc('2024-03-30T09:00', 'Europe/Berlin').toISOString(), '2024-03-30T08:00:00.000Z');
+  assert.equal(zonedTimeToUtc('2024-03-31T09:00', 'Europe/Berlin').toISOString(), '2024-03-31T07:00:00.000Z');
+  // New York moves back to standard time on 2024-11-03
+  assert.equal(zonedTimeToUtc('2024-11-02T09:00', 'America/New_York').toISOString(), '2024-11-02T13:00:00.000Z');
+  assert.equal(zonedTimeToUtc('2024-11-03T09:00', 'America/New_York').toISOString(), '2024-11-03T14:00:00.000Z');
+  // Half-hour offsets
+  assert.equal(zonedTimeToUtc('2024-07-01T12:00', 'Asia/Kolkata').toISOString(), '2024-07-01T06:30:00.000Z');
+});
+
+test('zonedTimeToUtc resolves times that happen twice to that wall-clock time', () => {
+  const berlin = getZonedParts(zonedTimeToUtc('2024-10-27T02:30', 'Europe/Berlin'), 'Europe/Berlin');
+  assert.deepEqual([berlin.day, berlin.hour, berlin.minute], [27, 2, 30]);
+
+  const newYork = getZonedParts(zonedTimeToUtc('2024-11-03T01:30', 'America/New_York'), 'America/New_York');
+  assert.deepEqual([newYork.day, newYork.hour, newYork.minute], [3, 1, 30]);
+});
+
+test('zonedTimeToUtc reads a bare date as midnight and rejects other formats', () => {
+  assert.equal(zonedTimeToUtc('2024-05-01', 'Europe/Berlin').toISOString(), '2024-04-30T22:00:00.000Z');
+  assert.ok(isNaN(zonedTimeToUtc('01/05/2024', 'UTC')));
+});
+
+test('parseDateInZone only reads naive values in the zone', () => {
+  assert.equal(parseDateInZone('2024-05-01T09:30', 'Europe/Berlin').toISOString(), '2024-05-01T07:30:00.000Z');
+  assert.equal(parseDateInZone('2024-05-01T09:30Z', 'Europe/Berlin').toISOString(), '2024-05-01T09:30:00.000Z');
+  assert.equal(parseDateInZone('2024-05-01T09:30+02:00', 'UTC').toISOString(), '2024-05-01T07:30:00.000Z');
+
+  const date = new Date('2024-05-01T00:00:00Z');
+  assert.equal(parseDateInZone(date, 'Europe/Berlin'), date);
+  assert.ok(isNaN(parseDateInZone('', 'UTC')));
+});
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const ms = require('ms');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const AccountToken = require('../models/AccountToken');
+const User = require('../models/User');
+
+const accessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || '15m';
+const refreshTokenTtl = () => process.env.REFRESH_TOKEN_TTL || '30d';
+
+const ACCOUNT_TOKEN_TTLS = {
+  verifyEmail: () => process.env.VERIFY_EMAIL_TOKEN_TTL || '24h',
+  resetPassword: () => process.env.RESET_PASSWORD_TOKEN_TTL || '1h'
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const safeEqual = (a, b) => {
+  return Boolean(a && b) && a.length === b.length &&
+    crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+};
+
+// Short-lived JWT tied to a session, so revoking the session revokes it too
+const signAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    { id: user._id, email: user.email, role: user.role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: accessTokenTtl() }
+  );
+};
+
+// Refresh tokens look like "<sessionId>.<secret>"; only the hash is stored
+const buildRefreshToken = (sessionId) => {
+  return `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+};
+
+// Start a new session for a login/registration and issue both tokens
+const createSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    refreshTokenHash: 'pending',
+    expiresAt: new Date(Date.now() + ms(refreshTokenTtl())),
+    userAgent: req.get('User-Agent') || '',
+    ip: req.ip || ''
+  });
+
+  const refreshToken = buildRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken
+  };
+};
+
+const findSessionByRefreshToken = async (refreshToken) => {
+  const [sessionId] = String(refreshToken || '').split('.');
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return null;
+  return Session.findById(sessionId);
+};
+
+// Exchange a refresh token for a new token pair. Returns null when the token
+// is unknown, expired or revoked. Reusing an already rotated token revokes
+// the whole session.
+const rotateRefreshToken = async (refreshToken) => {
+  const session = await findSessionByRefreshToken(refreshToken);
+  if (!session || !session.isActive()) return null;
+
+  const user = await User.findById(session.user);
+  if (!user || user.suspendedAt) return null;
+
+  // Rotate atomically so two requests can't both spend the same token
+  const presentedHash = hashToken(refreshToken);
+  const nextRefreshToken = buildRefreshToken(session._id);
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        previousRefreshTokenHash: presentedHash,
+        refreshTokenHash: hashToken(nextRefreshToken),
+        lastUsedAt: new Date()
+      }
+    }
+  );
+
+  if (!rotated) {
+    if (safeEqual(presentedHash, session.previousRefreshTokenHash)) {
+      session.revokedAt = new Date();
+      await session.save();
+    }
+    return null;
+  }
+
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken: nextRefreshToken
+  };
+};
+
+// Issue an emailed token for the given purpose. Earlier unused tokens for the
+// same purpose stop working, so only the latest email's link is valid.
+const createAccountToken = async (user, purpose) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await AccountToken.updateMany(
+    { user: user._id, purpose, usedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+  await AccountToken.create({
+    user: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ms(ACCOUNT_TOKEN_TTLS[purpose]()))
+  });
+
+  return token;
+};
+
+// Mark a token as used and return its user id, or null when the token is
+// unknown, expired or already used. The update is atomic, so a token can
+// only ever be spent once.
+const consumeAccountToken = async (token, purpose) => {
+  if (!token || typeof token !== 'string') return null;
+
+  const accountToken = await AccountToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } }
+  );
+
+  return accountToken ? accountToken.user : null;
+};
+
+module.exports = {
+  hashToken,
+  signAccessToken,
+  createSession,
+  rotateRefreshToken,
+  findSessionByRefreshToken,
+  createAccountToken,
+  consumeAccountToken
+};
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+const { createSession, rotateRefreshToken, hashToken } = require('./tokens');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Sessions and users kept in memory in place of MongoDB. Only the queries
+// tokens.js runs are supported.
+const sessions = new Map();
+const user = new User({ name: 'Ada', email: 'ada@example.com', password: 'secret123' });
+
+test.beforeEach((t) => {
+  sessions.clear();
+  user.suspendedAt = null;
+
+  t.mock.method(Session.prototype, 'save', async function() {
+    sessions.set(this._id.toString(), this);
+    return this;
+  });
+  t.mock.method(Session, 'findById', async (id) => sessions.get(id.toString()) || null);
+  t.mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+    const session = sessions.get(filter._id.toString());
+    if (!session || session.refreshTokenHash !== filter.refreshTokenHash || session.revokedAt !== filter.revokedAt) {
+      return null;
+    }
+    const before = new Session(session.toObject());
+    session.set(update.$set);
+    return before;
+  });
+  t.mock.method(User, 'findById', async (id) => (user._id.equals(id) ? user : null));
+});
+
+const req = { get: () => 'test-agent', ip: '127.0.0.1' };
+const sessionOf = (refreshToken) => sessions.get(refreshToken.split('.')[0]);
+
+test('createSession stores only the hash of the refresh token', async () => {
+  const { token, refreshToken } = await createSession(user, req);
+  const session = sessionOf(refreshToken);
+
+  assert.equal(session.refreshTokenHash, hashToken(refreshToken));
+  assert.ok(!JSON.stringify(session.toObject()).includes(refreshToken.split('.')[1]));
+  assert.equal(jwt.verify(token, process.env.JWT_SECRET).sid, session._id.toString());
+});
+
+test('rotateRefreshToken issues a new pair and retires the old token', async () => {
+  const first = await createSession(user, req);
+  const second = await rotateRefreshToken(first.refreshToken);
+
+  assert.ok(second);
+  assert.notEqual(second.refreshToken, first.refreshToken);
+  assert.equal(second.refreshToken.split('.')[0], first.refreshToken.split('.')[0]);
+  const session = sessionOf(second.refreshToken);
+  assert.equal(session.refreshTokenHash, hashToken(second.refreshToken));
+  assert.equal(session.previousRefreshTokenHash, hashToken(first.refreshToken));
+
+  // The new token keeps working
+  assert.ok(await rotateRefreshToken(second.refreshToken));
+});
+
+test('reusing a rotated refresh token revokes the session', async () => {
+  const first = await createSession(user, req);
+  const second = await rotateRefreshToken(first.refreshToken);
+
+  assert.equal(await rotateRefreshToken(first.refreshToken), null);
+  assert.ok(sessionOf(first.refreshToken).revokedAt);
+  // The thief and the legitimate user are both logged out
+  assert.equal(await rotateRefreshToken(second.refreshToken), null);
+});
+
+test('an unknown secret for a real session does not revoke it', async () => {
+  const { refreshToken } = await createSession(user, req);
+  const [sessionId] = refreshToken.split('.');
+
+  assert.equal(await rotateRefreshToken(`${sessionId}.guessed`), null);
+  assert.equal(sessionOf(refreshToken).revokedAt, null);
+  assert.ok(await rotateRefreshToken(refreshToken));
+});
+
+test('expired sessions cannot be refreshed', async () => {
+  const { refreshToken } = await createSession(user, req);
+  sessionOf(refreshToken).expiresAt = new Date(Date.now() - DAY);
+
+  assert.equal(await rotateRefreshToken(refreshToken), null);
+});
+
+test('revoked sessions and suspended users cannot refresh', async () => {
+  const revoked = await createSession(user, req);
+  sessionOf(revoked.refreshToken).revokedAt = new Date();
+  assert.equal(await rotateRefreshToken(revoked.refreshToken), null);
+
+  const active = await createSession(user, req);
+  user.suspendedAt = new Date();
+  assert.equal(await rotateRefreshToken(active.refreshToken), null);
+});
+
+test('malformed refresh tokens are rejected', async () => {
+  assert.equal(await rotateRefreshToken(undefined), null);
+  assert.equal(await rotateRefreshToken('nonsense'), null);
+  assert.equal(await rotateRefreshToken(`${new mongoose.Types.ObjectId()}.secret`), null);
+});
@@ -0,0 +1,138 @@
+const ms = require('ms');
+const Event = require('../models/Event');
+const EventSeries = require('../models/EventSeries');
+const EventActivity = require('../models/EventActivity');
+const ReminderLog = require('../models/ReminderLog');
+const Report = require('../models/Report');
+const { deleteImageIfUnused } = require('./uploads');
+const { recordAudit } = require('./audit');
+const { broadcastAvailability, broadcastRemoved } = require('./live');
+const { notifyUsers } = require('../notifications');
+const { releaseHolds } = require('../payments/checkout');
+
+const DEFAULT_RESTORE_WINDOW = '30d';
+const DEFAULT_PURGE_INTERVAL = '1h';
+
+// How long a deleted event can still be restored
+const restoreWindow = () => ms(process.env.EVENT_RESTORE_WINDOW || DEFAULT_RESTORE_WINDOW);
+
+// When a deleted event is purged for good
+const purgeDate = (event) => new Date(event.deletedAt.getTime() + restoreWindow());
+
+// Cancel events that are up and not cancelled yet: mark them with the
+// reason, tell everyone who was going, waiting or asking to join, and
+// release open checkouts. context is who cancels them, for the audit log.
+const cancelEvents = async (events, reason, context) => {
+  const now = new Date();
+  for (const event of events) {
+    event.cancelledAt = now;
+    event.cancellationReason = reason;
+    await event.save();
+  }
+
+  for (const event of events) {
+    broadcastAvailability(event);
+    notifyUsers(
+      [...event.attendeeIds(), ...event.waitlistIds(), ...event.requestIds()],
+      'eventCancelled',
+      { event }
+    );
+    recordAudit(context, event, 'event.cancel', {
+      details: { reason, attendees: event.attendees.length, seatsTaken: event.seatsTaken() }
+    });
+    await releaseHolds(event, context);
+  }
+};
+
+// Delete events so they can still be restored until they are purged. They
+// share deletedAt, so they are restored together. Open reports about them are
+// resolved, people going to them are told unless the events were cancelled
+// (they were told then), and open checkouts are released. details are added
+// to the audit log entries.
+const deleteEvents = async (events, context, details = {}) => {
+  const ids = events.map(event => event._id);
+  const now = new Date();
+
+  await Event.updateMany(
+    { _id: { $in: ids } },
+    { $set: { deletedAt: now, deletedBy: context.actor } }
+  );
+  await Report.updateMany(
+    { event: { $in: ids }, status: 'open' },
+    { $set: { status: 'resolved', reviewedBy: context.actor, reviewedAt: now } }
+  );
+
+  for (const event of events) {
+    recordAudit(context, event, 'event.delete', {
+      details: { ...details, attendees: event.attendees.length, seatsTaken: event.seatsTaken() }
+    });
+    broadcastRemoved(event);
+    if (!event.cancelledAt) {
+      notifyUsers([...event.attendeeIds(), ...event.waitlistIds()], 'eventDeleted', { event });
+    }
+    await releaseHolds(event, context);
+  }
+};
+
+// Permanently remove events deleted longer ago than the restore window, with
+// their activity and reminder logs, their image unless another event uses
+// it, and their series once no occurrence is left. Audit log entries are
+// kept. Returns the number of events purged.
+const purgeDeletedEvents = async (now = new Date()) => {
+  const expired = await Event.find({
+    deletedAt: { $ne: null, $lte: new Date(now.getTime() - restoreWindow()) }
+  });
+
+  for (const event of expired) {
+    await Event.deleteOne({ _id: event._id });
+    await EventActivity.deleteMany({ event: event._id });
+    await ReminderLog.deleteMany({ event: event._id });
+
+    if (event.image) {
+      await deleteImageIfUnused(event.image);
+    }
+    if (event.series && !(await Event.exists({ series: event.series }).setOptions({ withDeleted: true }))) {
+      await EventSeries.deleteOne({ _id: event.series });
+    }
+  }
+
+  return expired.length;
+};
+
+// Purge expired deleted events on an interval inside the API process
+const startEventPurger = () => {
+  const interval = ms(process.env.EVENT_PURGE_INTERVAL || DEFAULT_PURGE_INTERVAL);
+
+  let running = false;
+  const tick = async () => {
+    // Skip a tick rather than overlap with a slow previous run
+    if (running) return;
+    running = true;
+
+    try {
+      const purged = await purgeDeletedEvents();
+      if (purged > 0) {
+        console.log(`🗑️  Purged ${purged} deleted event(s)`);
+      }
+    } catch (err) {
+      console.error('❌ Event purge error:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, interval);
+  timer.unref();
+  tick();
+
+  return timer;
+};
+
+module.exports = {
+  restoreWindow,
+  purgeDate,
+  cancelEvents,
+  deleteEvents,
+  purgeDeletedEvents,
+  startEventPurger
+};
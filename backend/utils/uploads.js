@@ -0,0 +1,24 @@
+const path = require('path');
+const fs = require('fs');
+const Event = require('../models/Event');
+
+const uploadsDir = path.join(__dirname, '..', 'uploads');
+
+// Remove a stored upload (e.g. '/uploads/123.png') from disk if it exists
+const deleteImageFile = (image) => {
+  const imagePath = path.join(__dirname, '..', image);
+  if (fs.existsSync(imagePath)) {
+    fs.unlinkSync(imagePath);
+  }
+};
+
+// Remove an upload once no event references it any more. Occurrences of a
+// recurring event share the same image file, and deleted events keep theirs
+// until they are purged.
+const deleteImageIfUnused = async (image) => {
+  if (!(await Event.exists({ image }).setOptions({ withDeleted: true }))) {
+    deleteImageFile(image);
+  }
+};
+
+module.exports = { uploadsDir, deleteImageFile, deleteImageIfUnused };
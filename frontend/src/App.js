@@ -2,12 +2,25 @@ import React from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import { AuthProvider } from './context/AuthContext';
 import Navbar from './components/Navbar';
+import ProtectedRoute from './components/ProtectedRoute';
 import EventsList from './pages/EventsList';
 import EventDetail from './pages/EventDetail';
 import CreateEvent from './pages/CreateEvent';
+import EditEvent from './pages/EditEvent';
+import CheckIn from './pages/CheckIn';
+import CheckoutReturn from './pages/CheckoutReturn';
+import FakePay from './pages/FakePay';
 import MyEvents from './pages/MyEvents';
+import Profile from './pages/Profile';
+import Admin from './pages/Admin';
+import Analytics from './pages/Analytics';
+import EventAnalytics from './pages/EventAnalytics';
+import EventHistory from './pages/EventHistory';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
 import './App.css';
 
 function App() {
@@ -19,10 +32,29 @@ function App() {
           <Routes>
             <Route path="/" element={<EventsList />} />
             <Route path="/events/:id" element={<EventDetail />} />
+            <Route path="/events/:id/edit" element={<EditEvent />} />
+            <Route path="/events/:id/check-in" element={<CheckIn />} />
+            <Route path="/events/:id/analytics" element={<EventAnalytics />} />
+            <Route path="/events/:id/history" element={<EventHistory />} />
+            <Route path="/events/:id/checkout/:holdId" element={<CheckoutReturn />} />
+            <Route path="/fake-pay/:paymentId" element={<FakePay />} />
             <Route path="/create-event" element={<CreateEvent />} />
             <Route path="/my-events" element={<MyEvents />} />
+            <Route path="/profile" element={<Profile />} />
+            <Route path="/analytics" element={<Analytics />} />
+            <Route
+              path="/admin"
+              element={
+                <ProtectedRoute permission="reports:review">
+                  <Admin />
+                </ProtectedRoute>
+              }
+            />
             <Route path="/login" element={<Login />} />
             <Route path="/register" element={<Register />} />
+            <Route path="/forgot-password" element={<ForgotPassword />} />
+            <Route path="/reset-password" element={<ResetPassword />} />
+            <Route path="/verify-email" element={<VerifyEmail />} />
           </Routes>
         </div>
       </AuthProvider>
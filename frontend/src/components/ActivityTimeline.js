@@ -0,0 +1,52 @@
+import React from 'react';
+
+const SERIES = [
+  { key: 'views', label: 'Page views' },
+  { key: 'rsvps', label: 'RSVPs' },
+  { key: 'cancellations', label: 'Cancellations' }
+];
+
+// Views, RSVPs and cancellations per day as a bar chart; each series is
+// scaled to its own busiest day so RSVPs stay visible next to views
+const ActivityTimeline = ({ timeline }) => {
+  if (timeline.length === 0) {
+    return <p className="analytics-empty">No activity yet.</p>;
+  }
+
+  const peaks = Object.fromEntries(SERIES.map(({ key }) => [
+    key,
+    Math.max(...timeline.map(day => day[key]), 1)
+  ]));
+
+  return (
+    <div className="activity-timeline">
+      <div className="timeline-legend">
+        {SERIES.map(({ key, label }) => (
+          <span key={key} className={`legend-${key}`}>{label}</span>
+        ))}
+      </div>
+      <div className="timeline-chart">
+        {timeline.map(day => (
+          <div
+            key={day.day}
+            className="timeline-day"
+            title={`${day.day}: ${SERIES.map(({ key, label }) => `${day[key]} ${label.toLowerCase()}`).join(', ')}`}
+          >
+            <div className="timeline-bars">
+              {SERIES.map(({ key }) => (
+                <div
+                  key={key}
+                  className={`timeline-bar bar-${key}`}
+                  style={{ height: `${(day[key] / peaks[key]) * 100}%` }}
+                />
+              ))}
+            </div>
+            <small>{day.day.slice(5)}</small>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ActivityTimeline;
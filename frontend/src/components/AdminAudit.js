@@ -0,0 +1,105 @@
+import React, { useState, useEffect } from 'react';
+import api from '../utils/api';
+import AuditLogTable, { AUDIT_ACTIONS } from './AuditLogTable';
+
+// Audit log of every event for the admin console, filtered by person,
+// event or action
+const AdminAudit = () => {
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [totalPages, setTotalPages] = useState(0);
+  const [page, setPage] = useState(1);
+  // form holds what is typed, query what was last applied
+  const [form, setForm] = useState({ email: '', event: '' });
+  const [query, setQuery] = useState({ email: '', event: '', action: '' });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchEntries = async () => {
+      try {
+        const params = { page };
+        Object.entries(query).forEach(([key, value]) => {
+          if (value) params[key] = value;
+        });
+
+        const response = await api.get('/admin/audit', { params });
+        setEntries(response.data.entries);
+        setTotal(response.data.total);
+        setTotalPages(response.data.totalPages);
+        setError('');
+      } catch (err) {
+        setEntries([]);
+        setTotal(0);
+        setTotalPages(0);
+        setError(err.response?.data?.message || 'Failed to load the audit log');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchEntries();
+  }, [query, page]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setQuery({ ...query, email: form.email.trim(), event: form.event.trim() });
+  };
+
+  const handleAction = (e) => {
+    setPage(1);
+    setQuery({ ...query, action: e.target.value });
+  };
+
+  return (
+    <>
+      <form onSubmit={handleSearch} className="admin-toolbar">
+        <input
+          type="search"
+          value={form.email}
+          onChange={(e) => setForm({ ...form, email: e.target.value })}
+          placeholder="By or about (email)"
+        />
+        <input
+          type="search"
+          value={form.event}
+          onChange={(e) => setForm({ ...form, event: e.target.value })}
+          placeholder="Event id"
+        />
+        <select value={query.action} onChange={handleAction}>
+          <option value="">All actions</option>
+          {Object.entries(AUDIT_ACTIONS).map(([action, label]) => (
+            <option key={action} value={action}>{label}</option>
+          ))}
+        </select>
+        <button type="submit" className="btn-admin-search">Search</button>
+      </form>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {loading ? (
+        <div className="loading">Loading audit log...</div>
+      ) : (
+        <>
+          <p className="results-count">{total} {total === 1 ? 'entry' : 'entries'}</p>
+          <AuditLogTable entries={entries} showEvent showIp />
+
+          {totalPages > 1 && (
+            <div className="pager">
+              <button onClick={() => setPage(page - 1)} disabled={page <= 1}>
+                ← Previous
+              </button>
+              <span>Page {page} of {totalPages}</span>
+              <button onClick={() => setPage(page + 1)} disabled={page >= totalPages}>
+                Next →
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </>
+  );
+};
+
+export default AdminAudit;
@@ -0,0 +1,137 @@
+import React, { useState, useEffect } from 'react';
+import api from '../utils/api';
+
+// Categories organizers can file their events under: add, rename and delete
+const AdminCategories = () => {
+  const [categories, setCategories] = useState([]);
+  const [name, setName] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [savingId, setSavingId] = useState(null);
+
+  useEffect(() => {
+    const fetchCategories = async () => {
+      try {
+        const response = await api.get('/categories');
+        setCategories(response.data);
+      } catch (err) {
+        setError('Failed to load categories');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchCategories();
+  }, []);
+
+  const byName = (a, b) => a.name.localeCompare(b.name);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+
+    setSavingId('new');
+    try {
+      const response = await api.post('/categories', { name: name.trim() });
+      setCategories([...categories, response.data].sort(byName));
+      setName('');
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to add category');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const handleRename = async (category) => {
+    const newName = window.prompt('New name:', category.name);
+    if (newName === null || !newName.trim() || newName.trim() === category.name) return;
+
+    setSavingId(category._id);
+    try {
+      const response = await api.put(`/categories/${category._id}`, { name: newName.trim() });
+      setCategories(categories.map(c => (c._id === category._id ? response.data : c)).sort(byName));
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to rename category');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const handleDelete = async (category) => {
+    if (!window.confirm(`Delete the "${category.name}" category?`)) {
+      return;
+    }
+
+    setSavingId(category._id);
+    try {
+      await api.delete(`/categories/${category._id}`);
+      setCategories(categories.filter(c => c._id !== category._id));
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to delete category');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  if (loading) {
+    return <div className="loading">Loading categories...</div>;
+  }
+
+  if (error) {
+    return <div className="error-message">{error}</div>;
+  }
+
+  return (
+    <div>
+      <form className="admin-toolbar" onSubmit={handleAdd}>
+        <input
+          type="text"
+          placeholder="New category name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+        <button type="submit" className="btn-admin-search" disabled={savingId === 'new'}>
+          Add Category
+        </button>
+      </form>
+
+      {categories.length === 0 ? (
+        <p className="admin-empty">No categories yet. Add some so organizers can file their events.</p>
+      ) : (
+        <div className="admin-table-wrapper">
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Slug</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {categories.map(category => (
+                <tr key={category._id}>
+                  <td>{category.name}</td>
+                  <td>{category.slug}</td>
+                  <td className="admin-actions">
+                    <button onClick={() => handleRename(category)} disabled={savingId === category._id}>
+                      Rename
+                    </button>
+                    <button
+                      onClick={() => handleDelete(category)}
+                      className="btn-admin-danger"
+                      disabled={savingId === category._id}
+                    >
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminCategories;
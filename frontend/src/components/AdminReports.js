@@ -0,0 +1,124 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../utils/api';
+import { formatDate } from '../utils/dates';
+
+// Events with open reports, for moderators to dismiss or take down
+const AdminReports = () => {
+  const [flagged, setFlagged] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    const fetchReports = async () => {
+      try {
+        const response = await api.get('/admin/reports');
+        setFlagged(response.data);
+      } catch (err) {
+        setError('Failed to load reported events');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchReports();
+  }, []);
+
+  const removeFromList = (eventId) => {
+    setFlagged(flagged.filter(entry => entry.event._id !== eventId));
+  };
+
+  const handleDismiss = async (event) => {
+    setBusyId(event._id);
+    try {
+      await api.put(`/admin/reports/${event._id}/dismiss`);
+      removeFromList(event._id);
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to dismiss reports');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRemove = async (event) => {
+    if (!window.confirm(`Remove "${event.title}"? Attendees will be told it was cancelled.`)) {
+      return;
+    }
+
+    setBusyId(event._id);
+    try {
+      await api.delete(`/events/${event._id}`);
+      removeFromList(event._id);
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to remove event');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (loading) {
+    return <div className="loading">Loading reported events...</div>;
+  }
+
+  if (error) {
+    return <div className="error-message">{error}</div>;
+  }
+
+  if (flagged.length === 0) {
+    return <p className="admin-empty">No open reports. 🎉</p>;
+  }
+
+  return (
+    <div className="admin-table-wrapper">
+      <table className="admin-table">
+        <thead>
+          <tr>
+            <th>Event</th>
+            <th>Organizer</th>
+            <th>Reports</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {flagged.map(({ event, reports, reportCount }) => (
+            <tr key={event._id}>
+              <td>
+                <Link to={`/events/${event._id}`}>{event.title}</Link>
+                <small className="admin-subtext">{formatDate(event)}</small>
+              </td>
+              <td>
+                {event.creator?.name}
+                <small className="admin-subtext">{event.creator?.email}</small>
+              </td>
+              <td>
+                <strong>{reportCount}</strong>
+                <ul className="report-reasons">
+                  {reports.map(report => (
+                    <li key={report._id}>
+                      “{report.reason}” — {report.reporter?.name || 'deleted user'}
+                    </li>
+                  ))}
+                </ul>
+              </td>
+              <td className="admin-actions">
+                <button onClick={() => handleDismiss(event)} disabled={busyId === event._id}>
+                  Dismiss
+                </button>
+                <button
+                  onClick={() => handleRemove(event)}
+                  className="btn-admin-danger"
+                  disabled={busyId === event._id}
+                >
+                  Remove Event
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default AdminReports;
@@ -0,0 +1,61 @@
+import React, { useState, useEffect } from 'react';
+import api from '../utils/api';
+
+// Platform-wide numbers for the admin console
+const AdminStats = () => {
+  const [stats, setStats] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchStats = async () => {
+      try {
+        const response = await api.get('/admin/stats');
+        setStats(response.data);
+      } catch (err) {
+        setError('Failed to load stats');
+      }
+    };
+
+    fetchStats();
+  }, []);
+
+  if (error) {
+    return <div className="error-message">{error}</div>;
+  }
+
+  if (!stats) {
+    return <div className="loading">Loading stats...</div>;
+  }
+
+  const rows = [
+    ['Users', stats.users.total],
+    ['New users (last 30 days)', stats.users.newLast30Days],
+    ['Suspended users', stats.users.suspended],
+    ...Object.entries(stats.users.byRole).map(([role, count]) => [`Role: ${role}`, count]),
+    ['Events', stats.events.total],
+    ['Upcoming events', stats.events.upcoming],
+    ['Past events', stats.events.past],
+    ['RSVPs', stats.rsvps.total],
+    ['Seats taken', stats.rsvps.seats],
+    ['Waitlisted', stats.rsvps.waitlisted],
+    ['Seats filled', `${Math.round(stats.rsvps.fillRate * 100)}%`],
+    ['Open reports', stats.openReports]
+  ];
+
+  return (
+    <div className="admin-table-wrapper">
+      <table className="admin-table admin-stats">
+        <tbody>
+          {rows.map(([label, value]) => (
+            <tr key={label}>
+              <th>{label}</th>
+              <td>{value}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default AdminStats;
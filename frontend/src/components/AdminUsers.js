@@ -0,0 +1,218 @@
+import React, { useState, useEffect } from 'react';
+import api from '../utils/api';
+import { ROLES } from '../utils/permissions';
+
+// User table for the admin console: search, change roles, suspend and delete
+const AdminUsers = ({ currentUser }) => {
+  const [users, setUsers] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [totalPages, setTotalPages] = useState(0);
+  const [page, setPage] = useState(1);
+  // search holds what is typed, query what was last applied
+  const [search, setSearch] = useState('');
+  const [query, setQuery] = useState({ q: '', role: '', status: '' });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [savingId, setSavingId] = useState(null);
+  const [reload, setReload] = useState(0);
+
+  useEffect(() => {
+    const fetchUsers = async () => {
+      try {
+        const params = { page };
+        Object.entries(query).forEach(([key, value]) => {
+          if (value) params[key] = value;
+        });
+
+        const response = await api.get('/admin/users', { params });
+        setUsers(response.data.users);
+        setTotal(response.data.total);
+        setTotalPages(response.data.totalPages);
+        setError('');
+      } catch (err) {
+        setError('Failed to load users');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchUsers();
+  }, [query, page, reload]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setQuery({ ...query, q: search.trim() });
+  };
+
+  const handleFilter = (e) => {
+    setPage(1);
+    setQuery({ ...query, [e.target.name]: e.target.value });
+  };
+
+  // Run an action on one user and swap the returned user into the table
+  const updateUser = async (member, request) => {
+    setSavingId(member._id);
+    try {
+      const response = await request();
+      setUsers(users.map(u => (u._id === member._id ? response.data : u)));
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to update user');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const handleRoleChange = (member, role) => {
+    if (!window.confirm(`Change ${member.name}'s role to ${role}?`)) {
+      return;
+    }
+    updateUser(member, () => api.put(`/admin/users/${member._id}/role`, { role }));
+  };
+
+  const handleSuspend = (member) => {
+    const reason = window.prompt(`Suspend ${member.name}? They will be logged out everywhere.\n\nReason (optional):`);
+    if (reason === null) return;
+    updateUser(member, () => api.put(`/admin/users/${member._id}/suspend`, { reason }));
+  };
+
+  const handleUnsuspend = (member) => {
+    updateUser(member, () => api.put(`/admin/users/${member._id}/unsuspend`));
+  };
+
+  const handleDelete = async (member) => {
+    if (!window.confirm(
+      `Delete ${member.name} for good? Their events are cancelled and their RSVPs released. This cannot be undone.`
+    )) {
+      return;
+    }
+
+    setSavingId(member._id);
+    try {
+      const response = await api.delete(`/admin/users/${member._id}`);
+      alert(`${member.name} deleted (${response.data.deletedEvents} events removed, ${response.data.releasedRsvps} RSVPs released)`);
+      setReload(reload + 1);
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to delete user');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  return (
+    <>
+      <form onSubmit={handleSearch} className="admin-toolbar">
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search by name or email"
+        />
+        <select name="role" value={query.role} onChange={handleFilter}>
+          <option value="">All roles</option>
+          {ROLES.map(role => (
+            <option key={role} value={role}>{role}</option>
+          ))}
+        </select>
+        <select name="status" value={query.status} onChange={handleFilter}>
+          <option value="">Any status</option>
+          <option value="active">Active</option>
+          <option value="suspended">Suspended</option>
+        </select>
+        <button type="submit" className="btn-admin-search">Search</button>
+      </form>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {loading ? (
+        <div className="loading">Loading users...</div>
+      ) : (
+        <>
+          <p className="results-count">{total} {total === 1 ? 'user' : 'users'}</p>
+          <div className="admin-table-wrapper">
+            <table className="admin-table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Email</th>
+                  <th>Joined</th>
+                  <th>Role</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {users.map(member => {
+                  const isSelf = member._id === currentUser.id;
+                  const busy = savingId === member._id;
+
+                  return (
+                    <tr key={member._id} className={member.suspendedAt ? 'row-suspended' : ''}>
+                      <td>
+                        {member.name}
+                        {member.suspendedAt && (
+                          <span className="badge-suspended" title={member.suspensionReason}>suspended</span>
+                        )}
+                      </td>
+                      <td>
+                        {member.email}
+                        {!member.emailVerified && <span className="badge-unverified">unverified</span>}
+                      </td>
+                      <td>{new Date(member.createdAt).toLocaleDateString()}</td>
+                      <td>
+                        <select
+                          value={member.role}
+                          onChange={(e) => handleRoleChange(member, e.target.value)}
+                          disabled={busy || isSelf}
+                        >
+                          {ROLES.map(role => (
+                            <option key={role} value={role}>{role}</option>
+                          ))}
+                        </select>
+                      </td>
+                      <td className="admin-actions">
+                        {!isSelf && (
+                          <>
+                            {member.suspendedAt ? (
+                              <button onClick={() => handleUnsuspend(member)} disabled={busy}>
+                                Unsuspend
+                              </button>
+                            ) : (
+                              <button onClick={() => handleSuspend(member)} disabled={busy}>
+                                Suspend
+                              </button>
+                            )}
+                            <button
+                              onClick={() => handleDelete(member)}
+                              className="btn-admin-danger"
+                              disabled={busy}
+                            >
+                              Delete
+                            </button>
+                          </>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          {totalPages > 1 && (
+            <div className="pager">
+              <button onClick={() => setPage(page - 1)} disabled={page <= 1}>
+                ← Previous
+              </button>
+              <span>Page {page} of {totalPages}</span>
+              <button onClick={() => setPage(page + 1)} disabled={page >= totalPages}>
+                Next →
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </>
+  );
+};
+
+export default AdminUsers;
@@ -0,0 +1,231 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../utils/api';
+import { formatPrice } from '../utils/money';
+
+const GuestList = ({ person }) => (
+  <small className="attendee-guests">
+    +{person.seats - 1} guest{person.seats > 2 ? 's' : ''}
+    {person.guestNames.length > 0 && `: ${person.guestNames.join(', ')}`}
+  </small>
+);
+
+// Ticket type and what was paid for it, on events with ticket tiers
+const TicketInfo = ({ person, currency }) => (
+  <small className="attendee-guests">
+    {person.tier}
+    {person.amountPaid > 0 && ` · paid ${formatPrice(person.amountPaid, currency)}`}
+  </small>
+);
+
+// Organizer view of an event's attendees: approve or decline requests, remove
+// people, add them by email, see who checked in, mark no-shows and export
+// everything as CSV
+const AttendeeManager = ({ event, onChange }) => {
+  const [list, setList] = useState({ attendees: [], waitlist: [], requests: [] });
+  const [email, setEmail] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const hasStarted = new Date(event.date) <= new Date();
+
+  const fetchAttendees = useCallback(async () => {
+    try {
+      const response = await api.get(`/events/${event._id}/attendees`);
+      setList(response.data);
+    } catch (err) {
+      console.error('Failed to fetch attendees:', err);
+    }
+  }, [event._id]);
+
+  useEffect(() => {
+    fetchAttendees();
+  }, [fetchAttendees]);
+
+  // Run a change, then show the updated list and let the page refresh counts
+  const update = async (request, errorMessage) => {
+    setBusy(true);
+    try {
+      const response = await request();
+      setList(response.data);
+      onChange();
+      return true;
+    } catch (err) {
+      alert(err.response?.data?.message || errorMessage);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const added = await update(
+      () => api.post(`/events/${event._id}/attendees`, { email }),
+      'Failed to add attendee'
+    );
+    if (added) setEmail('');
+  };
+
+  const handleRemove = (person) => {
+    if (!window.confirm(`Remove ${person.name} from this event? They will be notified by email.`)) {
+      return;
+    }
+    update(() => api.delete(`/events/${event._id}/attendees/${person._id}`), 'Failed to remove attendee');
+  };
+
+  const handleApprove = (person) => {
+    update(
+      () => api.post(`/events/${event._id}/attendees/requests/${person._id}/approve`),
+      'Failed to approve request'
+    );
+  };
+
+  const handleDecline = (person) => {
+    if (!window.confirm(`Decline ${person.name}'s request? They will be notified by email.`)) {
+      return;
+    }
+    update(
+      () => api.post(`/events/${event._id}/attendees/requests/${person._id}/decline`),
+      'Failed to decline request'
+    );
+  };
+
+  const handleNoShow = (person) => {
+    update(
+      () => api.put(`/events/${event._id}/attendees/${person._id}/no-show`, { noShow: !person.noShow }),
+      'Failed to update attendee'
+    );
+  };
+
+  const handleExport = async () => {
+    try {
+      const response = await api.get(`/events/${event._id}/attendees/export.csv`, {
+        responseType: 'blob'
+      });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${event.title} attendees.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      alert('Failed to export attendees');
+    }
+  };
+
+  return (
+    <div className="attendees-section attendee-manager">
+      <div className="attendee-manager-header">
+        <h3>Attendees ({event.seatsTaken} / {event.capacity} seats)</h3>
+        <button onClick={handleExport} className="btn-export">Export CSV</button>
+      </div>
+
+      <form onSubmit={handleAdd} className="attendee-add">
+        <input
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          placeholder="Add someone by their account email"
+          required
+        />
+        <button type="submit" disabled={busy}>Add</button>
+      </form>
+
+      {list.requests.length > 0 && (
+        <>
+          <h4>Requests ({list.requests.length})</h4>
+          <table className="attendee-table">
+            <tbody>
+              {list.requests.map(person => (
+                <tr key={person._id}>
+                  <td>
+                    {person.name}
+                    {person.seats > 1 && <GuestList person={person} />}
+                  </td>
+                  <td>{person.email}</td>
+                  <td>
+                    <button onClick={() => handleApprove(person)} className="btn-attendee-approve" disabled={busy}>
+                      Approve
+                    </button>
+                  </td>
+                  <td>
+                    <button onClick={() => handleDecline(person)} className="btn-attendee-remove" disabled={busy}>
+                      Decline
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <h4>Attending</h4>
+        </>
+      )}
+
+      {list.attendees.length === 0 ? (
+        <p className="attendees-empty">Nobody has RSVP'd yet.</p>
+      ) : (
+        <table className="attendee-table">
+          <tbody>
+            {list.attendees.map(person => (
+              <tr key={person._id} className={person.noShow ? 'no-show' : ''}>
+                <td>
+                  {person.name}
+                  {person.tier && <TicketInfo person={person} currency={event.currency} />}
+                  {person.seats > 1 && <GuestList person={person} />}
+                </td>
+                <td>{person.email}</td>
+                <td>
+                  {person.checkedInAt ? (
+                    <span className="checked-in">✓ Checked in</span>
+                  ) : hasStarted && (
+                    <label className="no-show-toggle">
+                      <input
+                        type="checkbox"
+                        checked={person.noShow}
+                        onChange={() => handleNoShow(person)}
+                        disabled={busy}
+                      />
+                      No-show
+                    </label>
+                  )}
+                </td>
+                <td>
+                  <button onClick={() => handleRemove(person)} className="btn-attendee-remove" disabled={busy}>
+                    Remove
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {list.waitlist.length > 0 && (
+        <>
+          <h4>Waitlist ({list.waitlist.length})</h4>
+          <table className="attendee-table">
+            <tbody>
+              {list.waitlist.map(person => (
+                <tr key={person._id}>
+                  <td>
+                    #{person.position} {person.name}
+                    {person.tier && <TicketInfo person={person} currency={event.currency} />}
+                    {person.seats > 1 && <GuestList person={person} />}
+                  </td>
+                  <td>{person.email}</td>
+                  <td></td>
+                  <td>
+                    <button onClick={() => handleRemove(person)} className="btn-attendee-remove" disabled={busy}>
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AttendeeManager;
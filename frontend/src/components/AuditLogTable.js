@@ -0,0 +1,116 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+
+// What each audit log action means (see backend/models/AuditLog.js)
+export const AUDIT_ACTIONS = {
+  'event.create': 'Created the event',
+  'event.update': 'Edited the event',
+  'event.delete': 'Deleted the event',
+  'event.cancel': 'Cancelled the event',
+  'event.restore': 'Restored the event',
+  'rsvp.create': 'RSVP\'d',
+  'rsvp.waitlist': 'Joined the waitlist',
+  'rsvp.request': 'Asked to join',
+  'rsvp.update': 'Changed their RSVP',
+  'rsvp.cancel': 'Cancelled their RSVP',
+  'waitlist.leave': 'Left the waitlist',
+  'waitlist.promote': 'Promoted from the waitlist',
+  'request.withdraw': 'Withdrew their request',
+  'request.approve': 'Approved a request',
+  'request.decline': 'Declined a request',
+  'checkout.start': 'Started a checkout',
+  'checkout.paid': 'Checkout paid',
+  'checkout.release': 'Checkout released',
+  'attendee.add': 'Added an attendee',
+  'attendee.remove': 'Removed an attendee',
+  'attendee.no_show': 'Marked a no-show',
+  'attendee.check_in': 'Checked someone in',
+  'organizer.invite': 'Invited a co-organizer',
+  'organizer.accept': 'Became a co-organizer',
+  'organizer.decline': 'Declined to co-organize',
+  'organizer.update': 'Changed a co-organizer',
+  'organizer.remove': 'Removed a co-organizer',
+  'invite.add': 'Invited guests',
+  'invite.remove': 'Uninvited a guest',
+  'promo_code.create': 'Created a promo code',
+  'promo_code.update': 'Changed a promo code',
+  'promo_code.delete': 'Deleted a promo code'
+};
+
+const MAX_VALUE_LENGTH = 120;
+
+// Short text for a stored before/after or detail value
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH)}…` : text;
+};
+
+const describeUser = (user) => (user ? `${user.name} (${user.email})` : null);
+
+// Audit log entries, newest first. The event column is for logs that span
+// several events, the IP column for admins.
+const AuditLogTable = ({ entries, showEvent = false, showIp = false }) => {
+  if (entries.length === 0) {
+    return <p className="admin-empty">Nothing has been recorded yet.</p>;
+  }
+
+  return (
+    <div className="admin-table-wrapper">
+      <table className="admin-table audit-table">
+        <thead>
+          <tr>
+            <th>When</th>
+            <th>Who</th>
+            <th>What</th>
+            {showEvent && <th>Event</th>}
+            {showIp && <th>IP</th>}
+          </tr>
+        </thead>
+        <tbody>
+          {entries.map(entry => {
+            const details = Object.entries(entry.details || {})
+              .filter(([, value]) => value !== null && value !== undefined);
+
+            return (
+              <tr key={entry._id}>
+                <td>{new Date(entry.createdAt).toLocaleString()}</td>
+                <td>
+                  {entry.actor ? describeUser(entry.actor) : <em>System</em>}
+                </td>
+                <td>
+                  <strong>{AUDIT_ACTIONS[entry.action] || entry.action}</strong>
+                  {entry.subject && entry.subject._id !== (entry.actor && entry.actor._id) && (
+                    <div className="admin-subtext">{describeUser(entry.subject)}</div>
+                  )}
+                  {details.length > 0 && (
+                    <div className="admin-subtext">
+                      {details.map(([key, value]) => `${key}: ${formatValue(value)}`).join(' · ')}
+                    </div>
+                  )}
+                  {entry.changes.length > 0 && (
+                    <ul className="audit-changes">
+                      {entry.changes.map(change => (
+                        <li key={change.field}>
+                          <strong>{change.field}</strong>: {formatValue(change.before)} → {formatValue(change.after)}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </td>
+                {showEvent && (
+                  <td>
+                    <Link to={`/events/${entry.event}`}>{entry.eventTitle}</Link>
+                  </td>
+                )}
+                {showIp && <td>{entry.ip || '—'}</td>}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default AuditLogTable;
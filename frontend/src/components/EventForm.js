@@ -0,0 +1,497 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import api from '../utils/api';
+import { getTimeZones, getViewerTimeZone } from '../utils/dates';
+import QuestionBuilder from './QuestionBuilder';
+import TierBuilder from './TierBuilder';
+
+const emptyValues = {
+  title: '',
+  description: '',
+  date: '',
+  endDate: '',
+  timezone: getViewerTimeZone(),
+  location: '',
+  capacity: '',
+  maxGuests: '0',
+  questions: [],
+  visibility: 'public',
+  rsvpMode: 'instant',
+  tiers: [],
+  currency: 'USD',
+  category: '',
+  tags: '',
+  repeat: '',
+  interval: '1',
+  endsOn: 'count',
+  count: '4',
+  until: '',
+  exceptions: [],
+};
+
+// Shared form used by both the Create Event and Edit Event pages.
+// onSubmit receives { formData, image, removeImage } and may throw an axios error.
+// Recurrence settings are only offered when creating (allowRecurrence).
+const EventForm = ({
+  initialValues = emptyValues,
+  initialImage = '',
+  submitLabel,
+  submittingLabel,
+  errorMessage,
+  cancelPath = '/',
+  allowRecurrence = false,
+  onSubmit
+}) => {
+  const navigate = useNavigate();
+
+  const [formData, setFormData] = useState(initialValues);
+  const [image, setImage] = useState(null);
+  const [imagePreview, setImagePreview] = useState(initialImage || null);
+  const [removeImage, setRemoveImage] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [categories, setCategories] = useState([]);
+  const [skipDate, setSkipDate] = useState('');
+
+  useEffect(() => {
+    api.get('/categories')
+      .then(response => setCategories(response.data))
+      .catch(() => setCategories([]));
+  }, []);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleImageChange = (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      if (file.size > 5 * 1024 * 1024) {
+        setError('Image size should be less than 5MB');
+        return;
+      }
+      setImage(file);
+      setImagePreview(URL.createObjectURL(file));
+      setRemoveImage(false);
+      setError('');
+    }
+  };
+
+  const handleAddException = () => {
+    if (skipDate && !formData.exceptions.includes(skipDate)) {
+      setFormData({
+        ...formData,
+        exceptions: [...formData.exceptions, skipDate].sort()
+      });
+    }
+    setSkipDate('');
+  };
+
+  const handleRemoveException = (day) => {
+    setFormData({
+      ...formData,
+      exceptions: formData.exceptions.filter(exception => exception !== day)
+    });
+  };
+
+  const handleRemoveImage = () => {
+    setImage(null);
+    setImagePreview(null);
+    // Only an image that already exists on the server needs clearing
+    setRemoveImage(Boolean(initialImage));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    // Validation
+    if (!formData.title || !formData.description || !formData.date ||
+        !formData.endDate || !formData.location || !formData.capacity) {
+      setError('Please fill in all fields');
+      return;
+    }
+
+    // Both values are wall times in the same zone, so they compare as strings
+    if (formData.endDate <= formData.date) {
+      setError('End time must be after the start time');
+      return;
+    }
+
+    if (parseInt(formData.capacity) < 1) {
+      setError('Capacity must be at least 1');
+      return;
+    }
+
+    if (!(parseInt(formData.maxGuests) >= 0)) {
+      setError('Guests per RSVP must be 0 or more');
+      return;
+    }
+
+    if (formData.questions.some(question => !question.label.trim())) {
+      setError('Every registration question needs a label');
+      return;
+    }
+
+    if (formData.tiers.some(tier => !tier.name.trim())) {
+      setError('Every ticket type needs a name');
+      return;
+    }
+
+    if (formData.tiers.some(tier => !(Number(tier.price) >= 0) || !(parseInt(tier.quantity) >= 1))) {
+      setError('Ticket prices must be 0 or more, with at least 1 seat each');
+      return;
+    }
+
+    const isPaid = formData.tiers.some(tier => Number(tier.price) > 0);
+    if (isPaid && formData.rsvpMode === 'approval') {
+      setError('Events that require approval cannot sell paid tickets');
+      return;
+    }
+
+    if (formData.repeat) {
+      if (parseInt(formData.interval) < 1) {
+        setError('Repeat interval must be at least 1');
+        return;
+      }
+      if (formData.endsOn === 'until' ? !formData.until : parseInt(formData.count) < 1) {
+        setError('Please choose when the repetition ends');
+        return;
+      }
+    }
+
+    setLoading(true);
+
+    try {
+      await onSubmit({ formData, image, removeImage });
+    } catch (err) {
+      setError(err.response?.data?.message || errorMessage);
+      setLoading(false);
+    }
+  };
+
+  return (
+    <>
+      {error && <div className="error-message">{error}</div>}
+
+      <form onSubmit={handleSubmit}>
+        <div className="form-group">
+          <label>Event Title *</label>
+          <input
+            type="text"
+            name="title"
+            value={formData.title}
+            onChange={handleChange}
+            placeholder="Enter event title"
+            required
+          />
+        </div>
+
+        <div className="form-group">
+          <label>Description *</label>
+          <textarea
+            name="description"
+            value={formData.description}
+            onChange={handleChange}
+            placeholder="Describe your event"
+            rows="5"
+            required
+          />
+        </div>
+
+        <div className="form-row">
+          <div className="form-group">
+            <label>Starts *</label>
+            <input
+              type="datetime-local"
+              name="date"
+              value={formData.date}
+              onChange={handleChange}
+              required
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Ends *</label>
+            <input
+              type="datetime-local"
+              name="endDate"
+              value={formData.endDate}
+              min={formData.date}
+              onChange={handleChange}
+              required
+            />
+          </div>
+        </div>
+
+        <div className="form-row">
+          <div className="form-group">
+            <label>Time Zone *</label>
+            <select
+              name="timezone"
+              value={formData.timezone}
+              onChange={handleChange}
+              required
+            >
+              {getTimeZones().map(timeZone => (
+                <option key={timeZone} value={timeZone}>{timeZone}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label>Capacity *</label>
+            <input
+              type="number"
+              name="capacity"
+              value={formData.capacity}
+              onChange={handleChange}
+              placeholder="Total seats, guests included"
+              min="1"
+              required
+            />
+          </div>
+        </div>
+
+        <div className="form-group">
+          <label>Guests per RSVP</label>
+          <input
+            type="number"
+            name="maxGuests"
+            value={formData.maxGuests}
+            onChange={handleChange}
+            min="0"
+          />
+          <small className="form-hint">How many extra people each attendee may bring (0 for none)</small>
+        </div>
+
+        {allowRecurrence && (
+          <div className="recurrence-section">
+            <div className="form-row">
+              <div className="form-group">
+                <label>Repeats</label>
+                <select name="repeat" value={formData.repeat} onChange={handleChange}>
+                  <option value="">Does not repeat</option>
+                  <option value="daily">Daily</option>
+                  <option value="weekly">Weekly</option>
+                  <option value="monthly">Monthly</option>
+                </select>
+              </div>
+
+              {formData.repeat && (
+                <div className="form-group">
+                  <label>Every</label>
+                  <input
+                    type="number"
+                    name="interval"
+                    value={formData.interval}
+                    onChange={handleChange}
+                    min="1"
+                  />
+                </div>
+              )}
+            </div>
+
+            {formData.repeat && (
+              <>
+                <div className="form-row">
+                  <div className="form-group">
+                    <label>Ends</label>
+                    <select name="endsOn" value={formData.endsOn} onChange={handleChange}>
+                      <option value="count">After a number of dates</option>
+                      <option value="until">On a date</option>
+                    </select>
+                  </div>
+
+                  <div className="form-group">
+                    {formData.endsOn === 'until' ? (
+                      <>
+                        <label>Last date</label>
+                        <input
+                          type="date"
+                          name="until"
+                          value={formData.until}
+                          onChange={handleChange}
+                        />
+                      </>
+                    ) : (
+                      <>
+                        <label>Number of dates</label>
+                        <input
+                          type="number"
+                          name="count"
+                          value={formData.count}
+                          onChange={handleChange}
+                          min="1"
+                          max="100"
+                        />
+                      </>
+                    )}
+                  </div>
+                </div>
+
+                <div className="form-group">
+                  <label>Skip dates</label>
+                  <div className="skip-date-row">
+                    <input
+                      type="date"
+                      value={skipDate}
+                      onChange={(e) => setSkipDate(e.target.value)}
+                    />
+                    <button type="button" onClick={handleAddException} className="btn-add-skip">
+                      Skip
+                    </button>
+                  </div>
+                  {formData.exceptions.length > 0 && (
+                    <div className="skip-dates">
+                      {formData.exceptions.map(day => (
+                        <span key={day} className="skip-date">
+                          {day}
+                          <button type="button" onClick={() => handleRemoveException(day)}>×</button>
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              </>
+            )}
+          </div>
+        )}
+
+        <div className="form-group">
+          <label>Location *</label>
+          <input
+            type="text"
+            name="location"
+            value={formData.location}
+            onChange={handleChange}
+            placeholder="Event location"
+            required
+          />
+        </div>
+
+        <div className="form-row">
+          <div className="form-group">
+            <label>Category</label>
+            <select
+              name="category"
+              value={formData.category}
+              onChange={handleChange}
+            >
+              <option value="">Uncategorized</option>
+              {categories.map(category => (
+                <option key={category._id} value={category._id}>
+                  {category.name}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label>Tags</label>
+            <input
+              type="text"
+              name="tags"
+              value={formData.tags}
+              onChange={handleChange}
+              placeholder="e.g. javascript, networking"
+            />
+          </div>
+        </div>
+
+        <div className="form-row">
+          <div className="form-group">
+            <label>Who Can See It</label>
+            <select name="visibility" value={formData.visibility} onChange={handleChange}>
+              <option value="public">Public - listed for everyone</option>
+              <option value="unlisted">Unlisted - only people with the link</option>
+              <option value="invite">Invite-only - only people you invite</option>
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label>RSVPs</label>
+            <select name="rsvpMode" value={formData.rsvpMode} onChange={handleChange}>
+              <option value="instant">Confirmed right away</option>
+              <option value="approval">I approve each request</option>
+            </select>
+          </div>
+        </div>
+
+        <div className="form-group">
+          <label>Registration Questions</label>
+          <QuestionBuilder
+            questions={formData.questions}
+            onChange={(questions) => setFormData({ ...formData, questions })}
+          />
+          <small className="form-hint">Asked when people RSVP, e.g. dietary needs or T-shirt size</small>
+        </div>
+
+        <div className="form-group">
+          <label>Tickets</label>
+          <TierBuilder
+            tiers={formData.tiers}
+            onChange={(tiers) => setFormData({ ...formData, tiers })}
+          />
+          <small className="form-hint">
+            Leave empty for a free event. Paid tickets are bought at checkout.
+          </small>
+        </div>
+
+        {formData.tiers.length > 0 && (
+          <div className="form-group">
+            <label>Currency</label>
+            <input
+              type="text"
+              name="currency"
+              value={formData.currency}
+              onChange={handleChange}
+              placeholder="e.g. USD, EUR"
+              maxLength={3}
+            />
+          </div>
+        )}
+
+        <div className="form-group">
+          <label>Event Image (Optional)</label>
+          <input
+            type="file"
+            accept="image/*"
+            onChange={handleImageChange}
+            className="file-input"
+          />
+          {imagePreview && (
+            <div className="image-preview">
+              <img src={imagePreview} alt="Preview" />
+              <button
+                type="button"
+                onClick={handleRemoveImage}
+                className="btn-remove-image"
+              >
+                Remove Image
+              </button>
+            </div>
+          )}
+        </div>
+
+        <div className="form-actions">
+          <button type="submit" className="btn-submit" disabled={loading}>
+            {loading ? submittingLabel : submitLabel}
+          </button>
+          <button
+            type="button"
+            onClick={() => navigate(cancelPath)}
+            className="btn-cancel-form"
+          >
+            Cancel
+          </button>
+        </div>
+      </form>
+    </>
+  );
+};
+
+export default EventForm;
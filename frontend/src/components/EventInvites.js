@@ -0,0 +1,99 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../utils/api';
+
+// Guest list of an invite-only event. Only the people on it (and the
+// organizers) can see the event and RSVP.
+const EventInvites = ({ event }) => {
+  const [invites, setInvites] = useState([]);
+  const [emails, setEmails] = useState('');
+  const [allDates, setAllDates] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const fetchInvites = useCallback(async () => {
+    try {
+      const response = await api.get(`/events/${event._id}/invites`);
+      setInvites(response.data.invites);
+    } catch (err) {
+      console.error('Failed to fetch invites:', err);
+    }
+  }, [event._id]);
+
+  useEffect(() => {
+    fetchInvites();
+  }, [fetchInvites]);
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await api.post(`/events/${event._id}/invites`, {
+        emails,
+        scope: allDates ? 'future' : undefined
+      });
+      alert(response.data.message);
+      setInvites(response.data.invites);
+      setEmails('');
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to send invitations');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (invite) => {
+    if (!window.confirm(`Take ${invite.email} off the guest list?`)) return;
+
+    try {
+      const response = await api.delete(`/events/${event._id}/invites/${invite._id}`);
+      setInvites(response.data.invites);
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to remove invite');
+    }
+  };
+
+  return (
+    <div className="organizers-section">
+      <h3>Guest List ({invites.length})</h3>
+
+      {invites.length === 0 && (
+        <p className="organizers-empty">Nobody is invited yet, so only the organizers can see this event.</p>
+      )}
+
+      <ul className="organizers-list">
+        {invites.map(invite => (
+          <li key={invite._id}>
+            <span className="organizer-name">{invite.email}</span>
+            <button onClick={() => handleRemove(invite)} className="btn-organizer-remove">
+              Remove
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <form onSubmit={handleInvite} className="organizer-invite">
+        <textarea
+          value={emails}
+          onChange={(e) => setEmails(e.target.value)}
+          placeholder="Email addresses, separated by commas or new lines"
+          rows="3"
+          required
+        />
+        {event.series && (
+          <label className="invite-all-dates">
+            <input
+              type="checkbox"
+              checked={allDates}
+              onChange={(e) => setAllDates(e.target.checked)}
+            />
+            Also for all later dates
+          </label>
+        )}
+        <button type="submit" className="btn-organizer-invite" disabled={saving}>
+          {saving ? 'Sending...' : 'Send Invites'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default EventInvites;
@@ -0,0 +1,161 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../utils/api';
+import { ORGANIZER_PERMISSIONS } from '../utils/permissions';
+
+const permissionLabel = (key) => ORGANIZER_PERMISSIONS.find(permission => permission.key === key)?.label || key;
+
+// Co-organizer list for an event's organizers. The creator (and moderators)
+// can invite people by email, change what they may do and remove them.
+const EventOrganizers = ({ event, user, onStepDown }) => {
+  const [organizers, setOrganizers] = useState([]);
+  const [canManage, setCanManage] = useState(false);
+  const [email, setEmail] = useState('');
+  const [permissions, setPermissions] = useState(['edit']);
+  const [allDates, setAllDates] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const fetchOrganizers = useCallback(async () => {
+    try {
+      const response = await api.get(`/events/${event._id}/organizers`);
+      setOrganizers(response.data.organizers);
+      setCanManage(response.data.canManage);
+    } catch (err) {
+      console.error('Failed to fetch organizers:', err);
+    }
+  }, [event._id]);
+
+  useEffect(() => {
+    fetchOrganizers();
+  }, [fetchOrganizers]);
+
+  const togglePermission = (list, key) => {
+    return list.includes(key) ? list.filter(item => item !== key) : [...list, key];
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await api.post(`/events/${event._id}/organizers`, {
+        email,
+        permissions,
+        scope: allDates ? 'future' : undefined
+      });
+      alert(response.data.message);
+      setEmail('');
+      fetchOrganizers();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to send invitation');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handlePermissionChange = async (organizer, key) => {
+    try {
+      await api.put(`/events/${event._id}/organizers/${organizer._id}`, {
+        permissions: togglePermission(organizer.permissions, key)
+      });
+      fetchOrganizers();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to update permissions');
+    }
+  };
+
+  const handleRemove = async (organizer, isSelf) => {
+    const question = isSelf
+      ? 'Step down as co-organizer of this event?'
+      : `Remove ${organizer.user?.name || organizer.email} as co-organizer?`;
+    if (!window.confirm(question)) return;
+
+    try {
+      await api.delete(`/events/${event._id}/organizers/${organizer._id}`);
+      if (isSelf) {
+        onStepDown();
+      } else {
+        fetchOrganizers();
+      }
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to remove co-organizer');
+    }
+  };
+
+  return (
+    <div className="organizers-section">
+      <h3>Co-organizers</h3>
+
+      {organizers.length === 0 && <p className="organizers-empty">No co-organizers yet.</p>}
+
+      <ul className="organizers-list">
+        {organizers.map(organizer => {
+          const isSelf = organizer.user?._id === user.id;
+
+          return (
+            <li key={organizer._id}>
+              <span className="organizer-name">
+                {organizer.user?.name || organizer.email}
+                {organizer.status === 'pending' && <span className="badge-pending">invited</span>}
+              </span>
+              <span className="organizer-permissions">
+                {canManage ? ORGANIZER_PERMISSIONS.map(({ key, label }) => (
+                  <label key={key}>
+                    <input
+                      type="checkbox"
+                      checked={organizer.permissions.includes(key)}
+                      onChange={() => handlePermissionChange(organizer, key)}
+                    />
+                    {label}
+                  </label>
+                )) : organizer.permissions.map(permissionLabel).join(', ')}
+              </span>
+              {(canManage || isSelf) && (
+                <button onClick={() => handleRemove(organizer, isSelf)} className="btn-organizer-remove">
+                  {isSelf ? 'Step Down' : 'Remove'}
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      {canManage && (
+        <form onSubmit={handleInvite} className="organizer-invite">
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="Invite by email"
+            required
+          />
+          <div className="organizer-permissions">
+            {ORGANIZER_PERMISSIONS.map(({ key, label }) => (
+              <label key={key}>
+                <input
+                  type="checkbox"
+                  checked={permissions.includes(key)}
+                  onChange={() => setPermissions(togglePermission(permissions, key))}
+                />
+                {label}
+              </label>
+            ))}
+            {event.series && (
+              <label>
+                <input
+                  type="checkbox"
+                  checked={allDates}
+                  onChange={(e) => setAllDates(e.target.checked)}
+                />
+                Also for all later dates
+              </label>
+            )}
+          </div>
+          <button type="submit" className="btn-organizer-invite" disabled={saving || permissions.length === 0}>
+            {saving ? 'Sending...' : 'Send Invite'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default EventOrganizers;
@@ -0,0 +1,82 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../utils/api';
+
+// Organizer view of everyone's answers to the event's registration questions,
+// with a CSV export for spreadsheets
+const EventResponses = ({ event }) => {
+  const [people, setPeople] = useState([]);
+
+  const fetchResponses = useCallback(async () => {
+    try {
+      const response = await api.get(`/events/${event._id}/attendees`);
+      setPeople([
+        ...response.data.attendees.map(person => ({ ...person, status: 'Attending' })),
+        ...response.data.waitlist.map(person => ({ ...person, status: `Waitlist #${person.position}` })),
+        ...response.data.requests.map(person => ({ ...person, status: 'Requested' }))
+      ]);
+    } catch (err) {
+      console.error('Failed to fetch responses:', err);
+    }
+  }, [event._id]);
+
+  // Refetch whenever the page reloads the event, e.g. after someone RSVPs
+  useEffect(() => {
+    fetchResponses();
+  }, [fetchResponses, event]);
+
+  const handleExport = async () => {
+    try {
+      const response = await api.get(`/events/${event._id}/attendees/responses.csv`, {
+        responseType: 'blob'
+      });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${event.title} responses.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      alert('Failed to export responses');
+    }
+  };
+
+  return (
+    <div className="attendees-section attendee-manager">
+      <div className="attendee-manager-header">
+        <h3>Registration Responses</h3>
+        <button onClick={handleExport} className="btn-export">Export CSV</button>
+      </div>
+
+      {people.length === 0 ? (
+        <p className="attendees-empty">No responses yet.</p>
+      ) : (
+        <div className="responses-scroll">
+          <table className="attendee-table responses-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Status</th>
+                {event.questions.map(question => (
+                  <th key={question._id}>{question.label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {people.map(person => (
+                <tr key={person._id}>
+                  <td>{person.name}</td>
+                  <td>{person.status}</td>
+                  {event.questions.map(question => (
+                    <td key={question._id}>{(person.answers[question._id] || []).join(', ')}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EventResponses;
@@ -0,0 +1,30 @@
+import React from 'react';
+import { QRCodeSVG } from 'qrcode.react';
+import './EventTicket.css';
+
+// A ticket from GET /api/events/:id/ticket, shown as a QR code for the
+// organizers to scan at the door
+const EventTicket = ({ ticket }) => {
+  return (
+    <div className="event-ticket">
+      <QRCodeSVG value={ticket.code} size={160} />
+      <div className="ticket-info">
+        <strong>🎫 Your ticket</strong>
+        {ticket.tier && <p className="ticket-tier">{ticket.tier}</p>}
+        {ticket.seats > 1 && (
+          <p className="ticket-seats">Admits {ticket.seats} people</p>
+        )}
+        {ticket.checkedInAt ? (
+          <p className="ticket-checked-in">
+            Checked in at {new Date(ticket.checkedInAt).toLocaleTimeString()}
+          </p>
+        ) : (
+          <p>Show this code at the entrance. It can only be used once.</p>
+        )}
+        <code className="ticket-code">{ticket.code}</code>
+      </div>
+    </div>
+  );
+};
+
+export default EventTicket;
@@ -1,14 +1,15 @@
 import React, { useContext } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { AuthContext } from '../context/AuthContext';
+import { hasPermission } from '../utils/permissions';
 import './Navbar.css';
 
 const Navbar = () => {
   const { user, logout } = useContext(AuthContext);
   const navigate = useNavigate();
 
-  const handleLogout = () => {
-    logout();
+  const handleLogout = async () => {
+    await logout();
     navigate('/login');
   };
 
@@ -22,10 +23,15 @@ const Navbar = () => {
           <li><Link to="/">Events</Link></li>
           {user ? (
             <>
-              <li><Link to="/create-event">Create Event</Link></li>
+              {hasPermission(user, 'events:create') && (
+                <li><Link to="/create-event">Create Event</Link></li>
+              )}
               <li><Link to="/my-events">My Events</Link></li>
+              {hasPermission(user, 'reports:review') && (
+                <li><Link to="/admin">Admin</Link></li>
+              )}
               <li>
-                <span className="user-name">Hello, {user.name}</span>
+                <Link to="/profile" className="user-name">Hello, {user.name}</Link>
               </li>
               <li>
                 <button onClick={handleLogout} className="btn-logout">
@@ -0,0 +1,238 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../utils/api';
+import { formatPrice, toCents } from '../utils/money';
+
+const emptyCode = { code: '', discountType: 'percent', amount: '', maxUses: '', expiresAt: '', tiers: [] };
+
+// Promo codes of a ticketed event: create codes, turn them off, and see who
+// redeemed each one, with a CSV export of every redemption
+const PromoCodeManager = ({ event }) => {
+  const [promoCodes, setPromoCodes] = useState([]);
+  const [form, setForm] = useState(emptyCode);
+  const [expanded, setExpanded] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const paidTiers = event.tiers.filter(tier => tier.price > 0);
+
+  const fetchPromoCodes = useCallback(async () => {
+    try {
+      const response = await api.get(`/events/${event._id}/promo-codes`);
+      setPromoCodes(response.data.promoCodes);
+    } catch (err) {
+      console.error('Failed to fetch promo codes:', err);
+    }
+  }, [event._id]);
+
+  // Refetch whenever the page reloads the event, e.g. after a checkout
+  useEffect(() => {
+    fetchPromoCodes();
+  }, [fetchPromoCodes, event]);
+
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  const handleTierToggle = (tierId) => {
+    setForm({
+      ...form,
+      tiers: form.tiers.includes(tierId)
+        ? form.tiers.filter(id => id !== tierId)
+        : [...form.tiers, tierId]
+    });
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const response = await api.post(`/events/${event._id}/promo-codes`, {
+        ...form,
+        // Fixed discounts are typed in currency units
+        amount: form.discountType === 'fixed' ? toCents(form.amount) : Number(form.amount)
+      });
+      setPromoCodes(response.data.promoCodes);
+      setForm(emptyCode);
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to create promo code');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleToggleActive = async (promoCode) => {
+    setBusy(true);
+    try {
+      const response = await api.put(`/events/${event._id}/promo-codes/${promoCode._id}`, {
+        active: !promoCode.active
+      });
+      setPromoCodes(response.data.promoCodes);
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to update promo code');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDelete = async (promoCode) => {
+    if (!window.confirm(`Delete the ${promoCode.code} code?`)) return;
+
+    setBusy(true);
+    try {
+      const response = await api.delete(`/events/${event._id}/promo-codes/${promoCode._id}`);
+      setPromoCodes(response.data.promoCodes);
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to delete promo code');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      const response = await api.get(`/events/${event._id}/promo-codes/redemptions.csv`, {
+        responseType: 'blob'
+      });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${event.title} promo codes.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      alert('Failed to export redemptions');
+    }
+  };
+
+  const describeDiscount = (promoCode) => {
+    return promoCode.discountType === 'percent'
+      ? `${promoCode.amount}% off`
+      : `${formatPrice(promoCode.amount, event.currency)} off`;
+  };
+
+  return (
+    <div className="attendees-section attendee-manager">
+      <div className="attendee-manager-header">
+        <h3>Promo Codes</h3>
+        <button onClick={handleExport} className="btn-export">Export CSV</button>
+      </div>
+
+      {promoCodes.length === 0 ? (
+        <p className="attendees-empty">No promo codes yet.</p>
+      ) : (
+        <table className="attendee-table">
+          <tbody>
+            {promoCodes.map(promoCode => (
+              <React.Fragment key={promoCode._id}>
+                <tr className={promoCode.active ? '' : 'promo-inactive'}>
+                  <td>
+                    <strong>{promoCode.code}</strong>
+                    <small className="attendee-guests">
+                      {describeDiscount(promoCode)}
+                      {promoCode.tiers.length > 0 && ` · ${promoCode.tiers.join(', ')} only`}
+                      {promoCode.expiresAt && ` · until ${new Date(promoCode.expiresAt).toLocaleString()}`}
+                    </small>
+                  </td>
+                  <td>
+                    <button
+                      onClick={() => setExpanded(expanded === promoCode._id ? null : promoCode._id)}
+                      className="btn-promo-uses"
+                    >
+                      {promoCode.uses}{promoCode.maxUses !== null && ` / ${promoCode.maxUses}`} used
+                    </button>
+                    <small className="attendee-guests">
+                      {formatPrice(promoCode.totalDiscount, event.currency)} discounted
+                    </small>
+                  </td>
+                  <td>
+                    <button onClick={() => handleToggleActive(promoCode)} className="btn-attendee-approve" disabled={busy}>
+                      {promoCode.active ? 'Turn Off' : 'Turn On'}
+                    </button>
+                  </td>
+                  <td>
+                    {promoCode.uses === 0 && (
+                      <button onClick={() => handleDelete(promoCode)} className="btn-attendee-remove" disabled={busy}>
+                        Delete
+                      </button>
+                    )}
+                  </td>
+                </tr>
+                {expanded === promoCode._id && promoCode.redemptions.map(redemption => (
+                  <tr key={redemption._id} className="promo-redemption">
+                    <td>{redemption.name}</td>
+                    <td>{redemption.email}</td>
+                    <td>{redemption.tier} × {redemption.seats}</td>
+                    <td>-{formatPrice(redemption.discount, event.currency)}</td>
+                  </tr>
+                ))}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <form onSubmit={handleCreate} className="promo-code-form">
+        <div className="promo-code-row">
+          <input
+            type="text"
+            name="code"
+            value={form.code}
+            onChange={handleChange}
+            placeholder="Code, e.g. EARLY20"
+            maxLength={30}
+            required
+          />
+          <select name="discountType" value={form.discountType} onChange={handleChange}>
+            <option value="percent">% off</option>
+            <option value="fixed">{event.currency} off</option>
+          </select>
+          <input
+            type="number"
+            name="amount"
+            value={form.amount}
+            onChange={handleChange}
+            placeholder="Amount"
+            min={form.discountType === 'percent' ? 1 : 0.01}
+            max={form.discountType === 'percent' ? 100 : undefined}
+            step={form.discountType === 'percent' ? 1 : 0.01}
+            required
+          />
+        </div>
+        <div className="promo-code-row">
+          <input
+            type="number"
+            name="maxUses"
+            value={form.maxUses}
+            onChange={handleChange}
+            placeholder="Usage limit (optional)"
+            min="1"
+          />
+          <input
+            type="datetime-local"
+            name="expiresAt"
+            value={form.expiresAt}
+            onChange={handleChange}
+            title={`Expires (${event.timezone})`}
+          />
+        </div>
+        {paidTiers.length > 1 && (
+          <div className="promo-code-tiers">
+            Only for:
+            {paidTiers.map(tier => (
+              <label key={tier._id}>
+                <input
+                  type="checkbox"
+                  checked={form.tiers.includes(tier._id)}
+                  onChange={() => handleTierToggle(tier._id)}
+                />
+                {tier.name}
+              </label>
+            ))}
+          </div>
+        )}
+        <button type="submit" disabled={busy}>Add Code</button>
+      </form>
+    </div>
+  );
+};
+
+export default PromoCodeManager;
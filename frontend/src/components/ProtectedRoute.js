@@ -0,0 +1,30 @@
+import React, { useContext } from 'react';
+import { Navigate, Link } from 'react-router-dom';
+import { AuthContext } from '../context/AuthContext';
+import { hasPermission } from '../utils/permissions';
+
+// Renders its children only for logged-in users whose role grants the permission
+const ProtectedRoute = ({ permission, children }) => {
+  const { user, loading } = useContext(AuthContext);
+
+  if (loading) {
+    return <div className="loading">Loading...</div>;
+  }
+
+  if (!user) {
+    return <Navigate to="/login" replace />;
+  }
+
+  if (!hasPermission(user, permission)) {
+    return (
+      <div className="auth-required">
+        <h2>You don't have access to this page</h2>
+        <Link to="/" className="btn-primary">Back to Events</Link>
+      </div>
+    );
+  }
+
+  return children;
+};
+
+export default ProtectedRoute;
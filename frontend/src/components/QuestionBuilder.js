@@ -0,0 +1,73 @@
+import React from 'react';
+
+const QUESTION_TYPES = [
+  { value: 'text', label: 'Text answer' },
+  { value: 'single', label: 'Single choice' },
+  { value: 'multiple', label: 'Multiple choice' }
+];
+
+// Form builder for the questions attendees answer when they RSVP. Choice
+// options are edited one per line.
+const QuestionBuilder = ({ questions, onChange }) => {
+  const updateQuestion = (index, changes) => {
+    onChange(questions.map((question, i) => (i === index ? { ...question, ...changes } : question)));
+  };
+
+  const handleAdd = () => {
+    onChange([...questions, { label: '', type: 'text', options: [], required: false }]);
+  };
+
+  const handleRemove = (index) => {
+    onChange(questions.filter((question, i) => i !== index));
+  };
+
+  return (
+    <div className="question-builder">
+      {questions.map((question, index) => (
+        <div key={question._id || index} className="question-item">
+          <div className="question-row">
+            <input
+              type="text"
+              value={question.label}
+              onChange={(e) => updateQuestion(index, { label: e.target.value })}
+              placeholder="Question, e.g. Dietary requirements"
+              maxLength={200}
+            />
+            <select
+              value={question.type}
+              onChange={(e) => updateQuestion(index, { type: e.target.value })}
+            >
+              {QUESTION_TYPES.map(type => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+            <button type="button" onClick={() => handleRemove(index)} className="btn-remove-question">
+              ×
+            </button>
+          </div>
+          {question.type !== 'text' && (
+            <textarea
+              value={question.options.join('\n')}
+              onChange={(e) => updateQuestion(index, { options: e.target.value.split('\n') })}
+              placeholder="One option per line"
+              rows="3"
+            />
+          )}
+          <label className="question-required">
+            <input
+              type="checkbox"
+              checked={question.required}
+              onChange={(e) => updateQuestion(index, { required: e.target.checked })}
+            />
+            Required
+          </label>
+        </div>
+      ))}
+      <button type="button" onClick={handleAdd} className="btn-add-question">
+        + Add Question
+      </button>
+    </div>
+  );
+};
+
+export default QuestionBuilder;
@@ -0,0 +1,65 @@
+import React from 'react';
+
+// Inputs for an event's registration questions. answers maps question ids to
+// a string (text, single choice) or a list of strings (multiple choice);
+// onChange receives the updated map.
+const RegistrationQuestions = ({ questions, answers, onChange }) => {
+  const setAnswer = (question, value) => {
+    onChange({ ...answers, [question._id]: value });
+  };
+
+  const toggleChoice = (question, option) => {
+    const current = answers[question._id] || [];
+    setAnswer(question, current.includes(option)
+      ? current.filter(value => value !== option)
+      : [...current, option]);
+  };
+
+  return (
+    <div className="registration-questions">
+      {questions.map(question => (
+        <div key={question._id} className="registration-question">
+          <label>
+            {question.label}
+            {question.required && ' *'}
+          </label>
+          {question.type === 'text' && (
+            <input
+              type="text"
+              value={answers[question._id] || ''}
+              onChange={(e) => setAnswer(question, e.target.value)}
+              maxLength={1000}
+            />
+          )}
+          {question.type === 'single' && (
+            <select
+              value={answers[question._id] || ''}
+              onChange={(e) => setAnswer(question, e.target.value)}
+            >
+              <option value="">Choose...</option>
+              {question.options.map(option => (
+                <option key={option} value={option}>{option}</option>
+              ))}
+            </select>
+          )}
+          {question.type === 'multiple' && (
+            <div className="registration-choices">
+              {question.options.map(option => (
+                <label key={option}>
+                  <input
+                    type="checkbox"
+                    checked={(answers[question._id] || []).includes(option)}
+                    onChange={() => toggleChoice(question, option)}
+                  />
+                  {option}
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default RegistrationQuestions;
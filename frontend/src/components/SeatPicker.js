@@ -0,0 +1,43 @@
+import React from 'react';
+
+// Number of seats for an RSVP (the attendee plus up to maxGuests guests) and
+// optional names for the guests. onChange receives { seats, guestNames }.
+const SeatPicker = ({ maxGuests, seats, guestNames, onChange }) => {
+  const handleSeatsChange = (e) => {
+    const nextSeats = parseInt(e.target.value);
+    onChange({ seats: nextSeats, guestNames: guestNames.slice(0, nextSeats - 1) });
+  };
+
+  const handleNameChange = (index, value) => {
+    const nextNames = [...guestNames];
+    nextNames[index] = value;
+    onChange({ seats, guestNames: nextNames });
+  };
+
+  return (
+    <div className="seat-picker">
+      <label>
+        Seats
+        <select value={seats} onChange={handleSeatsChange}>
+          {Array.from({ length: maxGuests + 1 }, (_, index) => index + 1).map(count => (
+            <option key={count} value={count}>
+              {count === 1 ? 'Just me' : `Me + ${count - 1} guest${count > 2 ? 's' : ''}`}
+            </option>
+          ))}
+        </select>
+      </label>
+      {Array.from({ length: seats - 1 }, (_, index) => (
+        <input
+          key={index}
+          type="text"
+          value={guestNames[index] || ''}
+          onChange={(e) => handleNameChange(index, e.target.value)}
+          placeholder={`Guest ${index + 1} name (optional)`}
+          maxLength={100}
+        />
+      ))}
+    </div>
+  );
+};
+
+export default SeatPicker;
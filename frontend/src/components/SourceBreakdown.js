@@ -0,0 +1,63 @@
+import React from 'react';
+
+// Page views and RSVPs per source (campaign, referring site or direct), and
+// the sites that sent the most visitors
+const SourceBreakdown = ({ sources, referrers }) => {
+  return (
+    <div className="analytics-columns">
+      <div className="analytics-panel">
+        <h3>Sources</h3>
+        {sources.length === 0 ? (
+          <p className="analytics-empty">No visits yet.</p>
+        ) : (
+          <table className="analytics-table">
+            <thead>
+              <tr>
+                <th>Source</th>
+                <th>Views</th>
+                <th>RSVPs</th>
+                <th>Conversion</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sources.map(source => (
+                <tr key={source.source}>
+                  <td>{source.source}</td>
+                  <td>{source.views}</td>
+                  <td>{source.rsvps}</td>
+                  <td>{source.views > 0 ? `${source.conversionRate}%` : '–'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="analytics-panel">
+        <h3>Referring Sites</h3>
+        {referrers.length === 0 ? (
+          <p className="analytics-empty">No referrals yet.</p>
+        ) : (
+          <table className="analytics-table">
+            <thead>
+              <tr>
+                <th>Site</th>
+                <th>Views</th>
+              </tr>
+            </thead>
+            <tbody>
+              {referrers.map(referrer => (
+                <tr key={referrer.referrer}>
+                  <td>{referrer.referrer}</td>
+                  <td>{referrer.views}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SourceBreakdown;
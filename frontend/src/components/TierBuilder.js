@@ -0,0 +1,97 @@
+import React from 'react';
+import { toCents } from '../utils/money';
+
+// Tiers the way the API takes them: prices in cents, sale dates as wall
+// times in the event's time zone (empty for no limit)
+export const serializeTiers = (tiers) => {
+  return tiers.map(tier => ({
+    _id: tier._id,
+    name: tier.name,
+    price: toCents(tier.price),
+    quantity: tier.quantity,
+    salesStart: tier.salesStart || null,
+    salesEnd: tier.salesEnd || null
+  }));
+};
+
+// Form builder for ticket tiers. Prices are edited in currency units and
+// sales can optionally be limited to a window.
+const TierBuilder = ({ tiers, onChange }) => {
+  const updateTier = (index, changes) => {
+    onChange(tiers.map((tier, i) => (i === index ? { ...tier, ...changes } : tier)));
+  };
+
+  const handleAdd = () => {
+    onChange([...tiers, { name: '', price: '0', quantity: '', salesStart: '', salesEnd: '' }]);
+  };
+
+  const handleRemove = (index) => {
+    onChange(tiers.filter((tier, i) => i !== index));
+  };
+
+  return (
+    <div className="question-builder">
+      {tiers.map((tier, index) => (
+        <div key={tier._id || index} className="question-item">
+          <div className="question-row">
+            <input
+              type="text"
+              value={tier.name}
+              onChange={(e) => updateTier(index, { name: e.target.value })}
+              placeholder="Ticket name, e.g. Early Bird"
+              maxLength={100}
+            />
+            <button type="button" onClick={() => handleRemove(index)} className="btn-remove-question">
+              ×
+            </button>
+          </div>
+          <div className="tier-row">
+            <label>
+              Price
+              <input
+                type="number"
+                value={tier.price}
+                onChange={(e) => updateTier(index, { price: e.target.value })}
+                min="0"
+                step="0.01"
+              />
+            </label>
+            <label>
+              Seats
+              <input
+                type="number"
+                value={tier.quantity}
+                onChange={(e) => updateTier(index, { quantity: e.target.value })}
+                min="1"
+              />
+            </label>
+          </div>
+          <div className="tier-row">
+            <label>
+              On sale from
+              <input
+                type="datetime-local"
+                value={tier.salesStart}
+                onChange={(e) => updateTier(index, { salesStart: e.target.value })}
+              />
+            </label>
+            <label>
+              Until
+              <input
+                type="datetime-local"
+                value={tier.salesEnd}
+                min={tier.salesStart}
+                onChange={(e) => updateTier(index, { salesEnd: e.target.value })}
+              />
+            </label>
+          </div>
+        </div>
+      ))}
+      <button type="button" onClick={handleAdd} className="btn-add-question">
+        + Add Ticket Type
+      </button>
+    </div>
+  );
+};
+
+export default TierBuilder;
@@ -0,0 +1,47 @@
+import React from 'react';
+import { formatPrice } from '../utils/money';
+
+const isOnSale = (tier, now = new Date()) => {
+  return (!tier.salesStart || new Date(tier.salesStart) <= now) &&
+    (!tier.salesEnd || new Date(tier.salesEnd) > now);
+};
+
+// Ticket type to RSVP or buy with, showing price, seats left and whether it
+// is on sale. onChange receives the tier id.
+const TierPicker = ({ event, value, onChange }) => {
+  return (
+    <div className="tier-picker">
+      <strong>Tickets</strong>
+      {event.tiers.map(tier => {
+        const seatsLeft = Math.max(tier.quantity - tier.seatsTaken, 0);
+        const onSale = isOnSale(tier);
+        // Free tiers take a waitlist once they are full; paid ones sell out
+        const available = onSale && (seatsLeft > 0 || tier.price === 0);
+
+        return (
+          <label key={tier._id} className={`tier-option${available ? '' : ' tier-unavailable'}`}>
+            <input
+              type="radio"
+              name="tier"
+              value={tier._id}
+              checked={value === tier._id}
+              disabled={!available}
+              onChange={() => onChange(tier._id)}
+            />
+            <span className="tier-name">{tier.name}</span>
+            <span className="tier-price">{formatPrice(tier.price, event.currency)}</span>
+            <span className="tier-status">
+              {!onSale
+                ? tier.salesStart && new Date(tier.salesStart) > new Date()
+                  ? `On sale ${new Date(tier.salesStart).toLocaleDateString()}`
+                  : 'Sales ended'
+                : seatsLeft > 0 ? `${seatsLeft} left` : tier.price > 0 ? 'Sold out' : 'Waitlist'}
+            </span>
+          </label>
+        );
+      })}
+    </div>
+  );
+};
+
+export default TierPicker;
@@ -0,0 +1,39 @@
+import React, { useState } from 'react';
+import api from '../utils/api';
+import './VerifyEmailNotice.css';
+
+// Reminds an unverified user to check their inbox and lets them resend the link
+const VerifyEmailNotice = ({ email, children }) => {
+  const [sending, setSending] = useState(false);
+  const [sent, setSent] = useState(false);
+
+  const handleResend = async () => {
+    setSending(true);
+    try {
+      await api.post('/auth/resend-verification');
+      setSent(true);
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to resend verification email');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="verify-email-notice">
+      <p>
+        {children || 'Your email address is not verified yet.'} We sent a verification link
+        to <strong>{email}</strong>.
+      </p>
+      {sent ? (
+        <span className="verify-email-sent">✓ A new link is on its way</span>
+      ) : (
+        <button onClick={handleResend} className="btn-resend" disabled={sending}>
+          {sending ? 'Sending...' : 'Resend Email'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default VerifyEmailNotice;
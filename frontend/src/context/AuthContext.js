@@ -1,14 +1,22 @@
-import React, { createContext, useState, useEffect } from 'react';
-import api from '../utils/api';
+import React, { createContext, useState, useEffect, useCallback } from 'react';
+import api, { clearTokens } from '../utils/api';
 
 export const AuthContext = createContext();
 
+// /auth/me returns the user document; login/register return { id, ... }
+const toSessionUser = (data) => ({ ...data, id: data._id });
+
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
     checkUser();
+
+    // Fired by the api interceptor when the session can't be refreshed
+    const handleSessionEnd = () => setUser(null);
+    window.addEventListener('auth:logout', handleSessionEnd);
+    return () => window.removeEventListener('auth:logout', handleSessionEnd);
   }, []);
 
   const checkUser = async () => {
@@ -16,36 +24,63 @@ export const AuthProvider = ({ children }) => {
     if (token) {
       try {
         const response = await api.get('/auth/me');
-        setUser(response.data);
+        setUser(toSessionUser(response.data));
       } catch (error) {
-        localStorage.removeItem('token');
+        clearTokens();
       }
     }
     setLoading(false);
   };
 
+  // Reload the current user, e.g. after they verified their email
+  const refreshUser = useCallback(async () => {
+    if (!localStorage.getItem('token')) return;
+    try {
+      const response = await api.get('/auth/me');
+      setUser(toSessionUser(response.data));
+    } catch (error) {
+      console.error('Failed to refresh user:', error);
+    }
+  }, []);
+
+  const storeSession = (data) => {
+    localStorage.setItem('token', data.token);
+    localStorage.setItem('refreshToken', data.refreshToken);
+    setUser(data.user);
+  };
+
   const login = async (email, password) => {
     const response = await api.post('/auth/login', { email, password });
-    localStorage.setItem('token', response.data.token);
-    setUser(response.data.user);
+    storeSession(response.data);
     return response.data;
   };
 
   const register = async (name, email, password) => {
     const response = await api.post('/auth/register', { name, email, password });
-    localStorage.setItem('token', response.data.token);
-    setUser(response.data.user);
+    storeSession(response.data);
     return response.data;
   };
 
-  const logout = () => {
-    localStorage.removeItem('token');
+  // Revoke the session on the server, then forget it locally either way
+  const logout = async () => {
+    try {
+      await api.post('/auth/logout', { refreshToken: localStorage.getItem('refreshToken') });
+    } catch (error) {
+      console.error('Logout failed:', error);
+    }
+    clearTokens();
+    setUser(null);
+  };
+
+  const logoutAll = async () => {
+    await api.post('/auth/logout-all');
+    clearTokens();
     setUser(null);
   };
 
   return (
-    <AuthContext.Provider value={{ user, loading, login, register, logout }}>
+    <AuthContext.Provider value={{ user, loading, login, register, logout, logoutAll, refreshUser }}>
       {children}
     </AuthContext.Provider>
   );
-};
\ No newline at end of file
+};
@@ -0,0 +1,52 @@
+import React, { useState, useContext } from 'react';
+import { AuthContext } from '../context/AuthContext';
+import { hasPermission } from '../utils/permissions';
+import AdminUsers from '../components/AdminUsers';
+import AdminReports from '../components/AdminReports';
+import AdminStats from '../components/AdminStats';
+import AdminCategories from '../components/AdminCategories';
+import AdminAudit from '../components/AdminAudit';
+import './Admin.css';
+
+// Each tab is shown to the roles that may use it; moderators only see reports
+const TABS = [
+  { key: 'users', label: 'Users', permission: 'users:manage' },
+  { key: 'reports', label: 'Reported Events', permission: 'reports:review' },
+  { key: 'stats', label: 'Stats', permission: 'stats:view' },
+  { key: 'categories', label: 'Categories', permission: 'categories:manage' },
+  { key: 'audit', label: 'Audit Log', permission: 'audit:view' }
+];
+
+const Admin = () => {
+  const { user } = useContext(AuthContext);
+  const tabs = TABS.filter(tab => hasPermission(user, tab.permission));
+  const [activeTab, setActiveTab] = useState(null);
+
+  const current = tabs.find(tab => tab.key === activeTab) || tabs[0];
+
+  return (
+    <div className="admin-container">
+      <h1>Admin Console</h1>
+
+      <div className="tabs">
+        {tabs.map(tab => (
+          <button
+            key={tab.key}
+            className={`tab ${current.key === tab.key ? 'active' : ''}`}
+            onClick={() => setActiveTab(tab.key)}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {current.key === 'users' && <AdminUsers currentUser={user} />}
+      {current.key === 'reports' && <AdminReports />}
+      {current.key === 'stats' && <AdminStats />}
+      {current.key === 'categories' && <AdminCategories />}
+      {current.key === 'audit' && <AdminAudit />}
+    </div>
+  );
+};
+
+export default Admin;
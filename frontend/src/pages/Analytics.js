@@ -0,0 +1,131 @@
+import React, { useState, useEffect, useContext } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import api from '../utils/api';
+import { AuthContext } from '../context/AuthContext';
+import { getViewerTimeZone } from '../utils/dates';
+import { formatPrice } from '../utils/money';
+import ActivityTimeline from '../components/ActivityTimeline';
+import SourceBreakdown from '../components/SourceBreakdown';
+import './Analytics.css';
+
+// Analytics across every event the user created, with a row per event
+const Analytics = () => {
+  const { user } = useContext(AuthContext);
+  const navigate = useNavigate();
+  const [analytics, setAnalytics] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!user) return;
+    api.get('/analytics', { params: { timezone: getViewerTimeZone() } })
+      .then(response => setAnalytics(response.data))
+      .catch(err => setError(err.response?.data?.message || 'Failed to load analytics'));
+  }, [user]);
+
+  if (!user) {
+    return (
+      <div className="auth-required">
+        <h2>Please login to see your analytics</h2>
+        <button onClick={() => navigate('/login')} className="btn-primary">
+          Go to Login
+        </button>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="auth-required">
+        <h2>{error}</h2>
+      </div>
+    );
+  }
+
+  if (!analytics) {
+    return <div className="loading">Loading analytics...</div>;
+  }
+
+  const { totals } = analytics;
+  const revenue = Object.entries(totals.revenue);
+
+  return (
+    <div className="analytics-container">
+      <h1>Analytics</h1>
+      <p className="analytics-subtitle">All {totals.events} event(s) you created</p>
+
+      <div className="stat-grid">
+        <div className="stat-card">
+          <strong>{totals.fillRate}%</strong>
+          <span>Fill rate ({totals.seatsTaken} / {totals.capacity} seats)</span>
+        </div>
+        <div className="stat-card">
+          <strong>{totals.checkInRate}%</strong>
+          <span>Checked in ({totals.checkedIn} seats)</span>
+        </div>
+        <div className="stat-card">
+          <strong>{totals.views}</strong>
+          <span>Page views</span>
+        </div>
+        <div className="stat-card">
+          <strong>{totals.rsvps}</strong>
+          <span>RSVPs ({totals.conversionRate}% of views)</span>
+        </div>
+        <div className="stat-card">
+          <strong>{totals.cancellations}</strong>
+          <span>Cancellations</span>
+        </div>
+        {revenue.length > 0 && (
+          <div className="stat-card">
+            <strong>{revenue.map(([currency, cents]) => formatPrice(cents, currency)).join(' + ')}</strong>
+            <span>Ticket revenue</span>
+          </div>
+        )}
+      </div>
+
+      <div className="analytics-panel">
+        <h3>Activity Over Time</h3>
+        <ActivityTimeline timeline={analytics.timeline} />
+      </div>
+
+      <SourceBreakdown sources={analytics.sources} referrers={analytics.referrers} />
+
+      <div className="analytics-panel">
+        <h3>Events</h3>
+        {analytics.events.length === 0 ? (
+          <p className="analytics-empty">You haven't created any events yet.</p>
+        ) : (
+          <div className="analytics-scroll">
+            <table className="analytics-table">
+              <thead>
+                <tr>
+                  <th>Event</th>
+                  <th>Date</th>
+                  <th>Fill rate</th>
+                  <th>Checked in</th>
+                  <th>Views</th>
+                  <th>RSVPs</th>
+                  <th>Cancellations</th>
+                </tr>
+              </thead>
+              <tbody>
+                {analytics.events.map(event => (
+                  <tr key={event._id}>
+                    <td><Link to={`/events/${event._id}/analytics`}>{event.title}</Link></td>
+                    <td>{new Date(event.date).toLocaleDateString()}</td>
+                    <td>{event.fillRate}%</td>
+                    <td>{event.checkInRate}%</td>
+                    <td>{event.views}</td>
+                    <td>{event.rsvps}</td>
+                    <td>{event.cancellations}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Analytics;
@@ -0,0 +1,227 @@
+import React, { useState, useEffect, useContext, useCallback, useRef } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import api from '../utils/api';
+import { AuthContext } from '../context/AuthContext';
+import { formatDate } from '../utils/dates';
+import { canManageEvent } from '../utils/permissions';
+import './CheckIn.css';
+
+const STATS_REFRESH_MS = 5000;
+const SCAN_INTERVAL_MS = 500;
+
+// Camera scanning uses the browser's built-in QR detector where available;
+// everywhere else the code can be typed or pasted (most scanner guns type it)
+const canScan = typeof window !== 'undefined' && 'BarcodeDetector' in window &&
+  Boolean(navigator.mediaDevices?.getUserMedia);
+
+const CheckIn = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useContext(AuthContext);
+
+  const [event, setEvent] = useState(null);
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [code, setCode] = useState('');
+  const [result, setResult] = useState(null);
+  const [scanning, setScanning] = useState(false);
+
+  const videoRef = useRef(null);
+  const busyRef = useRef(false);
+
+  useEffect(() => {
+    api.get(`/events/${id}`)
+      .then(response => setEvent(response.data))
+      .catch(() => setEvent(null))
+      .finally(() => setLoading(false));
+  }, [id]);
+
+  const allowed = Boolean(user && event && canManageEvent(user, event, 'events:edit_any', 'checkin'));
+
+  const fetchStats = useCallback(async () => {
+    try {
+      const response = await api.get(`/events/${id}/check-in`);
+      setStats(response.data);
+    } catch (err) {
+      console.error('Failed to fetch check-in stats:', err);
+    }
+  }, [id]);
+
+  // Several people may be checking guests in at once, so keep counts fresh
+  useEffect(() => {
+    if (!allowed) return;
+    fetchStats();
+    const timer = setInterval(fetchStats, STATS_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [allowed, fetchStats]);
+
+  const checkIn = useCallback(async (ticketCode) => {
+    if (busyRef.current) return;
+    busyRef.current = true;
+    try {
+      const response = await api.post(`/events/${id}/check-in`, { code: ticketCode });
+      const { attendee } = response.data;
+      setResult({
+        status: 'success',
+        message: attendee.seats > 1
+          ? `${response.data.message} with ${attendee.seats - 1} guest(s)`
+          : response.data.message
+      });
+      setCode('');
+      fetchStats();
+    } catch (err) {
+      const data = err.response?.data;
+      setResult({
+        status: err.response?.status === 409 ? 'warning' : 'error',
+        message: data?.attendee?.checkedInAt
+          ? `${data.message} (at ${new Date(data.attendee.checkedInAt).toLocaleTimeString()})`
+          : data?.message || 'Check-in failed'
+      });
+    } finally {
+      busyRef.current = false;
+    }
+  }, [id, fetchStats]);
+
+  useEffect(() => {
+    if (!scanning) return;
+
+    let stream;
+    let timer;
+    let lastCode = '';
+    const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+
+    navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } })
+      .then(mediaStream => {
+        stream = mediaStream;
+        videoRef.current.srcObject = stream;
+        videoRef.current.play();
+
+        timer = setInterval(async () => {
+          try {
+            const [found] = await detector.detect(videoRef.current);
+            // The same ticket stays in front of the camera for a while
+            if (found && found.rawValue !== lastCode) {
+              lastCode = found.rawValue;
+              checkIn(found.rawValue);
+            }
+          } catch (err) {
+            // The video isn't ready yet
+          }
+        }, SCAN_INTERVAL_MS);
+      })
+      .catch(() => {
+        alert('Could not access the camera');
+        setScanning(false);
+      });
+
+    return () => {
+      clearInterval(timer);
+      if (stream) stream.getTracks().forEach(track => track.stop());
+    };
+  }, [scanning, checkIn]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (code.trim()) checkIn(code.trim());
+  };
+
+  if (!user) {
+    return (
+      <div className="auth-required">
+        <h2>Please login to check attendees in</h2>
+        <button onClick={() => navigate('/login')} className="btn-primary">
+          Go to Login
+        </button>
+      </div>
+    );
+  }
+
+  if (loading) {
+    return <div className="loading">Loading event details...</div>;
+  }
+
+  if (!event) {
+    return (
+      <div className="auth-required">
+        <h2>Event not found</h2>
+        <Link to="/" className="btn-primary">Back to Events</Link>
+      </div>
+    );
+  }
+
+  if (!allowed) {
+    return (
+      <div className="auth-required">
+        <h2>You are not allowed to check attendees in for this event</h2>
+        <Link to={`/events/${id}`} className="btn-primary">Back to Event</Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="checkin-container">
+      <h1>Check-in: {event.title}</h1>
+      <p className="checkin-date">{formatDate(event)} · {event.location}</p>
+
+      {stats && (
+        <div className="checkin-stats">
+          <div className="checkin-stat">
+            <strong>{stats.checkedIn}</strong>
+            <span>checked in</span>
+          </div>
+          <div className="checkin-stat">
+            <strong>{stats.attending}</strong>
+            <span>seats RSVP'd</span>
+          </div>
+          <div className="checkin-stat">
+            <strong>{stats.attending - stats.checkedIn}</strong>
+            <span>still expected</span>
+          </div>
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="checkin-form">
+        <input
+          type="text"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          placeholder="Scan or paste a ticket code"
+          autoFocus
+        />
+        <button type="submit">Check In</button>
+        {canScan && (
+          <button type="button" onClick={() => setScanning(!scanning)} className="btn-scan">
+            {scanning ? 'Stop Camera' : 'Scan with Camera'}
+          </button>
+        )}
+      </form>
+
+      {scanning && <video ref={videoRef} className="checkin-video" muted playsInline />}
+
+      {result && (
+        <div className={`checkin-result checkin-${result.status}`}>{result.message}</div>
+      )}
+
+      {stats?.recent.length > 0 && (
+        <div className="checkin-recent">
+          <h3>Latest arrivals</h3>
+          <ul>
+            {stats.recent.map(arrival => (
+              <li key={arrival._id || arrival.checkedInAt}>
+                <span>
+                  {arrival.name}
+                  {arrival.seats > 1 && ` +${arrival.seats - 1}`}
+                </span>
+                <small>{new Date(arrival.checkedInAt).toLocaleTimeString()}</small>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <Link to={`/events/${id}`} className="btn-back-link">← Back to event</Link>
+    </div>
+  );
+};
+
+export default CheckIn;
@@ -0,0 +1,103 @@
+import React, { useState, useEffect, useContext, useCallback } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import api from '../utils/api';
+import { AuthContext } from '../context/AuthContext';
+import EventTicket from '../components/EventTicket';
+import './Auth.css';
+
+const POLL_INTERVAL = 3000;
+
+// Where the payment provider sends buyers back to. Confirms the checkout,
+// asking again while the payment is still being processed.
+const CheckoutReturn = () => {
+  const { id, holdId } = useParams();
+  const { user } = useContext(AuthContext);
+  const [status, setStatus] = useState('confirming');
+  const [message, setMessage] = useState('');
+  const [ticket, setTicket] = useState(null);
+
+  const confirm = useCallback(async () => {
+    try {
+      const response = await api.post(`/events/${id}/checkout/${holdId}/confirm`);
+      setMessage(response.data.message);
+      if (response.data.pending) {
+        setStatus('pending');
+      } else {
+        setTicket(response.data.ticket);
+        setStatus('paid');
+      }
+    } catch (err) {
+      setMessage(err.response?.data?.message || 'We could not confirm your payment.');
+      setStatus('failed');
+    }
+  }, [id, holdId]);
+
+  useEffect(() => {
+    if (user && status === 'confirming') {
+      confirm();
+    }
+  }, [user, status, confirm]);
+
+  useEffect(() => {
+    if (status !== 'pending') return;
+    const timer = setTimeout(confirm, POLL_INTERVAL);
+    return () => clearTimeout(timer);
+  }, [status, confirm]);
+
+  const handleCancel = async () => {
+    if (!window.confirm('Cancel this checkout and give up your seats?')) return;
+
+    try {
+      const response = await api.delete(`/events/${id}/checkout/${holdId}`);
+      if (response.data.paid) {
+        // The payment went through after all
+        confirm();
+      } else {
+        setMessage(response.data.message);
+        setStatus('failed');
+      }
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to cancel checkout');
+    }
+  };
+
+  if (!user) {
+    return (
+      <div className="auth-container">
+        <div className="auth-card">
+          <h2>Checkout</h2>
+          <p className="auth-link">
+            Please <Link to="/login">login</Link> to finish your checkout.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h2>Checkout</h2>
+        {status === 'confirming' && <div className="loading">Confirming your payment...</div>}
+        {status === 'pending' && (
+          <>
+            <p className="auth-hint">{message}. This page updates by itself.</p>
+            <button onClick={handleCancel} className="btn-primary">Cancel Checkout</button>
+          </>
+        )}
+        {status === 'paid' && (
+          <>
+            <div className="success-message">{message}</div>
+            {ticket && <EventTicket ticket={ticket} />}
+          </>
+        )}
+        {status === 'failed' && <div className="error-message">{message}</div>}
+        <p className="auth-link">
+          <Link to={`/events/${id}`}>Back to the event</Link>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default CheckoutReturn;
@@ -1,92 +1,58 @@
-import React, { useState, useContext } from 'react';
+import React, { useContext } from 'react';
 import { useNavigate } from 'react-router-dom';
 import api from '../utils/api';
 import { AuthContext } from '../context/AuthContext';
+import EventForm from '../components/EventForm';
+import { serializeTiers } from '../components/TierBuilder';
+import VerifyEmailNotice from '../components/VerifyEmailNotice';
+import { hasPermission } from '../utils/permissions';
 import './CreateEvent.css';
 
 const CreateEvent = () => {
   const { user } = useContext(AuthContext);
   const navigate = useNavigate();
 
-  const [formData, setFormData] = useState({
-    title: '',
-    description: '',
-    date: '',
-    location: '',
-    capacity: '',
-  });
-  const [image, setImage] = useState(null);
-  const [imagePreview, setImagePreview] = useState(null);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState('');
-
-  const handleChange = (e) => {
-    setFormData({
-      ...formData,
-      [e.target.name]: e.target.value
-    });
-  };
-
-  const handleImageChange = (e) => {
-    const file = e.target.files[0];
-    if (file) {
-      if (file.size > 5 * 1024 * 1024) {
-        setError('Image size should be less than 5MB');
-        return;
-      }
-      setImage(file);
-      setImagePreview(URL.createObjectURL(file));
-      setError('');
-    }
-  };
-
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    setError('');
-
-    if (!user) {
-      navigate('/login');
-      return;
+  const handleSubmit = async ({ formData, image }) => {
+    const data = new FormData();
+    data.append('title', formData.title);
+    data.append('description', formData.description);
+    data.append('date', formData.date);
+    data.append('endDate', formData.endDate);
+    data.append('timezone', formData.timezone);
+    data.append('location', formData.location);
+    data.append('capacity', formData.capacity);
+    data.append('maxGuests', formData.maxGuests);
+    data.append('questions', JSON.stringify(formData.questions));
+    data.append('visibility', formData.visibility);
+    data.append('rsvpMode', formData.rsvpMode);
+    data.append('tiers', JSON.stringify(serializeTiers(formData.tiers)));
+    data.append('currency', formData.currency);
+    data.append('category', formData.category);
+    data.append('tags', formData.tags);
+    if (formData.repeat) {
+      data.append('recurrence', JSON.stringify({
+        frequency: formData.repeat,
+        interval: formData.interval,
+        // The last date is inclusive in the event's own time zone
+        until: formData.endsOn === 'until' ? `${formData.until}T23:59:59` : undefined,
+        count: formData.endsOn === 'count' ? formData.count : undefined,
+        exceptions: formData.exceptions
+      }));
     }
-
-    // Validation
-    if (!formData.title || !formData.description || !formData.date || 
-        !formData.location || !formData.capacity) {
-      setError('Please fill in all fields');
-      return;
-    }
-
-    if (parseInt(formData.capacity) < 1) {
-      setError('Capacity must be at least 1');
-      return;
+    if (image) {
+      data.append('image', image);
     }
 
-    setLoading(true);
-
-    try {
-      const data = new FormData();
-      data.append('title', formData.title);
-      data.append('description', formData.description);
-      data.append('date', formData.date);
-      data.append('location', formData.location);
-      data.append('capacity', formData.capacity);
-      if (image) {
-        data.append('image', image);
+    const response = await api.post('/events', data, {
+      headers: {
+        'Content-Type': 'multipart/form-data'
       }
+    });
 
-      const response = await api.post('/events', data, {
-        headers: {
-          'Content-Type': 'multipart/form-data'
-        }
-      });
-
-      alert('Event created successfully!');
-      navigate(`/events/${response.data._id}`);
-    } catch (err) {
-      setError(err.response?.data?.message || 'Failed to create event');
-    } finally {
-      setLoading(false);
-    }
+    alert(response.data.occurrenceCount
+      ? `${response.data.occurrenceCount} event dates created successfully!`
+      : 'Event created successfully!');
+    navigate(`/events/${response.data._id}`);
   };
 
   if (!user) {
@@ -100,113 +66,41 @@ const CreateEvent = () => {
     );
   }
 
+  if (!hasPermission(user, 'events:create')) {
+    return (
+      <div className="auth-required">
+        <h2>Your account can't host events</h2>
+        <button onClick={() => navigate('/')} className="btn-primary">
+          Back to Events
+        </button>
+      </div>
+    );
+  }
+
+  if (!user.emailVerified) {
+    return (
+      <div className="create-event-container">
+        <div className="create-event-card">
+          <h1>Create New Event</h1>
+          <VerifyEmailNotice email={user.email}>
+            Please verify your email address before creating events.
+          </VerifyEmailNotice>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="create-event-container">
       <div className="create-event-card">
         <h1>Create New Event</h1>
-        {error && <div className="error-message">{error}</div>}
-
-        <form onSubmit={handleSubmit}>
-          <div className="form-group">
-            <label>Event Title *</label>
-            <input
-              type="text"
-              name="title"
-              value={formData.title}
-              onChange={handleChange}
-              placeholder="Enter event title"
-              required
-            />
-          </div>
-
-          <div className="form-group">
-            <label>Description *</label>
-            <textarea
-              name="description"
-              value={formData.description}
-              onChange={handleChange}
-              placeholder="Describe your event"
-              rows="5"
-              required
-            />
-          </div>
-
-          <div className="form-row">
-            <div className="form-group">
-              <label>Date & Time *</label>
-              <input
-                type="datetime-local"
-                name="date"
-                value={formData.date}
-                onChange={handleChange}
-                required
-              />
-            </div>
-
-            <div className="form-group">
-              <label>Capacity *</label>
-              <input
-                type="number"
-                name="capacity"
-                value={formData.capacity}
-                onChange={handleChange}
-                placeholder="Maximum attendees"
-                min="1"
-                required
-              />
-            </div>
-          </div>
-
-          <div className="form-group">
-            <label>Location *</label>
-            <input
-              type="text"
-              name="location"
-              value={formData.location}
-              onChange={handleChange}
-              placeholder="Event location"
-              required
-            />
-          </div>
-
-          <div className="form-group">
-            <label>Event Image (Optional)</label>
-            <input
-              type="file"
-              accept="image/*"
-              onChange={handleImageChange}
-              className="file-input"
-            />
-            {imagePreview && (
-              <div className="image-preview">
-                <img src={imagePreview} alt="Preview" />
-                <button 
-                  type="button" 
-                  onClick={() => {
-                    setImage(null);
-                    setImagePreview(null);
-                  }}
-                  className="btn-remove-image"
-                >
-                  Remove Image
-                </button>
-              </div>
-            )}
-          </div>
-
-          <div className="form-actions">
-            <button type="submit" className="btn-submit" disabled={loading}>
-              {loading ? 'Creating...' : 'Create Event'}
-            </button>
-            <button 
-              type="button" 
-              onClick={() => navigate('/')} 
-              className="btn-cancel-form"
-            >
-              Cancel
-            </button>
-          </div>
-        </form>
+        <EventForm
+          submitLabel="Create Event"
+          submittingLabel="Creating..."
+          errorMessage="Failed to create event"
+          allowRecurrence
+          onSubmit={handleSubmit}
+        />
       </div>
     </div>
   );
@@ -0,0 +1,175 @@
+import React, { useState, useEffect, useContext } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import api from '../utils/api';
+import { AuthContext } from '../context/AuthContext';
+import EventForm from '../components/EventForm';
+import { serializeTiers } from '../components/TierBuilder';
+import { toZonedInputValue } from '../utils/dates';
+import { fromCents } from '../utils/money';
+import { canManageEvent } from '../utils/permissions';
+import './CreateEvent.css';
+
+const EditEvent = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useContext(AuthContext);
+
+  const [event, setEvent] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [scope, setScope] = useState('this');
+
+  useEffect(() => {
+    const fetchEvent = async () => {
+      try {
+        const response = await api.get(`/events/${id}`);
+        setEvent(response.data);
+      } catch (err) {
+        setError('Failed to load event details');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchEvent();
+  }, [id]);
+
+  if (!user) {
+    return (
+      <div className="auth-required">
+        <h2>Please login to edit this event</h2>
+        <button onClick={() => navigate('/login')} className="btn-primary">
+          Go to Login
+        </button>
+      </div>
+    );
+  }
+
+  if (loading) {
+    return <div className="loading">Loading event details...</div>;
+  }
+
+  if (error || !event) {
+    return (
+      <div className="auth-required">
+        <h2>Event not found</h2>
+        <Link to="/" className="btn-primary">Back to Events</Link>
+      </div>
+    );
+  }
+
+  if (!canManageEvent(user, event, 'events:edit_any', 'edit')) {
+    return (
+      <div className="auth-required">
+        <h2>Only the event's organizers can edit this event</h2>
+        <Link to={`/events/${id}`} className="btn-primary">Back to Event</Link>
+      </div>
+    );
+  }
+
+  const initialValues = {
+    title: event.title,
+    description: event.description,
+    date: toZonedInputValue(event.date, event.timezone),
+    endDate: event.endDate ? toZonedInputValue(event.endDate, event.timezone) : '',
+    timezone: event.timezone,
+    location: event.location,
+    capacity: String(event.capacity),
+    maxGuests: String(event.maxGuests || 0),
+    questions: event.questions || [],
+    visibility: event.visibility || 'public',
+    rsvpMode: event.rsvpMode || 'instant',
+    tiers: (event.tiers || []).map(tier => ({
+      _id: tier._id,
+      name: tier.name,
+      price: fromCents(tier.price),
+      quantity: String(tier.quantity),
+      salesStart: tier.salesStart ? toZonedInputValue(tier.salesStart, event.timezone) : '',
+      salesEnd: tier.salesEnd ? toZonedInputValue(tier.salesEnd, event.timezone) : ''
+    })),
+    currency: event.currency || 'USD',
+    category: event.category?._id || '',
+    tags: (event.tags || []).join(', '),
+  };
+
+  const handleSubmit = async ({ formData, image, removeImage }) => {
+    // Only send the fields that actually changed. Start, end and ticket sale
+    // dates are wall times in the event's zone, so they are re-sent whenever
+    // the zone changes.
+    const timezoneChanged = formData.timezone !== initialValues.timezone;
+    const data = new FormData();
+    // Questions and tiers are lists, so they are compared and sent as JSON
+    const serialize = (values, field) => {
+      if (field === 'questions') return JSON.stringify(values.questions);
+      if (field === 'tiers') return JSON.stringify(serializeTiers(values.tiers));
+      return values[field];
+    };
+    Object.keys(initialValues).forEach((field) => {
+      const isSchedule = field === 'date' || field === 'endDate' || field === 'tiers';
+      const value = serialize(formData, field);
+      if (value !== serialize(initialValues, field) || (isSchedule && timezoneChanged)) {
+        data.append(field, value);
+      }
+    });
+    if (image) {
+      data.append('image', image);
+    } else if (removeImage) {
+      data.append('removeImage', 'true');
+    }
+    if (event.series) {
+      data.append('scope', scope);
+    }
+
+    await api.put(`/events/${id}`, data, {
+      headers: {
+        'Content-Type': 'multipart/form-data'
+      }
+    });
+
+    alert('Event updated successfully!');
+    navigate(`/events/${id}`);
+  };
+
+  return (
+    <div className="create-event-container">
+      <div className="create-event-card">
+        <h1>Edit Event</h1>
+        {event.series && (
+          <div className="scope-options">
+            <label>
+              <input
+                type="radio"
+                name="scope"
+                value="this"
+                checked={scope === 'this'}
+                onChange={(e) => setScope(e.target.value)}
+              />
+              This occurrence
+            </label>
+            <label>
+              <input
+                type="radio"
+                name="scope"
+                value="future"
+                checked={scope === 'future'}
+                onChange={(e) => setScope(e.target.value)}
+              />
+              This and all future occurrences
+            </label>
+          </div>
+        )}
+        <EventForm
+          initialValues={initialValues}
+          initialImage={event.image ? `http://localhost:5000${event.image}` : ''}
+          submitLabel="Save Changes"
+          submittingLabel="Saving..."
+          errorMessage="Failed to update event"
+          cancelPath={`/events/${id}`}
+          onSubmit={handleSubmit}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default EditEvent;
@@ -0,0 +1,86 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import api from '../utils/api';
+import { formatPrice } from '../utils/money';
+import ActivityTimeline from '../components/ActivityTimeline';
+import SourceBreakdown from '../components/SourceBreakdown';
+import './Analytics.css';
+
+// Analytics dashboard of one event, for its organizers
+const EventAnalytics = () => {
+  const { id } = useParams();
+  const [analytics, setAnalytics] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    api.get(`/analytics/events/${id}`)
+      .then(response => setAnalytics(response.data))
+      .catch(err => setError(err.response?.data?.message || 'Failed to load analytics'));
+  }, [id]);
+
+  if (error) {
+    return (
+      <div className="auth-required">
+        <h2>{error}</h2>
+        <Link to={`/events/${id}`} className="btn-primary">Back to Event</Link>
+      </div>
+    );
+  }
+
+  if (!analytics) {
+    return <div className="loading">Loading analytics...</div>;
+  }
+
+  const { event, totals } = analytics;
+
+  return (
+    <div className="analytics-container">
+      <h1>{event.title}</h1>
+      <p className="analytics-subtitle">
+        <Link to={`/events/${id}`}>View event</Link> · <Link to="/analytics">All your events</Link>
+      </p>
+
+      <div className="stat-grid">
+        <div className="stat-card">
+          <strong>{event.fillRate}%</strong>
+          <span>Fill rate ({event.seatsTaken} / {event.capacity} seats)</span>
+        </div>
+        <div className="stat-card">
+          <strong>{event.checkInRate}%</strong>
+          <span>Checked in ({event.checkedIn} seats)</span>
+        </div>
+        <div className="stat-card">
+          <strong>{totals.views}</strong>
+          <span>Page views</span>
+        </div>
+        <div className="stat-card">
+          <strong>{totals.rsvps}</strong>
+          <span>RSVPs ({totals.conversionRate}% of views)</span>
+        </div>
+        <div className="stat-card">
+          <strong>{totals.cancellations}</strong>
+          <span>Cancellations</span>
+        </div>
+        <div className="stat-card">
+          <strong>{event.waitlist}</strong>
+          <span>On the waitlist ({totals.waitlistJoins} joined)</span>
+        </div>
+        {event.revenue > 0 && (
+          <div className="stat-card">
+            <strong>{formatPrice(event.revenue, event.currency)}</strong>
+            <span>Ticket revenue</span>
+          </div>
+        )}
+      </div>
+
+      <div className="analytics-panel">
+        <h3>Activity Over Time</h3>
+        <ActivityTimeline timeline={analytics.timeline} />
+      </div>
+
+      <SourceBreakdown sources={analytics.sources} referrers={analytics.referrers} />
+    </div>
+  );
+};
+
+export default EventAnalytics;
@@ -1,7 +1,21 @@
-import React, { useState, useEffect, useContext } from 'react';
+import React, { useState, useEffect, useContext, useRef } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import api from '../utils/api';
 import { AuthContext } from '../context/AuthContext';
+import { formatDate } from '../utils/dates';
+import { useLiveAvailability } from '../utils/live';
+import { isEventCreator, findOrganizer, hasPermission, canManageEvent } from '../utils/permissions';
+import EventOrganizers from '../components/EventOrganizers';
+import AttendeeManager from '../components/AttendeeManager';
+import EventTicket from '../components/EventTicket';
+import SeatPicker from '../components/SeatPicker';
+import RegistrationQuestions from '../components/RegistrationQuestions';
+import EventResponses from '../components/EventResponses';
+import EventInvites from '../components/EventInvites';
+import TierPicker from '../components/TierPicker';
+import PromoCodeManager from '../components/PromoCodeManager';
+import { formatPrice } from '../utils/money';
+import { getVisitSource } from '../utils/source';
 import './EventDetail.css';
 
 const EventDetail = () => {
@@ -13,11 +27,29 @@ const EventDetail = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [actionLoading, setActionLoading] = useState(false);
+  const [reminders, setReminders] = useState(null);
+  const [ticket, setTicket] = useState(null);
+  // Seats and answers to RSVP with, or to change an existing RSVP to
+  const [seatChoice, setSeatChoice] = useState({ seats: 1, guestNames: [] });
+  const [answers, setAnswers] = useState({});
+  const [tierId, setTierId] = useState('');
+  const [promoCode, setPromoCode] = useState('');
+  // Price with the promo code applied, from POST /checkout/quote
+  const [quote, setQuote] = useState(null);
+  const [editingRsvp, setEditingRsvp] = useState(false);
 
   useEffect(() => {
     fetchEvent();
   }, [id]);
 
+  // Count one page view per event visited, not per refetch
+  const viewedId = useRef(null);
+  useEffect(() => {
+    if (viewedId.current === id) return;
+    viewedId.current = id;
+    api.post(`/events/${id}/views`, getVisitSource()).catch(() => {});
+  }, [id]);
+
   const fetchEvent = async () => {
     try {
       const response = await api.get(`/events/${id}`);
@@ -29,17 +61,115 @@ const EventDetail = () => {
     }
   };
 
+  // Someone else RSVP'd, cancelled or the organizers changed the event:
+  // reload so counts, the full state and the RSVP button stay current
+  useLiveAvailability((type, data) => {
+    if (data.eventId !== id) return;
+    if (type === 'removed') {
+      setEvent(null);
+    } else {
+      fetchEvent();
+    }
+  });
+
+  const registered = Boolean(user && event && event.attendees.some(attendee =>
+    attendee._id === user.id || attendee === user.id
+  ));
+
+  useEffect(() => {
+    if (!registered) {
+      setReminders(null);
+      setTicket(null);
+      return;
+    }
+    api.get(`/events/${id}/reminders`)
+      .then(response => setReminders(response.data))
+      .catch(() => setReminders(null));
+    api.get(`/events/${id}/ticket`)
+      .then(response => setTicket(response.data))
+      .catch(() => setTicket(null));
+  }, [id, registered]);
+
+  // A quote is only good for the tier and seats it was made for
+  useEffect(() => {
+    setQuote(null);
+  }, [tierId, seatChoice.seats]);
+
+  const handleApplyPromoCode = async () => {
+    try {
+      const response = await api.post(`/events/${id}/checkout/quote`, {
+        tier: tierId,
+        seats: seatChoice.seats,
+        promoCode
+      });
+      setQuote(response.data);
+    } catch (err) {
+      setQuote(null);
+      alert(err.response?.data?.message || 'Failed to apply the promo code');
+    }
+  };
+
+  const handleRemindersChange = async (e) => {
+    try {
+      const response = await api.put(`/events/${id}/reminders`, { enabled: e.target.checked });
+      setReminders(response.data);
+    } catch (err) {
+      alert('Failed to update reminder settings');
+    }
+  };
+
   const handleRSVP = async () => {
     if (!user) {
       navigate('/login');
       return;
     }
 
+    if (event.tiers.length > 0 && !selectedTier) {
+      alert('Please choose a ticket type');
+      return;
+    }
+
     setActionLoading(true);
+
+    // Paid tickets are bought on the payment provider's checkout page, which
+    // sends the buyer back to the checkout page of this app afterwards
+    if (selectedTier && selectedTier.price > 0) {
+      try {
+        const response = await api.post(`/events/${id}/checkout`, {
+          ...seatChoice,
+          answers,
+          tier: tierId,
+          promoCode: promoCode || undefined,
+          ...getVisitSource()
+        });
+        // A promo code can make the ticket free, which needs no payment
+        if (response.data.ticket) {
+          setEvent(response.data.event);
+          alert('RSVP successful!');
+          setActionLoading(false);
+        } else {
+          window.location.href = response.data.checkoutUrl;
+        }
+      } catch (err) {
+        alert(err.response?.data?.message || 'Checkout failed');
+        setActionLoading(false);
+      }
+      return;
+    }
+
     try {
-      const response = await api.post(`/events/${id}/rsvp`);
+      const response = await api.post(`/events/${id}/rsvp`, {
+        ...seatChoice,
+        answers,
+        tier: tierId || undefined,
+        ...getVisitSource()
+      });
       setEvent(response.data.event);
-      alert('RSVP successful!');
+      alert(response.data.pending
+        ? response.data.message
+        : response.data.waitlisted
+          ? `You are #${response.data.position} on the waitlist`
+          : 'RSVP successful!');
     } catch (err) {
       alert(err.response?.data?.message || 'RSVP failed');
     } finally {
@@ -47,12 +177,42 @@ const EventDetail = () => {
     }
   };
 
+  const handleEditRsvp = () => {
+    setSeatChoice({ seats: ticket.seats, guestNames: ticket.guestNames });
+    // Stored answers are lists; text and single choice inputs take one value
+    setAnswers(Object.fromEntries(event.questions.map(question => {
+      const values = ticket.answers[question._id] || [];
+      return [question._id, question.type === 'multiple' ? values : values[0] || ''];
+    })));
+    setEditingRsvp(true);
+  };
+
+  const handleSaveRsvp = async () => {
+    setActionLoading(true);
+    try {
+      const response = await api.put(`/events/${id}/rsvp`, { ...seatChoice, answers });
+      setEvent(response.data.event);
+      setTicket({ ...ticket, ...response.data.rsvp });
+      setEditingRsvp(false);
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to update your RSVP');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
   const handleCancelRSVP = async () => {
+    if (ticket?.amountPaid > 0 && !window.confirm(
+      'Your ticket is not refunded automatically; please contact the organizers about a refund. Cancel your RSVP?'
+    )) {
+      return;
+    }
+
     setActionLoading(true);
     try {
       const response = await api.post(`/events/${id}/cancel-rsvp`);
       setEvent(response.data.event);
-      alert('RSVP cancelled successfully');
+      alert(response.data.message);
     } catch (err) {
       alert(err.response?.data?.message || 'Failed to cancel RSVP');
     } finally {
@@ -60,11 +220,34 @@ const EventDetail = () => {
     }
   };
 
-  const handleDelete = async () => {
-    if (window.confirm('Are you sure you want to delete this event?')) {
+  // scope 'future' also cancels the later dates of a recurring event
+  const handleCancelEvent = async (scope) => {
+    const reason = window.prompt(scope === 'future'
+      ? 'Cancel this date and all future dates? Everyone going will be told. Reason (optional):'
+      : 'Cancel this event? Everyone going will be told. Reason (optional):');
+    if (reason === null) return;
+
+    try {
+      const response = await api.post(`/events/${id}/cancel`, { reason, scope });
+      alert(response.data.message);
+      fetchEvent();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to cancel event');
+    }
+  };
+
+  // scope 'future' also removes the later dates of a recurring event
+  const handleDelete = async (scope) => {
+    const question = scope === 'future'
+      ? 'Delete this date and all future dates of this event? You can restore them from My Events for a while.'
+      : event.series
+        ? 'Delete this date? You can restore it from My Events for a while.'
+        : 'Delete this event? You can restore it from My Events for a while.';
+
+    if (window.confirm(question)) {
       try {
-        await api.delete(`/events/${id}`);
-        alert('Event deleted successfully');
+        const response = await api.delete(`/events/${id}`, { params: { scope } });
+        alert(response.data.message);
         navigate('/');
       } catch (err) {
         alert('Failed to delete event');
@@ -72,32 +255,68 @@ const EventDetail = () => {
     }
   };
 
-  const formatDate = (dateString) => {
-    const options = { 
-      year: 'numeric', 
-      month: 'long', 
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    };
-    return new Date(dateString).toLocaleDateString(undefined, options);
+  // Download through the API so invite-only events send the login token
+  const handleCalendar = async () => {
+    try {
+      const response = await api.get(`/events/${id}/ics`, { responseType: 'blob' });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${event.title}.ics`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      alert('Failed to download the calendar file');
+    }
+  };
+
+  const handleReport = async () => {
+    const reason = window.prompt('What is wrong with this event? The moderators will take a look.');
+    if (!reason || !reason.trim()) return;
+
+    try {
+      const response = await api.post(`/events/${id}/report`, { reason });
+      alert(response.data.message);
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to report event');
+    }
   };
 
-  const isUserRegistered = () => {
-    if (!user || !event) return false;
-    return event.attendees.some(attendee => 
-      attendee._id === user.id || attendee === user.id
-    );
+  const describeRecurrence = ({ frequency, interval }) => {
+    const units = { daily: 'day', weekly: 'week', monthly: 'month' };
+    return interval > 1
+      ? `Repeats every ${interval} ${units[frequency]}s`
+      : `Repeats ${frequency}`;
   };
 
-  const isCreator = () => {
-    if (!user || !event) return false;
-    return event.creator._id === user.id || event.creator === user.id;
+  const isUserRegistered = () => registered;
+
+  // 1-based position on the waitlist, or 0 if the user isn't on it
+  const getWaitlistPosition = () => {
+    if (!user || !event || !event.waitlist) return 0;
+    return event.waitlist.findIndex(waiting =>
+      waiting._id === user.id || waiting === user.id
+    ) + 1;
   };
 
+  const isCreator = () => isEventCreator(user, event);
+
+  // Waiting for the organizers to approve the user's RSVP
+  const requested = Boolean(user && event && event.requests?.includes(user.id));
+
+  // Ticket types, guests or registration questions to fill in when RSVPing
+  const hasRsvpOptions = Boolean(event && !event.cancelledAt &&
+    (event.tiers.length > 0 || event.maxGuests > 0 || event.questions.length > 0));
+
+  const selectedTier = event && event.tiers.find(tier => tier._id === tierId);
+
+  // Seats held for people in the middle of paying count as taken
+  const seatsLeft = event ? Math.max(event.capacity - event.seatsTaken - (event.seatsHeld || 0), 0) : 0;
+
   const isEventFull = () => {
     if (!event) return false;
-    return event.attendees.length >= event.capacity;
+    if (selectedTier) return selectedTier.seatsTaken >= selectedTier.quantity || seatsLeft === 0;
+    return seatsLeft === 0;
   };
 
   if (loading) {
@@ -130,12 +349,54 @@ const EventDetail = () => {
 
         <div className="event-detail-content">
           <h1>{event.title}</h1>
+
+          {event.cancelledAt && (
+            <div className="cancelled-banner">
+              <strong>This event has been cancelled.</strong>
+              {event.cancellationReason && <p>{event.cancellationReason}</p>}
+            </div>
+          )}
           
           <div className="event-meta">
             <span className="meta-item">
               <span className="icon">👤</span>
               Created by: {event.creator.name}
             </span>
+            {event.category && (
+              <span className="meta-item">
+                <span className="icon">🏷️</span>
+                {event.category.name}
+              </span>
+            )}
+            {event.tags?.length > 0 && (
+              <span className="meta-item">
+                {event.tags.map(tag => `#${tag}`).join(' ')}
+              </span>
+            )}
+            {event.visibility === 'unlisted' && (
+              <span className="meta-item">
+                <span className="icon">🔗</span>
+                Unlisted
+              </span>
+            )}
+            {event.visibility === 'invite' && (
+              <span className="meta-item">
+                <span className="icon">🔒</span>
+                Invite-only
+              </span>
+            )}
+            {event.tiers.some(tier => tier.price > 0) && (
+              <span className="meta-item">
+                <span className="icon">💳</span>
+                Paid tickets from {formatPrice(Math.min(...event.tiers.filter(tier => tier.price > 0).map(tier => tier.price)), event.currency)}
+              </span>
+            )}
+            {event.rsvpMode === 'approval' && (
+              <span className="meta-item">
+                <span className="icon">✋</span>
+                RSVPs need approval
+              </span>
+            )}
           </div>
 
           <div className="event-info-grid">
@@ -143,7 +404,10 @@ const EventDetail = () => {
               <span className="icon">📅</span>
               <div>
                 <strong>Date & Time</strong>
-                <p>{formatDate(event.date)}</p>
+                <p>{formatDate(event)}</p>
+                {event.series?.recurrence && (
+                  <p className="recurrence-note">🔁 {describeRecurrence(event.series.recurrence)}</p>
+                )}
               </div>
             </div>
 
@@ -158,8 +422,8 @@ const EventDetail = () => {
             <div className="info-item">
               <span className="icon">👥</span>
               <div>
-                <strong>Attendees</strong>
-                <p>{event.attendees.length} / {event.capacity}</p>
+                <strong>Seats Taken</strong>
+                <p>{event.seatsTaken} / {event.capacity}</p>
               </div>
             </div>
 
@@ -167,17 +431,92 @@ const EventDetail = () => {
               <span className="icon">🎟️</span>
               <div>
                 <strong>Available Spots</strong>
-                <p>{event.capacity - event.attendees.length}</p>
+                <p>{seatsLeft}</p>
               </div>
             </div>
+
+            {event.waitlist?.length > 0 && (
+              <div className="info-item">
+                <span className="icon">⏳</span>
+                <div>
+                  <strong>Waitlist</strong>
+                  <p>{event.waitlist.length} waiting</p>
+                </div>
+              </div>
+            )}
           </div>
 
+          {getWaitlistPosition() > 0 && (
+            <div className="waitlist-notice">
+              You are #{getWaitlistPosition()} on the waitlist. We'll move you to the
+              attendee list automatically when a spot opens up.
+            </div>
+          )}
+
+          {requested && (
+            <div className="waitlist-notice">
+              Your request to join is waiting for the organizers. We'll email you once
+              they have approved or declined it.
+            </div>
+          )}
+
+          {ticket && <EventTicket ticket={ticket} />}
+
+          {ticket && hasRsvpOptions && (
+            <div className="rsvp-seats">
+              {editingRsvp ? (
+                <>
+                  {event.maxGuests > 0 && (
+                    <SeatPicker maxGuests={event.maxGuests} {...seatChoice} onChange={setSeatChoice} />
+                  )}
+                  <RegistrationQuestions
+                    questions={event.questions}
+                    answers={answers}
+                    onChange={setAnswers}
+                  />
+                  <div className="rsvp-seats-actions">
+                    <button onClick={handleSaveRsvp} className="btn-seats" disabled={actionLoading}>
+                      Save
+                    </button>
+                    <button onClick={() => setEditingRsvp(false)} className="btn-seats-cancel">
+                      Cancel
+                    </button>
+                  </div>
+                </>
+              ) : (
+                <>
+                  <span>
+                    Your RSVP: {ticket.seats === 1 ? 'just you' : `you + ${ticket.seats - 1} guest(s)`}
+                    {ticket.guestNames.length > 0 && ` (${ticket.guestNames.join(', ')})`}
+                    {event.questions.length > 0 &&
+                      ` · ${event.questions.filter(question => ticket.answers[question._id]).length} of ${event.questions.length} question(s) answered`}
+                  </span>
+                  <button onClick={handleEditRsvp} className="btn-seats">Change</button>
+                </>
+              )}
+            </div>
+          )}
+
           <div className="event-description-section">
             <h2>About this event</h2>
             <p>{event.description}</p>
           </div>
 
-          {event.attendees.length > 0 && (
+          {canManageEvent(user, event, 'events:edit_any', 'attendees') && event.visibility === 'invite' && (
+            <EventInvites event={event} />
+          )}
+
+          {canManageEvent(user, event, 'events:edit_any', 'edit') && event.tiers.some(tier => tier.price > 0) && (
+            <PromoCodeManager event={event} />
+          )}
+
+          {canManageEvent(user, event, 'events:edit_any', 'attendees') && event.questions.length > 0 && (
+            <EventResponses event={event} />
+          )}
+
+          {canManageEvent(user, event, 'events:edit_any', 'attendees') ? (
+            <AttendeeManager event={event} onChange={fetchEvent} />
+          ) : event.attendees.length > 0 && (
             <div className="attendees-section">
               <h3>Attendees ({event.attendees.length})</h3>
               <div className="attendees-list">
@@ -193,17 +532,118 @@ const EventDetail = () => {
             </div>
           )}
 
+          {(isCreator() || findOrganizer(user, event) || hasPermission(user, 'events:edit_any')) && (
+            <EventOrganizers event={event} user={user} onStepDown={fetchEvent} />
+          )}
+
+          {reminders && (
+            <label className="reminder-toggle">
+              <input
+                type="checkbox"
+                checked={reminders.enabled && reminders.globallyEnabled}
+                disabled={!reminders.globallyEnabled}
+                onChange={handleRemindersChange}
+              />
+              {reminders.globallyEnabled
+                ? 'Email me reminders before this event'
+                : <span>Reminders are turned off in your <Link to="/profile">profile</Link></span>}
+            </label>
+          )}
+
+          {user && !isCreator() && !registered && getWaitlistPosition() === 0 && !requested && hasRsvpOptions && (
+            <div className="rsvp-seats">
+              {event.tiers.length > 0 && (
+                <TierPicker event={event} value={tierId} onChange={setTierId} />
+              )}
+              {event.maxGuests > 0 && (
+                <SeatPicker maxGuests={event.maxGuests} {...seatChoice} onChange={setSeatChoice} />
+              )}
+              {event.hasPromoCodes && selectedTier && selectedTier.price > 0 && (
+                <div className="promo-code-entry">
+                  <input
+                    type="text"
+                    value={promoCode}
+                    onChange={(e) => {
+                      setPromoCode(e.target.value);
+                      setQuote(null);
+                    }}
+                    placeholder="Promo code"
+                  />
+                  <button type="button" onClick={handleApplyPromoCode} className="btn-seats" disabled={!promoCode}>
+                    Apply
+                  </button>
+                  {quote && (
+                    <span className="promo-code-total">
+                      -{formatPrice(quote.discount, event.currency)}
+                    </span>
+                  )}
+                </div>
+              )}
+              <RegistrationQuestions
+                questions={event.questions}
+                answers={answers}
+                onChange={setAnswers}
+              />
+            </div>
+          )}
+
           <div className="event-actions">
-            {isCreator() ? (
+            {canManageEvent(user, event, 'events:edit_any', 'edit') && !event.cancelledAt && (
+              <Link to={`/events/${id}/edit`} className="btn-edit">
+                Edit Event
+              </Link>
+            )}
+            {canManageEvent(user, event, 'events:edit_any', 'checkin') && (
+              <Link to={`/events/${id}/check-in`} className="btn-checkin">
+                Check-in
+              </Link>
+            )}
+            {canManageEvent(user, event, 'events:edit_any', 'attendees') && (
+              <Link to={`/events/${id}/analytics`} className="btn-analytics">
+                Analytics
+              </Link>
+            )}
+            {canManageEvent(user, event, 'audit:view', 'edit') && (
+              <Link to={`/events/${id}/history`} className="btn-analytics">
+                History
+              </Link>
+            )}
+            {canManageEvent(user, event, 'events:delete_any', 'edit') && (
               <>
-                <Link to={`/events/${id}/edit`} className="btn-edit">
-                  Edit Event
-                </Link>
-                <button onClick={handleDelete} className="btn-delete">
-                  Delete Event
-                </button>
+                {event.series ? (
+                  <>
+                    {!event.cancelledAt && (
+                      <>
+                        <button onClick={() => handleCancelEvent('this')} className="btn-delete">
+                          Cancel This Date
+                        </button>
+                        <button onClick={() => handleCancelEvent('future')} className="btn-delete">
+                          Cancel All Future Dates
+                        </button>
+                      </>
+                    )}
+                    <button onClick={() => handleDelete('this')} className="btn-delete">
+                      Delete This Date
+                    </button>
+                    <button onClick={() => handleDelete('future')} className="btn-delete">
+                      Delete All Future Dates
+                    </button>
+                  </>
+                ) : (
+                  <>
+                    {!event.cancelledAt && (
+                      <button onClick={() => handleCancelEvent()} className="btn-delete">
+                        Cancel Event
+                      </button>
+                    )}
+                    <button onClick={() => handleDelete()} className="btn-delete">
+                      Delete Event
+                    </button>
+                  </>
+                )}
               </>
-            ) : (
+            )}
+            {!isCreator() && (
               <>
                 {isUserRegistered() ? (
                   <button 
@@ -213,18 +653,50 @@ const EventDetail = () => {
                   >
                     {actionLoading ? 'Processing...' : 'Cancel RSVP'}
                   </button>
-                ) : (
+                ) : getWaitlistPosition() > 0 ? (
+                  <button 
+                    onClick={handleCancelRSVP} 
+                    className="btn-cancel"
+                    disabled={actionLoading}
+                  >
+                    {actionLoading ? 'Processing...' : 'Leave Waitlist'}
+                  </button>
+                ) : requested ? (
+                  <button
+                    onClick={handleCancelRSVP}
+                    className="btn-cancel"
+                    disabled={actionLoading}
+                  >
+                    {actionLoading ? 'Processing...' : 'Withdraw Request'}
+                  </button>
+                ) : !event.cancelledAt && (
                   <button 
                     onClick={handleRSVP} 
                     className="btn-rsvp"
-                    disabled={actionLoading || isEventFull()}
+                    disabled={actionLoading}
                   >
-                    {actionLoading ? 'Processing...' : isEventFull() ? 'Event Full' : 'RSVP Now'}
+                    {actionLoading
+                      ? 'Processing...'
+                      : event.rsvpMode === 'approval'
+                        ? 'Request to Join'
+                        : selectedTier && selectedTier.price > 0
+                          ? quote && quote.total === 0
+                            ? 'Get Ticket'
+                            : `Buy for ${formatPrice(quote ? quote.total : selectedTier.price * seatChoice.seats, event.currency)}`
+                          : isEventFull() ? 'Join Waitlist' : 'RSVP Now'}
                   </button>
                 )}
               </>
             )}
+            <button onClick={handleCalendar} className="btn-calendar">
+              Add to Calendar
+            </button>
             <Link to="/" className="btn-back">Back to Events</Link>
+            {user && !isCreator() && (
+              <button onClick={handleReport} className="btn-report">
+                Report
+              </button>
+            )}
           </div>
         </div>
       </div>
@@ -0,0 +1,92 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import api from '../utils/api';
+import AuditLogTable, { AUDIT_ACTIONS } from '../components/AuditLogTable';
+import './Admin.css';
+
+// Audit log of one event for its organizers: every change to the event and
+// to people's RSVPs, newest first
+const EventHistory = () => {
+  const { id } = useParams();
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [totalPages, setTotalPages] = useState(0);
+  const [page, setPage] = useState(1);
+  const [action, setAction] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchEntries = async () => {
+      try {
+        const params = { page };
+        if (action) params.action = action;
+
+        const response = await api.get(`/events/${id}/audit`, { params });
+        setEntries(response.data.entries);
+        setTotal(response.data.total);
+        setTotalPages(response.data.totalPages);
+        setError('');
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to load the history');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchEntries();
+  }, [id, action, page]);
+
+  const handleAction = (e) => {
+    setPage(1);
+    setAction(e.target.value);
+  };
+
+  if (error) {
+    return (
+      <div className="auth-required">
+        <h2>{error}</h2>
+        <Link to={`/events/${id}`} className="btn-primary">Back to Event</Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="admin-container">
+      <h1>Event History</h1>
+
+      <div className="admin-toolbar">
+        <Link to={`/events/${id}`} className="btn-admin-search">← Back to Event</Link>
+        <select value={action} onChange={handleAction}>
+          <option value="">All actions</option>
+          {Object.entries(AUDIT_ACTIONS).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {loading ? (
+        <div className="loading">Loading history...</div>
+      ) : (
+        <>
+          <p className="results-count">{total} {total === 1 ? 'entry' : 'entries'}</p>
+          <AuditLogTable entries={entries} />
+
+          {totalPages > 1 && (
+            <div className="pager">
+              <button onClick={() => setPage(page - 1)} disabled={page <= 1}>
+                ← Previous
+              </button>
+              <span>Page {page} of {totalPages}</span>
+              <button onClick={() => setPage(page + 1)} disabled={page >= totalPages}>
+                Next →
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default EventHistory;
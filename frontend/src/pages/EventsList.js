@@ -2,46 +2,147 @@ import React, { useState, useEffect, useContext } from 'react';
 import { Link } from 'react-router-dom';
 import api from '../utils/api';
 import { AuthContext } from '../context/AuthContext';
+import { formatDate } from '../utils/dates';
+import { useLiveAvailability } from '../utils/live';
 import './Events.css';
 
+const defaultFilters = {
+  q: '',
+  when: 'upcoming',
+  from: '',
+  to: '',
+  location: '',
+  available: false,
+  category: '',
+  tag: '',
+  sort: 'date'
+};
+
+// Turn the applied filters into query parameters for the events API
+const buildParams = (query) => {
+  const params = { when: query.when };
+  if (query.q) params.q = query.q;
+  if (query.location) params.location = query.location;
+  if (query.available) params.available = 'true';
+  if (query.category) params.category = query.category;
+  if (query.tag) params.tag = query.tag;
+  if (query.from) params.from = new Date(`${query.from}T00:00`).toISOString();
+  if (query.to) params.to = new Date(`${query.to}T23:59:59`).toISOString();
+  return params;
+};
+
+const headings = {
+  upcoming: 'Upcoming Events',
+  past: 'Past Events',
+  all: 'All Events'
+};
+
 const EventsList = () => {
   const [events, setEvents] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [totalPages, setTotalPages] = useState(0);
+  const [page, setPage] = useState(1);
+  const [facets, setFacets] = useState({ categories: [], tags: [] });
+  // filters holds what is typed in the form, query what was last applied
+  const [filters, setFilters] = useState(defaultFilters);
+  const [query, setQuery] = useState(defaultFilters);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  // Seat counts pushed by the server since the list was loaded, by event id
+  const [live, setLive] = useState({});
   const { user } = useContext(AuthContext);
 
+  useLiveAvailability((type, data) => {
+    if (type === 'availability') {
+      setLive(current => ({ ...current, [data.eventId]: data }));
+    } else if (type === 'removed' && events.some(event => event._id === data.eventId)) {
+      setEvents(current => current.filter(event => event._id !== data.eventId));
+      setTotal(current => current - 1);
+    }
+  });
+
   useEffect(() => {
+    const fetchEvents = async () => {
+      const params = buildParams(query);
+
+      try {
+        const [response, facetsResponse] = await Promise.all([
+          api.get('/events', { params: { ...params, page, sort: query.sort } }),
+          api.get('/events/facets', { params })
+        ]);
+        setEvents(response.data.events);
+        setLive({});
+        setFacets(facetsResponse.data);
+        setTotal(response.data.total);
+        setTotalPages(response.data.totalPages);
+        setError('');
+      } catch (err) {
+        setError('Failed to load events');
+      } finally {
+        setLoading(false);
+      }
+    };
+
     fetchEvents();
-  }, []);
-
-  const fetchEvents = async () => {
-    try {
-      const response = await api.get('/events');
-      setEvents(response.data);
-    } catch (err) {
-      setError('Failed to load events');
-    } finally {
-      setLoading(false);
+  }, [query, page]);
+
+  const applyFilters = (nextFilters) => {
+    setQuery(nextFilters);
+    setPage(1);
+  };
+
+  const handleFilterChange = (e) => {
+    const { name, type, value, checked } = e.target;
+    const nextFilters = {
+      ...filters,
+      [name]: type === 'checkbox' ? checked : value
+    };
+    setFilters(nextFilters);
+
+    // Dropdowns, dates and toggles apply immediately, text fields on submit
+    if (type === 'checkbox' || type === 'date' || e.target.tagName === 'SELECT') {
+      applyFilters(nextFilters);
     }
   };
 
-  const formatDate = (dateString) => {
-    const options = { 
-      year: 'numeric', 
-      month: 'long', 
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
+  const handleSearch = (e) => {
+    e.preventDefault();
+    applyFilters(filters);
+  };
+
+  // Clicking a selected chip again clears that facet
+  const toggleFacet = (name, value) => {
+    const nextFilters = {
+      ...filters,
+      [name]: query[name] === value ? '' : value
     };
-    return new Date(dateString).toLocaleDateString(undefined, options);
+    setFilters(nextFilters);
+    applyFilters(nextFilters);
+  };
+
+  const handleReset = () => {
+    setFilters(defaultFilters);
+    applyFilters(defaultFilters);
+  };
+
+  const isFiltered = JSON.stringify(query) !== JSON.stringify(defaultFilters);
+
+  // Seats held for people in the middle of paying count as taken
+  const getSeatsTaken = (event) => {
+    const current = live[event._id] || event;
+    return current.seatsTaken + (current.seatsHeld || 0);
+  };
+
+  const getCapacity = (event) => {
+    return live[event._id] ? live[event._id].capacity : event.capacity;
   };
 
   const getAvailableSpots = (event) => {
-    return event.capacity - event.attendees.length;
+    return Math.max(getCapacity(event) - getSeatsTaken(event), 0);
   };
 
   const isEventFull = (event) => {
-    return event.attendees.length >= event.capacity;
+    return getSeatsTaken(event) >= getCapacity(event);
   };
 
   const isUserRegistered = (event) => {
@@ -53,84 +154,205 @@ const EventsList = () => {
     return <div className="loading">Loading events...</div>;
   }
 
-  if (error) {
-    return <div className="error-message">{error}</div>;
-  }
-
   return (
     <div className="events-container">
       <div className="events-header">
-        <h1>Upcoming Events</h1>
+        <h1>{headings[query.when]}</h1>
         <p>Discover and join amazing events in your area</p>
       </div>
 
-      {events.length === 0 ? (
-        <div className="no-events">
-          <h2>No events available yet</h2>
-          <p>Be the first to create an event!</p>
-          {user && (
-            <Link to="/create-event" className="btn-primary">
-              Create Event
-            </Link>
+      <form className="events-filters" onSubmit={handleSearch}>
+        <div className="search-row">
+          <input
+            type="search"
+            name="q"
+            value={filters.q}
+            onChange={handleFilterChange}
+            placeholder="Search events..."
+          />
+          <button type="submit" className="btn-search">Search</button>
+        </div>
+
+        <div className="filter-row">
+          <select name="when" value={filters.when} onChange={handleFilterChange}>
+            <option value="upcoming">Upcoming</option>
+            <option value="past">Past</option>
+            <option value="all">All dates</option>
+          </select>
+          <label>
+            From
+            <input type="date" name="from" value={filters.from} onChange={handleFilterChange} />
+          </label>
+          <label>
+            To
+            <input type="date" name="to" value={filters.to} onChange={handleFilterChange} />
+          </label>
+          <input
+            type="text"
+            name="location"
+            value={filters.location}
+            onChange={handleFilterChange}
+            placeholder="Location"
+          />
+          <select name="sort" value={filters.sort} onChange={handleFilterChange}>
+            <option value="date">Soonest first</option>
+            <option value="-date">Latest first</option>
+            <option value="newest">Recently added</option>
+            {filters.q && <option value="relevance">Best match</option>}
+          </select>
+          <label className="filter-checkbox">
+            <input
+              type="checkbox"
+              name="available"
+              checked={filters.available}
+              onChange={handleFilterChange}
+            />
+            Has spots available
+          </label>
+          {isFiltered && (
+            <button type="button" onClick={handleReset} className="btn-reset">
+              Clear filters
+            </button>
           )}
         </div>
+      </form>
+
+      {(facets.categories.length > 0 || facets.tags.length > 0) && (
+        <div className="facets">
+          {facets.categories.map(category => (
+            <button
+              key={category._id}
+              className={`chip chip-category ${query.category === category._id ? 'active' : ''}`}
+              onClick={() => toggleFacet('category', category._id)}
+            >
+              {category.name} ({category.count})
+            </button>
+          ))}
+          {facets.tags.map(({ tag, count }) => (
+            <button
+              key={tag}
+              className={`chip chip-tag ${query.tag === tag ? 'active' : ''}`}
+              onClick={() => toggleFacet('tag', tag)}
+            >
+              #{tag} ({count})
+            </button>
+          ))}
+        </div>
+      )}
+
+      {error ? (
+        <div className="error-message">{error}</div>
+      ) : events.length === 0 ? (
+        isFiltered ? (
+          <div className="no-events">
+            <h2>No events match your search</h2>
+            <p>Try different keywords or clear the filters.</p>
+          </div>
+        ) : (
+          <div className="no-events">
+            <h2>No events available yet</h2>
+            <p>Be the first to create an event!</p>
+            {user && (
+              <Link to="/create-event" className="btn-primary">
+                Create Event
+              </Link>
+            )}
+          </div>
+        )
       ) : (
-        <div className="events-grid">
-          {events.map((event) => (
-            <div key={event._id} className="event-card">
-              {event.image && (
-                <div className="event-image">
-                  <img 
-                    src={`http://localhost:5000${event.image}`} 
-                    alt={event.title}
-                    onError={(e) => {
-                      e.target.src = 'https://via.placeholder.com/400x200?text=Event+Image';
-                    }}
-                  />
-                </div>
-              )}
-              <div className="event-content">
-                <h3>{event.title}</h3>
-                <p className="event-description">{event.description}</p>
-                
-                <div className="event-details">
-                  <div className="event-detail-item">
-                    <span className="icon">📅</span>
-                    <span>{formatDate(event.date)}</span>
-                  </div>
-                  <div className="event-detail-item">
-                    <span className="icon">📍</span>
-                    <span>{event.location}</span>
+        <>
+          <p className="results-count">{total} event{total === 1 ? '' : 's'} found</p>
+          <div className="events-grid">
+            {events.map((event) => (
+              <div key={event._id} className="event-card">
+                {event.image && (
+                  <div className="event-image">
+                    <img 
+                      src={`http://localhost:5000${event.image}`} 
+                      alt={event.title}
+                      onError={(e) => {
+                        e.target.src = 'https://via.placeholder.com/400x200?text=Event+Image';
+                      }}
+                    />
                   </div>
-                  <div className="event-detail-item">
-                    <span className="icon">👥</span>
-                    <span>
-                      {event.attendees.length} / {event.capacity} attendees
-                    </span>
+                )}
+                <div className="event-content">
+                  {event.category && (
+                    <button
+                      className={`chip chip-category ${query.category === event.category._id ? 'active' : ''}`}
+                      onClick={() => toggleFacet('category', event.category._id)}
+                    >
+                      {event.category.name}
+                    </button>
+                  )}
+                  <h3>{event.title}</h3>
+                  <p className="event-description">{event.description}</p>
+                
+                  <div className="event-details">
+                    <div className="event-detail-item">
+                      <span className="icon">📅</span>
+                      <span>{formatDate(event)}</span>
+                    </div>
+                    <div className="event-detail-item">
+                      <span className="icon">📍</span>
+                      <span>{event.location}</span>
+                    </div>
+                    <div className="event-detail-item">
+                      <span className="icon">👥</span>
+                      <span>
+                        {getSeatsTaken(event)} / {getCapacity(event)} seats taken
+                      </span>
+                    </div>
                   </div>
-                </div>
 
-                <div className="event-footer">
-                  {isEventFull(event) ? (
-                    <span className="badge badge-full">Event Full</span>
-                  ) : (
-                    <span className="badge badge-available">
-                      {getAvailableSpots(event)} spots left
-                    </span>
+                  {event.tags?.length > 0 && (
+                    <div className="event-tags">
+                      {event.tags.map(tag => (
+                        <button
+                          key={tag}
+                          className={`chip chip-tag ${query.tag === tag ? 'active' : ''}`}
+                          onClick={() => toggleFacet('tag', tag)}
+                        >
+                          #{tag}
+                        </button>
+                      ))}
+                    </div>
                   )}
+
+                  <div className="event-footer">
+                    {isEventFull(event) ? (
+                      <span className="badge badge-full">Event Full</span>
+                    ) : (
+                      <span className="badge badge-available">
+                        {getAvailableSpots(event)} spots left
+                      </span>
+                    )}
                   
-                  {isUserRegistered(event) && (
-                    <span className="badge badge-registered">✓ Registered</span>
-                  )}
-                </div>
+                    {isUserRegistered(event) && (
+                      <span className="badge badge-registered">✓ Registered</span>
+                    )}
+                  </div>
 
-                <Link to={`/events/${event._id}`} className="btn-view">
-                  View Details
-                </Link>
+                  <Link to={`/events/${event._id}`} className="btn-view">
+                    View Details
+                  </Link>
+                </div>
               </div>
+            ))}
+          </div>
+
+          {totalPages > 1 && (
+            <div className="pager">
+              <button onClick={() => setPage(page - 1)} disabled={page <= 1}>
+                ← Previous
+              </button>
+              <span>Page {page} of {totalPages}</span>
+              <button onClick={() => setPage(page + 1)} disabled={page >= totalPages}>
+                Next →
+              </button>
             </div>
-          ))}
-        </div>
+          )}
+        </>
       )}
     </div>
   );
@@ -0,0 +1,69 @@
+import React, { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import api from '../utils/api';
+import { formatPrice } from '../utils/money';
+import './Auth.css';
+
+// Checkout page of the offline 'fake' payment provider, for trying paid
+// tickets in development. Nothing is charged.
+const FakePay = () => {
+  const { paymentId } = useParams();
+  const [payment, setPayment] = useState(null);
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    api.get(`/payments/fake/${paymentId}`)
+      .then(response => setPayment(response.data))
+      .catch(err => setError(err.response?.data?.message || 'Payment not found'));
+  }, [paymentId]);
+
+  const handleOutcome = async (outcome) => {
+    setSubmitting(true);
+    try {
+      const response = await api.post(`/payments/fake/${paymentId}`, { outcome });
+      window.location.href = response.data.returnUrl;
+    } catch (err) {
+      setError(err.response?.data?.message || 'Payment failed');
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h2>Test Payment</h2>
+        {error && <div className="error-message">{error}</div>}
+        {!payment && !error && <div className="loading">Loading payment...</div>}
+        {payment && (
+          <>
+            <p className="auth-hint">
+              {payment.description}
+              <br />
+              <strong>{formatPrice(payment.amount, payment.currency)}</strong>
+            </p>
+            {payment.status === 'pending' ? (
+              <div className="fake-pay-actions">
+                <button onClick={() => handleOutcome('pay')} className="btn-primary" disabled={submitting}>
+                  Pay
+                </button>
+                <button onClick={() => handleOutcome('decline')} className="btn-primary" disabled={submitting}>
+                  Decline
+                </button>
+              </div>
+            ) : (
+              <p className="auth-hint">
+                This payment is already {payment.status}. <a href={payment.returnUrl}>Back to checkout</a>
+              </p>
+            )}
+          </>
+        )}
+        <p className="auth-link">
+          This is the development payment provider. No money is charged.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default FakePay;
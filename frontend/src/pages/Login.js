@@ -57,6 +57,9 @@ const Login = () => {
             {loading ? 'Logging in...' : 'Login'}
           </button>
         </form>
+        <p className="auth-link">
+          <Link to="/forgot-password">Forgot your password?</Link>
+        </p>
         <p className="auth-link">
           Don't have an account? <Link to="/register">Register here</Link>
         </p>
@@ -2,13 +2,24 @@ import React, { useState, useEffect, useContext } from 'react';
 import { Link } from 'react-router-dom';
 import api from '../utils/api';
 import { AuthContext } from '../context/AuthContext';
+import { formatDate } from '../utils/dates';
+import { isEventCreator, canManageEvent } from '../utils/permissions';
+import EventTicket from '../components/EventTicket';
 import './MyEvents.css';
 
 const MyEvents = () => {
   const { user } = useContext(AuthContext);
   const [createdEvents, setCreatedEvents] = useState([]);
   const [attendingEvents, setAttendingEvents] = useState([]);
+  const [waitlistedEvents, setWaitlistedEvents] = useState([]);
+  const [requestedEvents, setRequestedEvents] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  // Deleted events that can still be restored
+  const [deletedEvents, setDeletedEvents] = useState([]);
+  const [feedUrl, setFeedUrl] = useState('');
   const [activeTab, setActiveTab] = useState('created');
+  // Tickets shown on the attending tab, by event id
+  const [tickets, setTickets] = useState({});
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -19,12 +30,22 @@ const MyEvents = () => {
 
   const fetchMyEvents = async () => {
     try {
-      const [created, attending] = await Promise.all([
+      const [created, attending, waitlisted, requested, feed, invited, deleted] = await Promise.all([
         api.get('/events/user/created'),
-        api.get('/events/user/attending')
+        api.get('/events/user/attending'),
+        api.get('/events/user/waitlisted'),
+        api.get('/events/user/requested'),
+        api.get('/events/user/calendar-feed'),
+        api.get('/events/user/invitations'),
+        api.get('/events/user/deleted')
       ]);
       setCreatedEvents(created.data);
+      setInvitations(invited.data);
       setAttendingEvents(attending.data);
+      setWaitlistedEvents(waitlisted.data);
+      setRequestedEvents(requested.data);
+      setDeletedEvents(deleted.data);
+      setFeedUrl(feed.data.url);
     } catch (err) {
       console.error('Failed to fetch events:', err);
     } finally {
@@ -32,15 +53,60 @@ const MyEvents = () => {
     }
   };
 
-  const formatDate = (dateString) => {
-    const options = { 
-      year: 'numeric', 
-      month: 'long', 
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    };
-    return new Date(dateString).toLocaleDateString(undefined, options);
+  // answer is 'accept' or 'decline'
+  const handleInvitation = async (event, answer) => {
+    try {
+      const response = await api.post(`/events/${event._id}/organizers/${answer}`);
+      alert(response.data.message);
+      fetchMyEvents();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to answer invitation');
+    }
+  };
+
+  const handleRestore = async (event) => {
+    try {
+      const response = await api.post(`/events/${event._id}/restore`);
+      alert(response.data.message);
+      fetchMyEvents();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to restore event');
+    }
+  };
+
+  const handleToggleTicket = async (event) => {
+    if (tickets[event._id]) {
+      const { [event._id]: hidden, ...rest } = tickets;
+      setTickets(rest);
+      return;
+    }
+    try {
+      const response = await api.get(`/events/${event._id}/ticket`);
+      setTickets({ ...tickets, [event._id]: response.data });
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to load your ticket');
+    }
+  };
+
+  const handleCopyFeedUrl = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl);
+      alert('Calendar feed URL copied');
+    } catch (err) {
+      alert('Could not copy automatically, please copy the URL manually');
+    }
+  };
+
+  const handleResetFeedUrl = async () => {
+    if (!window.confirm('Reset your calendar feed URL? Existing subscriptions will stop updating.')) {
+      return;
+    }
+    try {
+      const response = await api.post('/events/user/calendar-feed/reset');
+      setFeedUrl(response.data.url);
+    } catch (err) {
+      alert('Failed to reset calendar feed URL');
+    }
   };
 
   if (!user) {
@@ -56,12 +122,70 @@ const MyEvents = () => {
     return <div className="loading">Loading your events...</div>;
   }
 
-  const displayEvents = activeTab === 'created' ? createdEvents : attendingEvents;
+  const getWaitlistPosition = (event) => {
+    return event.waitlist.findIndex(waiting => waiting === user.id) + 1;
+  };
+
+  const tabEvents = {
+    created: createdEvents,
+    attending: attendingEvents,
+    waitlisted: waitlistedEvents,
+    requested: requestedEvents,
+    deleted: deletedEvents
+  };
+  const emptyMessages = {
+    created: "You haven't created any events yet.",
+    attending: "You haven't RSVP'd to any events yet.",
+    waitlisted: "You aren't on any waitlists.",
+    requested: "You aren't waiting for approval for any events.",
+    deleted: 'There are no deleted events to restore.'
+  };
+  const displayEvents = tabEvents[activeTab];
 
   return (
     <div className="my-events-container">
       <h1>My Events</h1>
 
+      {feedUrl && (
+        <div className="calendar-feed">
+          <strong>📅 Calendar subscription</strong>
+          <p>Subscribe to this URL in your calendar app to see every event you created or are attending.</p>
+          <div className="calendar-feed-row">
+            <input type="text" value={feedUrl} readOnly onFocus={(e) => e.target.select()} />
+            <button onClick={handleCopyFeedUrl} className="btn-feed">Copy</button>
+            <button onClick={handleResetFeedUrl} className="btn-feed btn-feed-reset">Reset</button>
+          </div>
+        </div>
+      )}
+
+      {invitations.length > 0 && (
+        <div className="invitations">
+          <strong>✉️ Co-organizer invitations</strong>
+          {invitations.map(event => (
+            <div key={event._id} className="invitation-row">
+              <span>
+                <Link to={`/events/${event._id}`}>{event.title}</Link> by {event.creator.name}
+                <small>{formatDate(event)}</small>
+              </span>
+              <div className="invitation-actions">
+                <button onClick={() => handleInvitation(event, 'accept')} className="btn-feed">
+                  Accept
+                </button>
+                <button onClick={() => handleInvitation(event, 'decline')} className="btn-feed btn-feed-reset">
+                  Decline
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {createdEvents.some(event => isEventCreator(user, event)) && (
+        <p className="analytics-link">
+          📊 <Link to="/analytics">Analytics across all your events</Link>
+        </p>
+      )}
+
       <div className="tabs">
         <button
           className={`tab ${activeTab === 'created' ? 'active' : ''}`}
@@ -75,17 +199,33 @@ const MyEvents = () => {
         >
           Attending Events ({attendingEvents.length})
         </button>
+        <button
+          className={`tab ${activeTab === 'waitlisted' ? 'active' : ''}`}
+          onClick={() => setActiveTab('waitlisted')}
+        >
+          Waitlisted ({waitlistedEvents.length})
+        </button>
+        <button
+          className={`tab ${activeTab === 'requested' ? 'active' : ''}`}
+          onClick={() => setActiveTab('requested')}
+        >
+          Awaiting Approval ({requestedEvents.length})
+        </button>
+        {deletedEvents.length > 0 && (
+          <button
+            className={`tab ${activeTab === 'deleted' ? 'active' : ''}`}
+            onClick={() => setActiveTab('deleted')}
+          >
+            Deleted ({deletedEvents.length})
+          </button>
+        )}
       </div>
 
       <div className="events-content">
         {displayEvents.length === 0 ? (
           <div className="no-events">
             <h2>No events found</h2>
-            <p>
-              {activeTab === 'created' 
-                ? "You haven't created any events yet."
-                : "You haven't RSVP'd to any events yet."}
-            </p>
+            <p>{emptyMessages[activeTab]}</p>
             <Link to={activeTab === 'created' ? '/create-event' : '/'} className="btn-primary">
               {activeTab === 'created' ? 'Create Event' : 'Browse Events'}
             </Link>
@@ -107,12 +247,18 @@ const MyEvents = () => {
                 )}
                 <div className="event-content">
                   <h3>{event.title}</h3>
+                  {activeTab === 'created' && !isEventCreator(user, event) && (
+                    <span className="badge-co-organizer">Co-organizer</span>
+                  )}
+                  {event.cancelledAt && (
+                    <span className="badge-cancelled">Cancelled</span>
+                  )}
                   <p className="event-description">{event.description}</p>
                   
                   <div className="event-details">
                     <div className="event-detail-item">
                       <span className="icon">📅</span>
-                      <span>{formatDate(event.date)}</span>
+                      <span>{formatDate(event)}</span>
                     </div>
                     <div className="event-detail-item">
                       <span className="icon">📍</span>
@@ -121,14 +267,47 @@ const MyEvents = () => {
                     <div className="event-detail-item">
                       <span className="icon">👥</span>
                       <span>
-                        {event.attendees.length} / {event.capacity} attendees
+                        {event.seatsTaken} / {event.capacity} seats taken
+                        {activeTab === 'created' && ` (${Math.round((event.seatsTaken / event.capacity) * 100)}% full)`}
                       </span>
                     </div>
+                    {activeTab === 'deleted' && (
+                      <div className="event-detail-item">
+                        <span className="icon">🗑️</span>
+                        <span>Deleted for good on {new Date(event.purgeAt).toLocaleDateString()}</span>
+                      </div>
+                    )}
+                    {activeTab === 'waitlisted' && (
+                      <div className="event-detail-item">
+                        <span className="icon">⏳</span>
+                        <span>#{getWaitlistPosition(event)} on the waitlist</span>
+                      </div>
+                    )}
                   </div>
 
-                  <Link to={`/events/${event._id}`} className="btn-view">
-                    View Details
-                  </Link>
+                  {activeTab === 'attending' && tickets[event._id] && (
+                    <EventTicket ticket={tickets[event._id]} />
+                  )}
+
+                  {activeTab === 'deleted' ? (
+                    <button onClick={() => handleRestore(event)} className="btn-view">
+                      Restore
+                    </button>
+                  ) : (
+                    <Link to={`/events/${event._id}`} className="btn-view">
+                      View Details
+                    </Link>
+                  )}
+                  {activeTab === 'created' && canManageEvent(user, event, 'events:edit_any', 'attendees') && (
+                    <Link to={`/events/${event._id}/analytics`} className="btn-ticket btn-ticket-link">
+                      Analytics
+                    </Link>
+                  )}
+                  {activeTab === 'attending' && (
+                    <button onClick={() => handleToggleTicket(event)} className="btn-ticket">
+                      {tickets[event._id] ? 'Hide Ticket' : 'Show Ticket'}
+                    </button>
+                  )}
                 </div>
               </div>
             ))}
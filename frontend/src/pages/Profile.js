@@ -0,0 +1,121 @@
+import React, { useState, useEffect, useContext } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import api from '../utils/api';
+import { AuthContext } from '../context/AuthContext';
+import VerifyEmailNotice from '../components/VerifyEmailNotice';
+import './Profile.css';
+
+const Profile = () => {
+  const { user, logoutAll } = useContext(AuthContext);
+  const navigate = useNavigate();
+  const [profile, setProfile] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!user) return;
+
+    const fetchProfile = async () => {
+      try {
+        const response = await api.get('/auth/me');
+        setProfile(response.data);
+      } catch (err) {
+        console.error('Failed to fetch profile:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchProfile();
+  }, [user]);
+
+  const handleRemindersChange = async (e) => {
+    setSaving(true);
+    try {
+      const response = await api.put('/auth/preferences', {
+        remindersEnabled: e.target.checked
+      });
+      setProfile(response.data);
+    } catch (err) {
+      alert('Failed to update preferences');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    if (!window.confirm('Log out of EventPlatform on every device, including this one?')) {
+      return;
+    }
+
+    try {
+      await logoutAll();
+      navigate('/login');
+    } catch (err) {
+      alert('Failed to log out of other devices');
+    }
+  };
+
+  if (!user) {
+    return (
+      <div className="auth-required">
+        <h2>Please login to view your profile</h2>
+        <Link to="/login" className="btn-primary">Go to Login</Link>
+      </div>
+    );
+  }
+
+  if (loading) {
+    return <div className="loading">Loading your profile...</div>;
+  }
+
+  if (!profile) {
+    return <div className="error-message">Failed to load profile</div>;
+  }
+
+  return (
+    <div className="profile-container">
+      <div className="profile-card">
+        <div className="profile-header">
+          <span className="profile-avatar">{profile.name.charAt(0).toUpperCase()}</span>
+          <div>
+            <h1>{profile.name}</h1>
+            <p>{profile.email}</p>
+          </div>
+        </div>
+
+        {!profile.emailVerified && <VerifyEmailNotice email={profile.email} />}
+
+        <div className="profile-section">
+          <h2>Notifications</h2>
+          <label className="toggle-row">
+            <input
+              type="checkbox"
+              checked={profile.remindersEnabled}
+              onChange={handleRemindersChange}
+              disabled={saving}
+            />
+            <span>
+              <strong>Event reminders</strong>
+              <small>Email me before events I'm attending start. You can also mute single events from their page.</small>
+            </span>
+          </label>
+        </div>
+
+        <div className="profile-section">
+          <h2>Security</h2>
+          <p className="profile-hint">
+            Signed in somewhere you no longer use? End every session at once.
+          </p>
+          <button onClick={handleLogoutAll} className="btn-logout-all">
+            Log Out All Devices
+          </button>
+        </div>
+
+        <Link to="/my-events" className="btn-primary">Go to My Events</Link>
+      </div>
+    </div>
+  );
+};
+
+export default Profile;
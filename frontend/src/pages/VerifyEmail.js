@@ -0,0 +1,57 @@
+import React, { useState, useEffect, useContext, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import api from '../utils/api';
+import { AuthContext } from '../context/AuthContext';
+import './Auth.css';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState('verifying');
+  const [message, setMessage] = useState('');
+  const { refreshUser } = useContext(AuthContext);
+  // Tokens are single-use, so make sure the request is only sent once
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (requested.current) return;
+    requested.current = true;
+
+    const verify = async () => {
+      try {
+        const response = await api.post('/auth/verify-email', { token });
+        setMessage(response.data.message);
+        setStatus('verified');
+        refreshUser();
+      } catch (err) {
+        setMessage(err.response?.data?.message || 'Verification failed. Please try again.');
+        setStatus('failed');
+      }
+    };
+
+    verify();
+  }, [token, refreshUser]);
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h2>Email Verification</h2>
+        {status === 'verifying' && <div className="loading">Verifying your email...</div>}
+        {status === 'verified' && <div className="success-message">{message}</div>}
+        {status === 'failed' && <div className="error-message">{message}</div>}
+        {status === 'verified' && (
+          <p className="auth-link">
+            You can now <Link to="/create-event">create events</Link>.
+          </p>
+        )}
+        {status === 'failed' && (
+          <p className="auth-link">
+            Need a new link? Resend it from your <Link to="/profile">profile</Link>.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
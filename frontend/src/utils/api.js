@@ -15,4 +15,62 @@ api.interceptors.request.use((config) => {
   return config;
 });
 
-export default api;
\ No newline at end of file
+export const clearTokens = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+};
+
+// Shared between concurrent 401s so the refresh token is only spent once
+let refreshPromise = null;
+
+const refreshTokens = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    // A bare axios call so this request doesn't go through the interceptors
+    refreshPromise = axios.post(`${API_URL}/auth/refresh`, { refreshToken })
+      .then((response) => {
+        localStorage.setItem('token', response.data.token);
+        localStorage.setItem('refreshToken', response.data.refreshToken);
+        return response.data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// When the access token has expired, refresh it and retry the request once
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const original = error.config;
+
+    // A suspended account can't do anything; drop the session right away
+    if (error.response?.status === 403 && error.response.data?.suspended) {
+      clearTokens();
+      window.dispatchEvent(new Event('auth:logout'));
+      return Promise.reject(error);
+    }
+    const isAuthRequest = /\/auth\/(login|register|refresh)$/.test(original?.url || '');
+
+    if (error.response?.status !== 401 || !original || original._retry || isAuthRequest ||
+        !localStorage.getItem('refreshToken')) {
+      return Promise.reject(error);
+    }
+
+    original._retry = true;
+    try {
+      const token = await refreshTokens();
+      original.headers.Authorization = `Bearer ${token}`;
+      return api(original);
+    } catch (refreshError) {
+      // The session is gone; let AuthContext drop the logged-in user
+      clearTokens();
+      window.dispatchEvent(new Event('auth:logout'));
+      return Promise.reject(error);
+    }
+  }
+);
+
+export default api;
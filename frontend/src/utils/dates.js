@@ -0,0 +1,72 @@
+// Date helpers for events, which are stored as UTC instants plus an IANA time zone
+
+export const getViewerTimeZone = () => {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+};
+
+export const getTimeZones = () => {
+  if (typeof Intl.supportedValuesOf === 'function') {
+    return Intl.supportedValuesOf('timeZone');
+  }
+  return [...new Set(['UTC', getViewerTimeZone()])];
+};
+
+const formatDay = (dateString, timeZone) => {
+  return new Date(dateString).toLocaleDateString(undefined, {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone
+  });
+};
+
+const formatTime = (dateString, timeZone, withZoneName) => {
+  return new Date(dateString).toLocaleTimeString(undefined, {
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZone,
+    ...(withZoneName && { timeZoneName: 'short' })
+  });
+};
+
+// "May 1, 2026, 09:30 AM – 11:00 AM GMT+2" (the end day is repeated if it differs)
+const formatRange = (start, end, timeZone) => {
+  const startDay = formatDay(start, timeZone);
+  if (!end) {
+    return `${startDay}, ${formatTime(start, timeZone, true)}`;
+  }
+
+  const endDay = formatDay(end, timeZone);
+  const endText = endDay === startDay
+    ? formatTime(end, timeZone, true)
+    : `${endDay}, ${formatTime(end, timeZone, true)}`;
+  return `${startDay}, ${formatTime(start, timeZone, false)} – ${endText}`;
+};
+
+// Event time in the event's own zone, followed by the viewer's local time
+// when that reads differently
+export const formatDate = (event) => {
+  const eventTime = formatRange(event.date, event.endDate, event.timezone || 'UTC');
+  const localTime = formatRange(event.date, event.endDate, getViewerTimeZone());
+
+  return localTime === eventTime
+    ? eventTime
+    : `${eventTime} (${localTime} your time)`;
+};
+
+// Value for a datetime-local input showing the instant as wall time in timeZone
+export const toZonedInputValue = (dateString, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(new Date(dateString));
+
+  const values = {};
+  parts.forEach(part => { values[part.type] = part.value; });
+  return `${values.year}-${values.month}-${values.day}T${values.hour}:${values.minute}`;
+};
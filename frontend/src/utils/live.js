@@ -0,0 +1,43 @@
+import { useEffect, useRef } from 'react';
+import api from './api';
+
+// One EventSource shared by every page that wants live seat availability.
+// It is opened by the first subscriber and closed when the last one leaves;
+// the browser reconnects on its own if the connection drops.
+const listeners = new Set();
+let source = null;
+
+const forward = (type) => (message) => {
+  const data = JSON.parse(message.data);
+  listeners.forEach(listener => listener(type, data));
+};
+
+const connect = () => {
+  source = new EventSource(`${api.defaults.baseURL}/events/live`);
+  source.addEventListener('availability', forward('availability'));
+  source.addEventListener('removed', forward('removed'));
+};
+
+// onMessage(type, data) is called with type 'availability'
+// ({ eventId, seatsTaken, seatsHeld, waitlist, capacity }) or 'removed' ({ eventId })
+export const useLiveAvailability = (onMessage) => {
+  const handler = useRef(onMessage);
+
+  useEffect(() => {
+    handler.current = onMessage;
+  });
+
+  useEffect(() => {
+    const listener = (type, data) => handler.current(type, data);
+    listeners.add(listener);
+    if (!source) connect();
+
+    return () => {
+      listeners.delete(listener);
+      if (listeners.size === 0) {
+        source.close();
+        source = null;
+      }
+    };
+  }, []);
+};
@@ -0,0 +1,18 @@
+// Prices are stored in the smallest currency unit (cents)
+
+// "$12.50", in the viewer's locale
+export const formatPrice = (cents, currency = 'USD') => {
+  if (!cents) return 'Free';
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(cents / 100);
+  } catch (err) {
+    // Unknown currency code
+    return `${(cents / 100).toFixed(2)} ${currency}`;
+  }
+};
+
+// Whole cents for a price typed in currency units, e.g. "12.5" -> 1250
+export const toCents = (value) => Math.round(Number(value || 0) * 100);
+
+// Price for an input in currency units, e.g. 1250 -> "12.50"
+export const fromCents = (cents) => (cents / 100).toFixed(2);
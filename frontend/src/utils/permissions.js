@@ -0,0 +1,59 @@
+// Mirrors backend/utils/permissions.js so the UI only offers what the API allows
+export const ROLES = ['user', 'organizer', 'moderator', 'admin'];
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  organizer: ['events:create'],
+  moderator: ['events:edit_any', 'events:delete_any', 'reports:review'],
+  admin: ['users:manage', 'categories:manage', 'stats:view', 'audit:view']
+};
+
+export const hasPermission = (user, permission) => {
+  if (!user) return false;
+  return ROLES
+    .slice(0, ROLES.indexOf(user.role) + 1)
+    .some(role => ROLE_PERMISSIONS[role].includes(permission));
+};
+
+// What co-organizers can be allowed to do (see backend/utils/permissions.js)
+export const ORGANIZER_PERMISSIONS = [
+  { key: 'edit', label: 'Edit details' },
+  { key: 'attendees', label: 'Manage attendees' },
+  { key: 'checkin', label: 'Check-in only' }
+];
+
+const IMPLIED_ORGANIZER_PERMISSIONS = {
+  attendees: ['checkin']
+};
+
+const idOf = (value) => (value && value._id) || value;
+
+export const isEventCreator = (user, event) => {
+  if (!user || !event) return false;
+  return idOf(event.creator) === user.id;
+};
+
+// The user's accepted co-organizer entry on the event, if any
+export const findOrganizer = (user, event) => {
+  if (!user || !event || !event.organizers) return null;
+  return event.organizers.find(organizer =>
+    organizer.status === 'accepted' && idOf(organizer.user) === user.id
+  ) || null;
+};
+
+export const hasOrganizerPermission = (user, event, organizerPermission) => {
+  const organizer = findOrganizer(user, event);
+  if (!organizer) return false;
+  return organizer.permissions.some(granted =>
+    granted === organizerPermission ||
+    (IMPLIED_ORGANIZER_PERMISSIONS[granted] || []).includes(organizerPermission)
+  );
+};
+
+// Creators manage their own events, co-organizers what they were granted,
+// and moderators and admins can manage any
+export const canManageEvent = (user, event, permission, organizerPermission) => {
+  return isEventCreator(user, event) ||
+    (Boolean(organizerPermission) && hasOrganizerPermission(user, event, organizerPermission)) ||
+    hasPermission(user, permission);
+};
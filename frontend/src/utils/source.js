@@ -0,0 +1,30 @@
+// Where this visit came from, for the organizers' analytics: the campaign in
+// ?utm_source= (or ?ref=) of the page the visitor landed on, and the site that
+// sent them. Captured once per browser tab, since later in-app navigation
+// loses both.
+const STORAGE_KEY = 'visitSource';
+
+export const captureVisitSource = () => {
+  if (sessionStorage.getItem(STORAGE_KEY)) return;
+
+  const params = new URLSearchParams(window.location.search);
+  let referrer = document.referrer || null;
+  // Coming back from our own pages (or the payment page) isn't a referral
+  if (referrer && new URL(referrer).origin === window.location.origin) {
+    referrer = null;
+  }
+
+  sessionStorage.setItem(STORAGE_KEY, JSON.stringify({
+    source: params.get('utm_source') || params.get('ref') || null,
+    referrer
+  }));
+};
+
+// { source, referrer } to send along with page views and RSVPs
+export const getVisitSource = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(STORAGE_KEY)) || {};
+  } catch (err) {
+    return {};
+  }
+};